@@ -3,32 +3,122 @@
  */
 (function () {
   'use strict';
+  let instanceCount = 0;
 
   /**
    * Image Editor class
+   *
+   * Accepts either an options object or the legacy positional signature
+   * `new ImageEditor(containerSelector, buttons, shapes)`.
    * @param {String} containerSelector jquery selector for image editor container
-   * @param {Array} buttons define toolbar buttons 
-   * @param {Array} shapes define shapes
+   * @param {Object|Array} options editor options (see ImageEditor.defaultOptions), or toolbar buttons
+   * @param {Array} shapes define shapes, only used with the legacy signature
    */
-  var ImageEditor = function (containerSelector, buttons, shapes) {
+  var ImageEditor = function (containerSelector, options, shapes) {
+    this.id = ++instanceCount;
     this.containerSelector = containerSelector;
     this.containerEl = $(containerSelector);
+    // nodes created by the editor are removed on destroy, existing ones are kept
+    this.existingChildren = this.containerEl.children().toArray();
+
+    if (Array.isArray(options) || ((options === undefined || options === null) && shapes !== undefined)) {
+      options = {
+        buttons: options,
+        shapes: shapes
+      };
+    }
+    this.options = this.initializeOptions(options);
 
-    this.buttons = buttons;
-    this.shapes = shapes;
+    this.buttons = this.options.buttons;
+    this.shapes = this.options.shapes;
 
     this.containerEl.addClass('default-container');
 
     this.canvas = null;
     this.activeTool = null;
     this.activeSelection = null;
+    this.tools = {};
+    this.eventHandlers = {};
+    this.domListeners = [];
+    this.notificationTimers = new Set();
+
+    /**
+     * Add DOM event listener which is removed on destroy
+     * @param {EventTarget} target element, document or window
+     * @param {String} type event type
+     * @param {Function} handler event handler
+     * @param {Object|Boolean} options addEventListener options
+     */
+    this.addDomListener = (target, type, handler, options) => {
+      target.addEventListener(type, handler, options);
+      this.domListeners.push({
+        target,
+        type,
+        handler,
+        options
+      });
+    }
+
+    /**
+     * Check if this editor receives keyboard and clipboard events,
+     * the last editor the user interacted with is the focused one
+     * @returns {Boolean}
+     */
+    this.isFocused = () => {
+      return ImageEditor.focusedInstance === this && !this.loading;
+    }
+
+    /**
+     * Open a modal on top of the page, the modal closes on click
+     * @param {String} content html of the modal content
+     * @returns {Object} jquery element of the modal
+     */
+    this.openModal = (content) => {
+      let modal = $(`<div class="custom-modal-container" data-editor-id="${this.id}"><div class="custom-modal-content">${content}</div></div>`);
+      $('body').append(modal);
+      modal.click(function () {
+        $(this).remove();
+      })
+      return modal;
+    }
+
+    /**
+     * Remove all listeners, modals and DOM nodes created by the editor
+     */
+    this.destroy = () => {
+      clearTimeout(this.autosaveTimer);
+      this.notificationTimers.forEach(timer => clearTimeout(timer));
+      this.notificationTimers.clear();
+      this.domListeners.forEach(({ target, type, handler, options }) => {
+        target.removeEventListener(type, handler, options);
+      })
+      this.domListeners = [];
+
+      $(`.custom-modal-container[data-editor-id=${this.id}]`).remove();
+      this.containerEl.find('input').each(function () {
+        $(this).spectrum('destroy');
+      })
+
+      if (this.canvas) {
+        this.canvas.dispose();
+        this.canvas = null;
+      }
+
+      this.containerEl.children().toArray().forEach(el => {
+        if (!this.existingChildren.includes(el)) $(el).remove();
+      })
+      this.containerEl.removeClass('default-container loading');
+
+      if (ImageEditor.focusedInstance === this) ImageEditor.focusedInstance = null;
+      this.eventHandlers = {};
+    }
 
     /**
      * Get current state of canvas as object
      * @returns {Object}
      */
     this.getCanvasJSON = () => {
-      return this.canvas.toJSON();
+      return this.canvas.toJSON(['id', 'originalImage', 'printSettings', ...this.options.customProperties]);
     }
 
     /**
@@ -36,7 +126,27 @@
      * @param {Object} current the object of fabric canvas status
      */
     this.setCanvasJSON = (current) => {
-      current && this.canvas.loadFromJSON(JSON.parse(current), this.canvas.renderAll.bind(this.canvas))
+      if (!current) return;
+      this.canvas.printSettings = null;
+      this.canvas.loadFromJSON(JSON.parse(current), () => {
+        this.canvas.renderAll();
+        this.updateDimensionInputs();
+        this.resetHistory();
+      })
+    }
+
+    /**
+     * Set the canvas size at zoom level 1, the current zoom is kept
+     * @param {Number} width canvas width
+     * @param {Number} height canvas height
+     */
+    this.resizeCanvas = (width, height) => {
+      this.canvas.originalW = width;
+      this.canvas.originalH = height;
+      this.canvas.setWidth(width * this.canvas.getZoom());
+      this.canvas.setHeight(height * this.canvas.getZoom());
+      this.updateDimensionInputs();
+      this.canvas.renderAll();
     }
 
     /**
@@ -44,13 +154,19 @@
      * @param {String} id tool id
      */
     this.setActiveTool = (id) => {
+      let previousTool = this.activeTool;
+      let tool = this.tools[id];
+      if (previousTool !== id) {
+        let previous = this.tools[previousTool];
+        previous && typeof previous.deactivate === 'function' && previous.deactivate();
+      }
+
       this.activeTool = id;
       $(`${containerSelector} .toolpanel`).removeClass('visible');
       if (id !== 'select' || (id == 'select' && this.activeSelection)) {
-        $(`${containerSelector} .toolpanel#${id}-panel`).addClass('visible');
+        $(`${containerSelector} .toolpanel.${id}-panel`).addClass('visible');
         if (id === 'select') {
-          console.log('selection')
-          $(`${containerSelector} .toolpanel#${id}-panel`).attr('class', `toolpanel visible type-${this.activeSelection.type}`)
+          $(`${containerSelector} .toolpanel.${id}-panel`).attr('class', `toolpanel ${id}-panel visible type-${this.activeSelection.type}`)
         }
       }
 
@@ -60,91 +176,23 @@
         this.activeSelection = null;
       }
 
-      this.canvas.isDrawingLineMode = false;
-      this.canvas.isDrawingPathMode = false;
       this.canvas.isDrawingMode = false;
-      this.canvas.isDrawingTextMode = false;
 
-      this.canvas.defaultCursor = 'default';
-      this.canvas.selection = true;
+      this.canvas.defaultCursor = (tool && tool.cursor) || 'default';
+      let selectable = !tool || tool.selectable !== false;
+      this.canvas.selection = selectable;
       this.canvas.forEachObject(o => {
-        o.selectable = true;
-        o.evented = true;
+        o.selectable = selectable;
+        o.evented = selectable;
       })
 
-      switch (id) {
-        case 'draw':
-          this.canvas.isDrawingMode = true;
-          break;
-        case 'line':
-          this.canvas.isDrawingLineMode = true
-          this.canvas.defaultCursor = 'crosshair'
-          this.canvas.selection = false
-          this.canvas.forEachObject(o => {
-            o.selectable = false
-            o.evented = false
-          });
-          break;
-        case 'path':
-          this.canvas.isDrawingPathMode = true
-          this.canvas.defaultCursor = 'crosshair'
-          this.canvas.selection = false
-          this.canvas.forEachObject(o => {
-            o.selectable = false
-            o.evented = false
-          });
-          this.updateTip('Tip: click to place points, press and pull for curves! Click outside or press Esc to cancel!');
-          break;
-        case 'textbox':
-          this.canvas.isDrawingTextMode = true
-          this.canvas.defaultCursor = 'crosshair'
-          this.canvas.selection = false
-          this.canvas.forEachObject(o => {
-            o.selectable = false
-            o.evented = false
-          });
-          break;
-        case 'upload':
-          this.openDragDropPanel();
-          break;
-        default:
-          this.updateTip('Tip: hold Shift when drawing a line for 15° angle jumps!');
-          break;
-      }
-    }
-
-    /**
-     * Event handler when perform undo
-     */
-    this.undo = () => {
-      console.log('undo')
-      try {
-        let undoList = this.history.getValues().undo;
-        if (undoList.length) {
-          let current = undoList[undoList.length - 1];
-          this.history.undo();
-          current && this.canvas.loadFromJSON(JSON.parse(current), this.canvas.renderAll.bind(this.canvas))
-        }
-      } catch (_) {
-        console.error("undo failed")
-      }
-    }
+      this.updateTip((tool && tool.tip) || 'Tip: hold Shift when drawing a line for 15° angle jumps!');
+      tool && typeof tool.activate === 'function' && tool.activate();
 
-    /**
-     * Event handler when perform redo
-     */
-    this.redo = () => {
-      console.log('redo')
-      try {
-        let redoList = this.history.getValues().redo;
-        if (redoList.length) {
-          let current = redoList[redoList.length - 1];
-          this.history.redo();
-          current && this.canvas.loadFromJSON(JSON.parse(current), this.canvas.renderAll.bind(this.canvas))
-        }
-      } catch (_) {
-        console.error("redo failed")
-      }
+      if (previousTool !== id) this.emit('toolChange', {
+        tool: id,
+        previousTool
+      });
     }
 
     /**
@@ -154,22 +202,23 @@
     this.setActiveSelection = (activeSelection) => {
       this.activeSelection = activeSelection;
       this.setActiveTool('select');
+      this.emit('selectionChange', {
+        selection: activeSelection,
+        objects: this.canvas ? this.canvas.getActiveObjects() : []
+      });
     }
 
     /**
-     * Initialize undo/redo stack
+     * Fire historyChange event with current undo/redo state
      */
-    this.configUndoRedoStack = () => {
-      this.history = window.UndoRedoStack();
-      const ctrZY = (e) => {
-        const key = e.which || e.keyCode;
-
-        if (e.ctrlKey && document.querySelectorAll('textarea:focus, input:focus').length === 0) {
-          if (key === 90) this.undo()
-          if (key === 89) this.redo()
-        }
-      }
-      document.addEventListener('keydown', ctrZY)
+    this.emitHistoryChange = () => {
+      let values = this.history.getValues();
+      this.emit('historyChange', {
+        canUndo: values.undo.length > 0,
+        canRedo: values.redo.length > 0,
+        undoSize: values.undo.length,
+        redoSize: values.redo.length
+      });
     }
 
     /**
@@ -182,13 +231,9 @@
         this.canvas.setHeight(this.canvas.originalH * this.canvas.getZoom())
       }
 
-      // zoom out/in/reset (ctr + -/+/0)
-      const keyZoom = (e) => zoomWithKeys(e, this.canvas, this.applyZoom)
-      document.addEventListener('keydown', keyZoom)
-
-      // zoom out/in with mouse
-      const mouseZoom = (e) => zoomWithMouse(e, this.canvas, this.applyZoom)
-      document.addEventListener('wheel', mouseZoom, {
+      // zoom out/in with mouse over the editor
+      const mouseZoom = (e) => zoomWithMouse(e, this.canvas, this.applyZoom, this.options.zoom)
+      this.addDomListener(this.containerEl[0], 'wheel', mouseZoom, {
         passive: false
       })
     }
@@ -197,25 +242,40 @@
      * Initialize image editor
      */
     this.init = () => {
+      this.toolDefinitions = this.getToolDefinitions();
+
+      // keyboard and clipboard events go to the editor the user interacted with last
+      const focus = () => {
+        ImageEditor.focusedInstance = this;
+      }
+      if (!ImageEditor.focusedInstance) focus();
+      this.addDomListener(this.containerEl[0], 'mousedown', focus, true);
+      this.addDomListener(this.containerEl[0], 'focusin', focus);
+
       this.configUndoRedoStack();
 
       this.initializeToolbar();
       this.initializeMainPanel();
 
-      this.initializeShapes();
-
-      this.initializeFreeDrawSettings();
-      this.initializeCanvasSettingPanel();
-      this.initializeSelectionSettings();
-
       this.canvas = this.initializeCanvas();
+      this.initializeStorage();
+      // editing is blocked until the last design is shown, loading it would replace the changes
+      this.loading = true;
+      this.containerEl.addClass('loading');
+      this.ready = this.initializeDocuments().then(() => {
+        this.loading = false;
+        this.containerEl.removeClass('loading');
+        return this;
+      });
 
-      this.initializeLineDrawing(this.canvas);
-      this.initializePathDrawing(this.canvas);
-      this.initializeTextBoxDrawing(this.canvas);
       this.initializeUpload(this.canvas);
       this.initializeCopyPaste(this.canvas);
       this.initializeTipSection();
+      this.initializeHistoryPanel();
+      this.initializeTools();
+      this.updateDimensionInputs();
+      this.updateBrush();
+      this.initializeShortcuts();
 
       this.initializeZoomEvents();
 
@@ -233,12 +293,12 @@
     /**
      * Add features to hide/show tool panel
      */
-    this.extendHideShowToolPanel = () => {
-      $(`${this.containerSelector} .toolpanel .content`).each(function () {
+    this.extendHideShowToolPanel = (panelSelector = `${this.containerSelector} .toolpanel`) => {
+      $(`${panelSelector} .content`).each(function () {
         $(this).append(`<div class="hide-show-handler"></div>`)
       })
 
-      $(`${this.containerSelector} .toolpanel .content .hide-show-handler`).click(function () {
+      $(`${panelSelector} .content .hide-show-handler`).click(function () {
         let panel = $(this).closest('.toolpanel');
         panel.toggleClass('closed');
       })
@@ -275,301 +335,5616 @@
     this.init();
   }
 
+  ImageEditor.focusedInstance = null;
+
   window.ImageEditor = ImageEditor;
 })();
 
 /**
- * Canvas section management of image editor
+ * Define public event API of image editor
+ *
+ * Events and their payloads:
+ * - change: {target: fabric.Object|null, state: Object} canvas content changed, state is the canvas JSON, it's built when it's read
+ * - selectionChange: {selection: fabric.Object|null, objects: Array} active selection changed
+ * - toolChange: {tool: String, previousTool: String|null} active tool changed
+ * - historyChange: {canUndo: Boolean, canRedo: Boolean, undoSize: Number, redoSize: Number} undo/redo stack changed
+ * - documentChange: {document: Object, modified: Boolean} another document is opened, saved or has unsaved changes
+ * - autosave: {document: Object, modified: Number} unsaved changes are kept as draft of the document
+ * - save: {key: String, state: Object, document: Object} canvas saved into the document with the id key
+ * - export: {format: String, data: String} canvas downloaded as svg/png/jpg
+ * - upload: {file: File, object: fabric.Object} uploaded file added to canvas
+ * - error: {message: String, error: Error} an editor action failed
  */
 (function () {
   'use strict';
-  var canvas = function () {
-    try {
-      $(`${this.containerSelector} .main-panel`).append(`<div class="canvas-holder" id="canvas-holder"><div class="content"><canvas id="c"></canvas></div></div>`);
-      const fabricCanvas = new fabric.Canvas('c').setDimensions({
-        width: 800,
-        height: 600
-      })
 
-      fabricCanvas.originalW = fabricCanvas.width;
-      fabricCanvas.originalH = fabricCanvas.height;
+  /**
+   * Add event handler
+   * @param {String} name event name
+   * @param {Function} handler called with the event payload
+   * @returns {ImageEditor}
+   */
+  var on = function (name, handler) {
+    if (typeof handler !== 'function') throw new TypeError('ImageEditor: event handler must be a function');
+    (this.eventHandlers[name] = this.eventHandlers[name] || []).push(handler);
+    return this;
+  }
 
-      // set up selection style
-      fabric.Object.prototype.transparentCorners = false;
-      fabric.Object.prototype.cornerStyle = 'circle';
-      fabric.Object.prototype.borderColor = '#C00000';
-      fabric.Object.prototype.cornerColor = '#C00000';
-      fabric.Object.prototype.cornerStrokeColor = '#FFF';
-      fabric.Object.prototype.padding = 0;
+  /**
+   * Remove event handler, removes all handlers of the event if handler is not given
+   * @param {String} name event name
+   * @param {Function} handler the handler passed to on/once
+   * @returns {ImageEditor}
+   */
+  var off = function (name, handler) {
+    if (!this.eventHandlers[name]) return this;
+    if (!handler) {
+      delete this.eventHandlers[name];
+      return this;
+    }
+    this.eventHandlers[name] = this.eventHandlers[name].filter(item => item !== handler && item.original !== handler);
+    return this;
+  }
 
-      // retrieve active selection to react state
-      fabricCanvas.on('selection:created', (e) => this.setActiveSelection(e.target))
-      fabricCanvas.on('selection:updated', (e) => this.setActiveSelection(e.target))
-      fabricCanvas.on('selection:cleared', (e) => this.setActiveSelection(null))
+  /**
+   * Add event handler which is removed after its first call
+   * @param {String} name event name
+   * @param {Function} handler called with the event payload
+   * @returns {ImageEditor}
+   */
+  var once = function (name, handler) {
+    if (typeof handler !== 'function') throw new TypeError('ImageEditor: event handler must be a function');
+    const wrapper = (payload) => {
+      this.off(name, wrapper);
+      handler.call(this, payload);
+    }
+    wrapper.original = handler;
+    return this.on(name, wrapper);
+  }
 
-      // snap to an angle on rotate if shift key is down
-      fabricCanvas.on('object:rotating', (e) => {
-        if (e.e.shiftKey) {
-          e.target.snapAngle = 15;
-        } else {
-          e.target.snapAngle = false;
-        }
-      })
+  /**
+   * Fire event, errors of handlers are logged and don't stop other handlers
+   * @param {String} name event name
+   * @param {Object} payload event payload
+   */
+  var emit = function (name, payload) {
+    let handlers = this.eventHandlers[name];
+    if (!handlers) return;
 
-      fabricCanvas.on('object:modified', () => {
-        console.log('trigger: modified')
-        let currentState = this.canvas.toJSON();
-        this.history.push(JSON.stringify(currentState));
-      })
+    [...handlers].forEach(handler => {
+      try {
+        handler.call(this, payload);
+      } catch (error) {
+        console.error(`error in "${name}" event handler`, error);
+      }
+    })
+  }
 
-      const savedCanvas = saveInBrowser.load('canvasEditor');
-      if (savedCanvas) {
-        fabricCanvas.loadFromJSON(savedCanvas, fabricCanvas.renderAll.bind(fabricCanvas));
+  /**
+   * Fire the change event, the canvas JSON of its state is built on the first read
+   * @param {Object} target changed object, null if unknown
+   */
+  var emitChange = function (target) {
+    const editor = this;
+    let state;
+    this.emit('change', {
+      target,
+      get state() {
+        if (state === undefined) state = editor.getCanvasJSON();
+        return state;
       }
+    });
+  }
 
-      // move objects with arrow keys
-      (() => document.addEventListener('keydown', (e) => {
-        const key = e.which || e.keyCode;
-        let activeObject;
+  window.ImageEditor.prototype.on = on;
+  window.ImageEditor.prototype.off = off;
+  window.ImageEditor.prototype.once = once;
+  window.ImageEditor.prototype.emit = emit;
+  window.ImageEditor.prototype.emitChange = emitChange;
+})();
 
-        if (document.querySelectorAll('textarea:focus, input:focus').length > 0) return;
+/**
+ * Define undo/redo history of image editor
+ *
+ * The history keeps a serialized snapshot of every object of the current canvas. On each change
+ * only the objects that differ from the snapshot are recorded, as property diffs for modified objects
+ * and as full objects for added/removed ones. Image sources are stored once in an asset table and
+ * referenced from the recorded objects. Undo/redo patches the changed objects in place.
+ *
+ * Redo steps dropped by a new change are kept as a branch at the position they start from,
+ * a branch holds its steps in redo stack order and the branches further along its own line.
+ *
+ * Changes with the same label on the same objects within the coalesce window, like arrow key nudges
+ * or color picker drags, are merged into the previous step. A transaction records all changes
+ * between beginHistoryTransaction() and endHistoryTransaction() as one step.
+ */
+(function () {
+  'use strict';
+  // changes of these properties can't be patched with set(), the object is recreated instead
+  const rebuildProperties = ['type', 'objects', 'path', 'points', 'src', 'filters', 'resizeFilter', 'clipPath', 'crossOrigin'];
+  // canvas properties recorded in history, width and height are the size at zoom level 1
+  const canvasProperties = ['background', 'backgroundImage', 'width', 'height', 'printSettings'];
+  const assetPrefix = 'history-asset:';
 
-        if (key === 37 || key === 38 || key === 39 || key === 40) {
-          e.preventDefault();
-          activeObject = fabricCanvas.getActiveObject();
-          if (!activeObject) {
-            return;
-          }
-        }
+  /**
+   * Create a stack for UndoRedoStack which can drop its oldest values
+   * @returns {Object}
+   */
+  const createStack = () => {
+    let values = [];
+    return {
+      push: (value) => values.push(value),
+      pop: () => values.pop(),
+      isEmpty: () => values.length < 1,
+      clear: () => values.splice(0),
+      current: () => values[values.length - 1],
+      getValues: () => [...values],
+      // remove and return the oldest value
+      shift: () => values.shift()
+    }
+  }
 
-        if (key === 37) {
-          activeObject.left -= 1;
-        } else if (key === 39) {
-          activeObject.left += 1;
-        } else if (key === 38) {
-          activeObject.top -= 1;
-        } else if (key === 40) {
-          activeObject.top += 1;
-        }
+  const isEqual = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
 
-        if (key === 37 || key === 38 || key === 39 || key === 40) {
-          activeObject.setCoords();
-          fabricCanvas.renderAll();
-          fabricCanvas.trigger('object:modified');
-        }
-      }))();
+  // approximate memory used by a value in bytes
+  const sizeOf = (value) => value === undefined ? 0 : JSON.stringify(value).length * 2;
 
-      // delete object on del key
-      (() => {
-        document.addEventListener('keydown', (e) => {
-          const key = e.which || e.keyCode;
-          if (
-            key === 46 &&
-            document.querySelectorAll('textarea:focus, input:focus').length === 0
-          ) {
-
-            fabricCanvas.getActiveObjects().forEach(obj => {
-              fabricCanvas.remove(obj);
-            });
+  /**
+   * Get the diff of two serialized objects
+   * @param {Object} before
+   * @param {Object} after
+   * @returns {Object} changed properties, null if equal
+   */
+  const diffProperties = (before, after) => {
+    let diff = {
+      before: {},
+      after: {}
+    };
+    let changed = false;
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      if (isEqual(before[key], after[key])) return;
+      diff.before[key] = before[key];
+      diff.after[key] = after[key];
+      changed = true;
+    })
+    return changed ? diff : null;
+  }
 
-            fabricCanvas.discardActiveObject().requestRenderAll();
-            fabricCanvas.trigger('object:modified')
-          }
-        })
-      })();
+  const needsRebuild = (properties) => Object.keys(properties).some(key => {
+    if (rebuildProperties.includes(key)) return true;
+    // gradients and patterns are plain objects in json
+    return (key === 'fill' || key === 'stroke') && properties[key] !== null && typeof properties[key] === 'object';
+  })
 
-      setTimeout(() => {
-        let currentState = fabricCanvas.toJSON();
-        this.history.push(JSON.stringify(currentState));
-      }, 1000);
+  /**
+   * Replace image sources by asset references
+   * @param {Object} history history state of the editor
+   * @param {Object} json serialized object
+   * @returns {Object}
+   */
+  const storeAssets = (history, json) => {
+    if (!json || typeof json !== 'object') return json;
+    if (Array.isArray(json)) return json.map(item => storeAssets(history, item));
+
+    let result = {};
+    Object.keys(json).forEach(key => {
+      let value = json[key];
+      if (key === 'src' && typeof value === 'string' && value.length > 256) {
+        if (!history.assetIds.has(value)) {
+          let id = `${assetPrefix}${++history.assetCount}`;
+          history.assetIds.set(value, id);
+          history.assets.set(id, value);
+        }
+        value = history.assetIds.get(value);
+      } else if (value && typeof value === 'object') {
+        value = storeAssets(history, value);
+      }
+      result[key] = value;
+    })
+    return result;
+  }
 
-      return fabricCanvas;
-    } catch (_) {
-      console.error("can't create canvas instance");
-      return null;
+  /**
+   * Replace asset references by image sources
+   * @param {Object} history history state of the editor
+   * @param {Object} json serialized object with asset references
+   * @returns {Object}
+   */
+  const restoreAssets = (history, json) => {
+    if (!json || typeof json !== 'object') return json;
+    if (Array.isArray(json)) return json.map(item => restoreAssets(history, item));
+
+    let result = {};
+    Object.keys(json).forEach(key => {
+      let value = json[key];
+      if (key === 'src' && history.assets.has(value)) {
+        value = history.assets.get(value);
+      } else if (value && typeof value === 'object') {
+        value = restoreAssets(history, value);
+      }
+      if (value !== undefined) result[key] = value;
+    })
+    return result;
+  }
+
+  // collect asset references of a value
+  const collectAssets = (value, assets) => {
+    if (typeof value === 'string') {
+      if (value.startsWith(assetPrefix)) assets.add(value);
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(key => collectAssets(value[key], assets));
     }
+    return assets;
   }
 
-  window.ImageEditor.prototype.initializeCanvas = canvas;
-})();
+  // names of object types in history labels
+  const typeNames = {
+    textbox: 'text',
+    'i-text': 'text',
+    text: 'text',
+    image: 'image',
+    line: 'line',
+    path: 'path'
+  };
+  // labels of modified properties, the first matching one is used
+  const propertyLabels = [
+    [['src'], 'Replaced image'],
+    [['text', 'styles'], 'Edited text'],
+    [['fill'], 'Changed fill'],
+    [['stroke', 'strokeWidth', 'strokeDashArray', 'strokeLineCap', 'strokeLineJoin'], 'Changed border'],
+    [['fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'textAlign', 'underline', 'linethrough', 'overline', 'lineHeight', 'charSpacing', 'textBackgroundColor'], 'Changed text style'],
+    [['filters'], 'Changed effects'],
+    [['shadow'], 'Changed shadow'],
+    [['opacity'], 'Changed opacity'],
+    [['flipX', 'flipY'], 'Flipped'],
+    [['angle'], 'Rotated'],
+    [['scaleX', 'scaleY', 'width', 'height'], 'Resized'],
+    [['left', 'top'], 'Moved']
+  ];
+
+  const describeObjects = (jsons) => {
+    if (jsons.length !== 1) return `${jsons.length} objects`;
+    return typeNames[jsons[0].type] || 'shape';
+  }
 
-/**
- * Define copy/paste actions on fabric js canvas
- */
-(function () {
-  'use strict';
-  const copyPaste = (canvas) => {
+  /**
+   * Get a readable label of a history entry, e.g. "Added text", "Changed fill" or "Moved 3 objects"
+   * @param {Object} entry history entry
+   * @param {Object} snapshot snapshot after the entry
+   * @returns {String}
+   */
+  const describeEntry = (entry, snapshot) => {
+    let added = entry.changes.filter(change => !change.modified && change.after);
+    let removed = entry.changes.filter(change => !change.modified && change.before);
+    let modified = entry.changes.filter(change => change.modified);
+
+    if (added.length && !removed.length) return `Added ${describeObjects(added.map(change => change.after))}`;
+    if (removed.length && !added.length && !modified.length) return `Deleted ${describeObjects(removed.map(change => change.before))}`;
+    if (modified.length && !added.length && !removed.length) {
+      let keys = [];
+      modified.forEach(change => keys.push(...Object.keys(change.after)));
+      let label = propertyLabels.find(([properties]) => properties.some(key => keys.includes(key)));
+      let objects = describeObjects(modified.map(change => snapshot.objects.get(change.id).json));
+      if (!label) return `Changed ${objects}`;
+      // movements and transforms name their objects, property changes read fine without
+      return ['Moved', 'Rotated', 'Resized', 'Flipped'].includes(label[1]) ? `${label[1]} ${objects}` : label[1];
+    }
+    if (entry.changes.length) return `Changed ${entry.changes.length} objects`;
+    if (entry.order) return 'Changed layer order';
+    let canvasKeys = Object.keys(entry.canvas.after);
+    if (canvasKeys.includes('width') || canvasKeys.includes('height')) return 'Resized canvas';
+    if (canvasKeys.includes('printSettings')) return 'Changed print size';
+    return 'Changed background';
+  }
 
-    // copy
-    document.addEventListener('copy', (e) => {
-      if (!canvas.getActiveObject()) return
+  const enliven = (history, json) => new Promise(resolve => {
+    fabric.util.enlivenObjects([restoreAssets(history, json)], (objects) => resolve(objects[0]));
+  })
 
-      // copy image as dataUrl
-      if (canvas.getActiveObject().type === 'image') {
-        e.preventDefault()
+  /**
+   * Serialize the canvas into the snapshot format of history
+   * @param {Object} editor image editor
+   * @param {Set} changed optional, ids of the objects changed since the current snapshot, the other objects
+   * are taken from it instead of being serialized again
+   * @returns {Object} { objects: Map of id to { json, str }, order: ids, canvas: properties }
+   */
+  const takeSnapshot = (editor, changed = null) => {
+    const history = editor.historyState;
+    const canvas = editor.canvas;
+    const properties = ['id', 'originalImage', ...editor.options.customProperties];
+    let previous = changed && history.snapshot;
+    let objects = new Map();
+    let order = [];
+    canvas.getObjects().filter(object => !object.excludeFromExport).forEach(object => {
+      if (!object.id || objects.has(object.id)) object.id = createObjectId();
+      order.push(object.id);
+
+      let kept = previous && !changed.has(object.id) && previous.objects.get(object.id);
+      if (kept) return objects.set(object.id, kept);
+
+      // canvas._toObject keeps absolute coordinates of objects in an active selection like canvas.toObject
+      let stored = storeAssets(history, canvas._toObject(object, 'toObject', properties));
+      objects.set(object.id, {
+        json: stored,
+        str: JSON.stringify(stored)
+      });
+    })
 
-        e.clipboardData.setData('text/plain', canvas.getActiveObject().toDataURL())
-      }
+    let json = canvas.__serializeBgOverlay('toObject', properties);
+    let canvasJSON = {};
+    json.width = Number(canvas.originalW);
+    json.height = Number(canvas.originalH);
+    json.printSettings = canvas.printSettings || null;
+    canvasProperties.forEach(key => {
+      canvasJSON[key] = storeAssets(history, json[key]);
+    })
 
+    return {
+      objects,
+      order,
+      canvas: canvasJSON
+    };
+  }
 
-      // if selection is not an image, copy as JSON
-      if (canvas.getActiveObject().type !== 'image') {
-        e.preventDefault()
-        canvas.getActiveObject().clone((cloned) => {
-          e.clipboardData.setData('text/plain', JSON.stringify(cloned.toJSON()))
-        })
-      }
+  /**
+   * Get the changes between two snapshots
+   * @param {Object} before snapshot
+   * @param {Object} after snapshot
+   * @returns {Object} history entry, null if nothing changed
+   */
+  const diffSnapshots = (before, after) => {
+    let changes = [];
+    before.order.forEach(id => {
+      if (!after.objects.has(id)) changes.push({ id, before: before.objects.get(id).json, after: null });
+    })
+    after.order.forEach(id => {
+      let previous = before.objects.get(id);
+      let current = after.objects.get(id);
+      if (!previous) return changes.push({ id, before: null, after: current.json });
+      if (previous.str === current.str) return;
+
+      let diff = diffProperties(previous.json, current.json);
+      if (diff) changes.push({ id, modified: true, before: diff.before, after: diff.after });
     })
 
-    // JSON string validator
-    const isJSONObjectString = (s) => {
-      try {
-        const o = JSON.parse(s);
-        return !!o && (typeof o === 'object') && !Array.isArray(o)
-      } catch {
-        return false
-      }
+    let order = isEqual(before.order, after.order) ? null : {
+      before: before.order,
+      after: after.order
+    };
+    let canvas = diffProperties(before.canvas, after.canvas);
+    if (!changes.length && !order && !canvas) return null;
+
+    let entry = {
+      changes,
+      order,
+      canvas
+    };
+    entry.size = sizeOf(changes) + sizeOf(order) + sizeOf(canvas);
+    return entry;
+  }
+
+  // entries with the same key can be merged
+  const coalesceKey = (entry) => {
+    if (entry.order || entry.changes.some(change => !change.modified)) return null;
+    return `${entry.label}|${entry.changes.map(change => change.id).sort().join(',')}`;
+  }
+
+  /**
+   * Merge an entry into the previous entry of the same burst
+   * @param {Object} previous previous entry, changed in place
+   * @param {Object} entry the new entry
+   * @returns {Boolean} false if the merged entry doesn't change anything
+   */
+  const mergeEntries = (previous, entry) => {
+    const merge = (older, newer) => {
+      let before = { ...newer.before, ...older.before };
+      let after = { ...older.after, ...newer.after };
+      // drop properties changed back to their original value
+      Object.keys(after).forEach(key => {
+        if (isEqual(before[key], after[key])) {
+          delete before[key];
+          delete after[key];
+        }
+      })
+      return Object.keys(after).length ? { before, after } : null;
     }
 
-    // base64 validator
-    const isBase64String = (str) => {
-      try {
-        str = str.split('base64,').pop()
-        window.atob(str)
-        return true
-      } catch (e) {
-        return false
-      }
+    previous.changes = previous.changes.map(change => {
+      let newer = entry.changes.find(item => item.id === change.id);
+      let merged = merge(change, newer);
+      return merged && {
+        ...change,
+        ...merged
+      };
+    }).filter(change => change);
+    previous.canvas = previous.canvas && entry.canvas ? merge(previous.canvas, entry.canvas) : previous.canvas || entry.canvas;
+    previous.size = sizeOf(previous.changes) + sizeOf(previous.canvas);
+    previous.time = entry.time;
+
+    return previous.changes.length > 0 || !!previous.canvas;
+  }
+
+  /**
+   * Remove the oldest entries while history exceeds its depth or byte limit and free unused assets
+   * @param {Object} editor image editor
+   */
+  const trimHistory = (editor) => {
+    const history = editor.historyState;
+    const { depth, maxBytes } = editor.options.history;
+
+    // all recorded entries including the ones in branches
+    const entries = () => {
+      let list = history.undoStack.getValues().concat(history.redoStack.getValues());
+      const addBranches = (branches) => branches.forEach(branch => {
+        list.push(...branch.entries);
+        addBranches(branch.branches);
+      })
+      addBranches(history.branches);
+      return list;
+    }
+    const used = () => {
+      let assets = new Set();
+      entries().forEach(entry => collectAssets(entry, assets));
+      let current = collectAssets(history.snapshot.canvas, new Set());
+      history.snapshot.objects.forEach(object => collectAssets(object.json, current));
+      return { assets, current };
+    }
+    const historyBytes = ({ assets, current }) => {
+      let bytes = 0;
+      entries().forEach(entry => bytes += entry.size);
+      // assets of the current canvas are held by the canvas anyway
+      assets.forEach(id => {
+        if (!current.has(id)) bytes += history.assets.get(id).length * 2;
+      })
+      return bytes;
+    }
+    // positions count from the oldest undo step, branches starting before it are dropped
+    const shiftBranches = (branches) => branches.filter(branch => {
+      branch.at--;
+      branch.branches = shiftBranches(branch.branches);
+      return branch.at >= 0;
+    })
+    const dropOldest = () => {
+      history.undoStack.shift();
+      history.branches = shiftBranches(history.branches);
     }
 
-    // paste
-    document.addEventListener('paste', (e) => {
-      let pasteTextData = e.clipboardData.getData('text')
-
-      // check if base64 image
-      if (pasteTextData && isBase64String(pasteTextData)) {
-        fabric.Image.fromURL(pasteTextData, (img) => {
-          img.set({
-            left: 0,
-            top: 0
-          })
-          img.scaleToHeight(100)
-          img.scaleToWidth(100)
-          canvas.add(img)
-          canvas.setActiveObject(img)
-          canvas.trigger('object:modified')
-        })
+    while (history.undoStack.getValues().length > depth) dropOldest();
 
-        return
-      }
+    let usage = used();
+    while (historyBytes(usage) > maxBytes) {
+      // branches go first, they can't be reached by undo/redo
+      if (history.branches.length) history.branches.shift();
+      else if (!history.undoStack.isEmpty()) dropOldest();
+      else break;
+      usage = used();
+    }
 
-      // check if there's an image in clipboard items
-      if (e.clipboardData.items.length > 0) {
-        for (let i = 0; i < e.clipboardData.items.length; i++) {
-          if (e.clipboardData.items[i].type.indexOf('image') === 0) {
-            let blob = e.clipboardData.items[i].getAsFile()
-            if (blob !== null) {
-              let reader = new FileReader()
-              reader.onload = (f) => {
-                fabric.Image.fromURL(f.target.result, (img) => {
-                  img.set({
-                    left: 0,
-                    top: 0
-                  })
-                  img.scaleToHeight(100)
-                  img.scaleToWidth(100)
-                  canvas.add(img)
-                  canvas.setActiveObject(img)
-                  canvas.trigger('object:modified')
-                })
-              }
-              reader.readAsDataURL(blob)
-            }
-          }
+    history.assets.forEach((src, id) => {
+      if (usage.assets.has(id) || usage.current.has(id)) return;
+      history.assets.delete(id);
+      history.assetIds.delete(src);
+    })
+  }
+
+  // properties of a modified object that only the other side has, applying this side resets them
+  const addedKeys = (change, side) => {
+    let other = change[side === 'before' ? 'after' : 'before'];
+    return Object.keys(other).filter(key => change[side][key] === undefined);
+  }
+
+  /**
+   * Apply one side of a history entry to the canvas
+   * @param {Object} editor image editor
+   * @param {Object} entry history entry
+   * @param {String} side 'before' to undo, 'after' to redo
+   * @returns {Promise}
+   */
+  const applyEntry = (editor, entry, side) => {
+    const history = editor.historyState;
+    const canvas = editor.canvas;
+    const snapshot = history.snapshot;
+    canvas.discardActiveObject();
+
+    let tasks = entry.changes.map(change => {
+      let object = editor.getObjectById(change.id);
+      let json = change[side];
+
+      if (!change.modified) {
+        if (!json) {
+          object && canvas.remove(object);
+          return Promise.resolve();
         }
+        return enliven(history, json).then(created => created && canvas.add(created));
       }
 
-      // check if JSON and type is valid
-      let validTypes = ['rect', 'circle', 'line', 'path', 'polygon', 'polyline', 'textbox', 'group']
-      if (isJSONObjectString(pasteTextData)) {
-        let obj = JSON.parse(pasteTextData)
-        if (!validTypes.includes(obj.type)) return
-
-        // insert and select
-        fabric.util.enlivenObjects([obj], function (objects) {
-          objects.forEach(function (o) {
-            o.set({
-              left: 0,
-              top: 0
-            })
-            canvas.add(o)
-            o.setCoords()
-            canvas.setActiveObject(o)
-          })
-          canvas.renderAll()
-          canvas.trigger('object:modified')
+      if (!object) return Promise.resolve();
+      let added = addedKeys(change, side);
+      if (!needsRebuild(json)) {
+        object.set(restoreAssets(history, json));
+        added.forEach(key => {
+          // custom properties like originalImage have no class default
+          let value = Object.getPrototypeOf(object)[key];
+          value === undefined ? delete object[key] : object.set(key, value);
         })
+        object.setCoords();
+        return Promise.resolve();
       }
+
+      // recreate object from its full json at the same position in stack
+      let full = {
+        ...snapshot.objects.get(change.id).json,
+        ...json
+      };
+      added.forEach(key => delete full[key]);
+      return enliven(history, full).then(created => {
+        if (!created) return;
+        let index = canvas.getObjects().indexOf(object);
+        canvas.remove(object);
+        canvas.insertAt(created, index);
+      })
+    })
+
+    // only changed canvas properties are in the entry, a missing value is stored as undefined
+    let properties = entry.canvas ? entry.canvas[side] : {};
+    if ('background' in properties) {
+      tasks.push(new Promise(resolve => {
+        canvas.setBackgroundColor(properties.background || '', () => resolve());
+      }));
+    }
+    if ('backgroundImage' in properties) {
+      tasks.push(new Promise(resolve => {
+        if (!properties.backgroundImage) return resolve(canvas.setBackgroundImage(null));
+        let json = restoreAssets(history, properties.backgroundImage);
+        fabric.util.enlivenObjects([json], ([image]) => canvas.setBackgroundImage(image, () => resolve()));
+      }));
+    }
+    if ('width' in properties || 'height' in properties) {
+      editor.resizeCanvas(
+        'width' in properties ? properties.width : canvas.originalW,
+        'height' in properties ? properties.height : canvas.originalH
+      );
+    }
+    if ('printSettings' in properties) {
+      canvas.printSettings = properties.printSettings || null;
+      editor.updateDimensionInputs();
+    }
+
+    return Promise.all(tasks).then(() => {
+      let order = entry.order ? entry.order[side] : null;
+      order && order.forEach((id, index) => {
+        let object = editor.getObjectById(id);
+        object && canvas.moveTo(object, index);
+      })
+      canvas.renderAll();
     })
   }
 
-  window.ImageEditor.prototype.initializeCopyPaste = copyPaste;
-})();
+  /**
+   * Run history operations one after another, canvas changes during an operation are recorded after it
+   * @param {Object} editor image editor
+   * @param {Function} task returns a value or a promise
+   * @returns {Promise}
+   */
+  const enqueue = (editor, task) => {
+    const history = editor.historyState;
+    let result = history.queue.then(() => {
+      history.busy = true;
+      return task();
+    });
+    history.queue = result.catch(() => {}).then(() => {
+      history.busy = false;
+    });
+    return result;
+  }
 
-/**
- * initialize canvas setting panel
- */
-(function () {
-  'use strict';
-  var canvasSettings = function () {
-    const _self = this;
-    $(`${this.containerSelector} .main-panel`).append(`<div class="toolpanel" id="background-panel"><div class="content"><p class="title">Canvas Settings</p></div></div>`);
+  /**
+   * Initialize undo/redo stack
+   */
+  var configUndoRedoStack = function () {
+    let undoStack = createStack();
+    let redoStack = createStack();
+    this.history = window.UndoRedoStack(undoStack, redoStack);
+    this.historyState = {
+      undoStack,
+      redoStack,
+      snapshot: null,
+      assets: new Map(),
+      assetIds: new Map(),
+      assetCount: 0,
+      branches: [],
+      // the entry new changes can be merged into
+      lastEntry: null,
+      transaction: null,
+      queue: Promise.resolve(),
+      busy: false
+    };
+  }
 
-    // set dimension section
-    (() => {
-      $(`${this.containerSelector} .toolpanel#background-panel .content`).append(`
-      <div class="canvas-size-setting">
-        <p>Canvas Size</p>
-        <div class="input-container">
-          <label>Width</label>
-          <div class="custom-number-input">
-          <button class="decrease">-</button>
-          <input type="number" min="100" id="input-width" value="640"/>
-          <button class="increase">+</button>
-          </div>
-        </div>
-        <div class="input-container">
-          <label>Height</label>
-          <div class="custom-number-input">
+  /**
+   * Clear undo/redo history and take current canvas as its initial state
+   */
+  var resetHistory = function () {
+    this.history.clear();
+    this.historyState.branches = [];
+    this.historyState.lastEntry = null;
+    this.historyState.snapshot = takeSnapshot(this);
+    trimHistory(this);
+    this.emitHistoryChange();
+  }
+
+  /**
+   * Keep the redo steps and the branches after the current position as a branch
+   * @param {Object} history history state of the editor
+   * @returns {Object} the branch, null if there's nothing to redo
+   */
+  const saveBranch = (history) => {
+    if (history.redoStack.isEmpty()) return null;
+
+    let at = history.undoStack.getValues().length;
+    let branch = {
+      at,
+      entries: history.redoStack.getValues(),
+      branches: history.branches.filter(item => item.at > at)
+    };
+    history.branches = history.branches.filter(item => item.at <= at).concat(branch);
+    history.redoStack.clear();
+    return branch;
+  }
+
+  /**
+   * Record changes of canvas since the last recorded state
+   * @param {String} label optional history label, it's generated from the changes if empty
+   * @param {Boolean} coalesce optional, false to never merge the step into the previous one
+   * @param {Array} objects optional, the only changed objects, the others aren't serialized again
+   * @returns {Promise} resolves with the history entry, null if nothing changed
+   */
+  var recordHistory = function (label, coalesce = true, objects = null) {
+    // changes of a transaction are recorded when it ends
+    if (this.historyState.transaction) return Promise.resolve(null);
+
+    const record = () => {
+      const history = this.historyState;
+      let snapshot = takeSnapshot(this, objects && new Set(objects.map(object => object.id)));
+      if (!history.snapshot) {
+        history.snapshot = snapshot;
+        return null;
+      }
+
+      let entry = diffSnapshots(history.snapshot, snapshot);
+      history.snapshot = snapshot;
+      if (!entry) return null;
+
+      entry.label = label || describeEntry(entry, snapshot);
+      entry.time = Date.now();
+      entry.coalesceKey = coalesce ? coalesceKey(entry) : null;
+
+      let previous = history.lastEntry;
+      if (
+        previous && entry.coalesceKey && this.options.history.coalesceWindow > 0 &&
+        previous === history.undoStack.current() &&
+        previous.coalesceKey === entry.coalesceKey &&
+        entry.time - previous.time <= this.options.history.coalesceWindow
+      ) {
+        // an entry changed back to where it started is removed
+        if (!mergeEntries(previous, entry)) {
+          history.undoStack.pop();
+          history.lastEntry = null;
+        }
+        trimHistory(this);
+        this.emitHistoryChange();
+        return previous;
+      }
+
+      saveBranch(history);
+      this.history.push(entry);
+      history.lastEntry = entry;
+      trimHistory(this);
+      this.emitHistoryChange();
+      return entry;
+    }
+
+    // record right away so the entry follows the change, unless undo/redo is running
+    if (!this.historyState.busy) return Promise.resolve(record());
+    return enqueue(this, record);
+  }
+
+  // apply the next undo ('before') or redo ('after') step, must run in the queue
+  const applyStep = (editor, side) => {
+    const history = editor.historyState;
+    let stack = side === 'before' ? history.undoStack : history.redoStack;
+    if (stack.isEmpty()) return Promise.resolve(false);
+
+    history.lastEntry = null;
+    return applyEntry(editor, stack.current(), side).then(() => {
+      let entry = stack.current();
+      side === 'before' ? editor.history.undo() : editor.history.redo();
+      history.snapshot = takeSnapshot(editor, new Set(entry.changes.map(change => change.id)));
+      editor.emitHistoryChange();
+      editor.emitChange(null);
+      return true;
+    })
+  }
+
+  // apply steps until the given number of steps is applied
+  const moveTo = (editor, position) => {
+    let current = editor.historyState.undoStack.getValues().length;
+    if (current === position) return Promise.resolve();
+    return applyStep(editor, current > position ? 'before' : 'after').then(moved => moved && moveTo(editor, position));
+  }
+
+  const step = (editor, side) => enqueue(editor, () => applyStep(editor, side))
+
+  /**
+   * Start recording changes as one history step, transactions can be nested
+   * @param {String} label optional label of the step
+   */
+  var beginHistoryTransaction = function (label) {
+    const history = this.historyState;
+    if (history.transaction) {
+      history.transaction.depth++;
+      return;
+    }
+
+    // changes made before the transaction are not part of it
+    this.recordHistory();
+    history.transaction = {
+      depth: 1,
+      label
+    };
+  }
+
+  /**
+   * End a transaction and record its changes as one history step
+   * @returns {Promise} resolves with the history entry, null if nothing changed
+   */
+  var endHistoryTransaction = function () {
+    const history = this.historyState;
+    if (!history.transaction) return Promise.resolve(null);
+    if (--history.transaction.depth > 0) return Promise.resolve(null);
+
+    let label = history.transaction.label;
+    history.transaction = null;
+    return this.recordHistory(label, false);
+  }
+
+  /**
+   * Run a function in a history transaction
+   * @param {Function} fn changes the canvas, may return a promise
+   * @param {String} label optional label of the step
+   * @returns {Promise} resolves with the result of fn
+   */
+  var historyTransaction = function (fn, label) {
+    this.beginHistoryTransaction(label);
+    let result;
+    try {
+      result = Promise.resolve(fn());
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+    return result.then(
+      value => this.endHistoryTransaction().then(() => value),
+      error => this.endHistoryTransaction().then(() => Promise.reject(error))
+    );
+  }
+
+  /**
+   * Get labels of history steps and branches
+   * @returns {Object} { position, entries: [{ label, size }], branches: [{ at, label, length }] },
+   * position is the number of applied entries, 0 is the initial state
+   */
+  var getHistory = function () {
+    const history = this.historyState;
+    let entries = history.undoStack.getValues().concat(history.redoStack.getValues().reverse());
+    return {
+      position: history.undoStack.getValues().length,
+      entries: entries.map(entry => ({
+        label: entry.label,
+        size: entry.size
+      })),
+      branches: history.branches.map(branch => ({
+        at: branch.at,
+        label: branch.entries[branch.entries.length - 1].label,
+        length: branch.entries.length
+      }))
+    };
+  }
+
+  /**
+   * Undo or redo until the given position
+   * @param {Number} position number of applied history entries, 0 is the initial state
+   * @returns {Promise}
+   */
+  var jumpToHistory = function (position) {
+    return enqueue(this, () => {
+      let length = this.historyState.undoStack.getValues().length + this.historyState.redoStack.getValues().length;
+      if (!Number.isInteger(position) || position < 0 || position > length) {
+        throw new RangeError(`history position must be between 0 and ${length}`);
+      }
+      return moveTo(this, position);
+    }).catch(error => {
+      console.error("can't jump to history position")
+      this.emit('error', {
+        message: "can't jump to history position",
+        error
+      });
+    })
+  }
+
+  /**
+   * Switch to a branch, the current redo steps become a branch in turn
+   * @param {Number} index index of branch in getHistory().branches
+   * @returns {Promise}
+   */
+  var switchHistoryBranch = function (index) {
+    const history = this.historyState;
+    return enqueue(this, () => {
+      let branch = history.branches[index];
+      if (!branch) throw new RangeError(`history branch ${index} doesn't exist`);
+
+      return moveTo(this, branch.at).then(() => {
+        history.branches = history.branches.filter(item => item !== branch);
+        saveBranch(history);
+        branch.entries.forEach(entry => history.redoStack.push(entry));
+        history.branches = history.branches.concat(branch.branches);
+        return moveTo(this, branch.at + branch.entries.length);
+      })
+    }).catch(error => {
+      console.error("can't switch history branch")
+      this.emit('error', {
+        message: "can't switch history branch",
+        error
+      });
+    })
+  }
+
+  /**
+   * Undo the last change
+   * @returns {Promise} resolves with false if there's nothing to undo
+   */
+  var undo = function () {
+    return step(this, 'before').catch(error => {
+      console.error("undo failed")
+      this.emit('error', {
+        message: 'undo failed',
+        error
+      });
+      return false;
+    })
+  }
+
+  /**
+   * Redo the last undone change
+   * @returns {Promise} resolves with false if there's nothing to redo
+   */
+  var redo = function () {
+    return step(this, 'after').catch(error => {
+      console.error("redo failed")
+      this.emit('error', {
+        message: 'redo failed',
+        error
+      });
+      return false;
+    })
+  }
+
+  window.ImageEditor.prototype.configUndoRedoStack = configUndoRedoStack;
+  window.ImageEditor.prototype.resetHistory = resetHistory;
+  window.ImageEditor.prototype.recordHistory = recordHistory;
+  window.ImageEditor.prototype.undo = undo;
+  window.ImageEditor.prototype.redo = redo;
+  window.ImageEditor.prototype.beginHistoryTransaction = beginHistoryTransaction;
+  window.ImageEditor.prototype.endHistoryTransaction = endHistoryTransaction;
+  window.ImageEditor.prototype.historyTransaction = historyTransaction;
+  window.ImageEditor.prototype.getHistory = getHistory;
+  window.ImageEditor.prototype.jumpToHistory = jumpToHistory;
+  window.ImageEditor.prototype.switchHistoryBranch = switchHistoryBranch;
+})();
+
+/**
+ * Define tool registry of image editor
+ *
+ * A tool definition has:
+ * - name: {String} tool id, also the id of toolbar button and the tool panel (`${name}-panel`)
+ * - title: {String} toolbar button title
+ * - icon: {String} html of toolbar button icon
+ * - panel: {String|Function} optional panel content, html or function (contentEl, editor) filling the panel
+ * - cursor: {String} optional canvas cursor while the tool is active
+ * - selectable: {Boolean} false to lock canvas objects while the tool is active
+ * - tip: {String} optional tip shown while the tool is active
+ * - shortcut: {String|Array} optional key binding(s) activating the tool, e.g. 'V'
+ * - setup: {Function} optional, called once per editor with the editor, returns the tool hooks
+ *   activate(), deactivate(), onMouseDown(e), onMouseMove(e), onMouseUp(e), e is the fabric mouse event,
+ *   and cancel() called on Escape
+ */
+(function () {
+  'use strict';
+  // built-in tools keep this toolbar order, other tools follow in registration order
+  const builtInToolOrder = ['select', 'shapes', 'draw', 'line', 'path', 'textbox', 'upload', 'background'];
+  const toolNamePattern = /^[a-z][\w-]*$/i;
+
+  const validateTool = (tool) => {
+    if (!tool || typeof tool !== 'object') throw new TypeError('ImageEditor: tool definition must be an object');
+    if (typeof tool.name !== 'string' || !toolNamePattern.test(tool.name)) {
+      throw new TypeError(`ImageEditor: tool name "${tool.name}" must start with a letter and contain only letters, digits, _ and -`);
+    }
+    if (typeof tool.icon !== 'string') throw new TypeError(`ImageEditor: tool "${tool.name}" must have an icon`);
+    ['setup', 'panel'].forEach(key => {
+      if (tool[key] !== undefined && typeof tool[key] !== 'function' && (key !== 'panel' || typeof tool[key] !== 'string')) {
+        throw new TypeError(`ImageEditor: "${key}" of tool "${tool.name}" has an invalid type`);
+      }
+    })
+    if (tool.shortcut !== undefined && ![].concat(tool.shortcut).every(key => typeof key === 'string')) {
+      throw new TypeError(`ImageEditor: shortcut of tool "${tool.name}" must be a key binding string`);
+    }
+  }
+
+  // add tool to the list, a tool with the same name is replaced
+  const addTool = (tools, tool) => {
+    let index = tools.findIndex(item => item.name === tool.name);
+    index >= 0 ? tools.splice(index, 1, tool) : tools.push(tool);
+    return tools;
+  }
+
+  /**
+   * Register a tool for all editors created afterwards
+   * @param {Object} tool tool definition
+   */
+  var registerTool = function (tool) {
+    validateTool(tool);
+    addTool(window.ImageEditor.tools, tool);
+  }
+
+  /**
+   * Get the tool definitions of this editor in toolbar order,
+   * tools are filtered by the buttons option if it's not empty
+   * @returns {Array}
+   */
+  var getToolDefinitions = function () {
+    let tools = [...window.ImageEditor.tools];
+    this.options.tools.forEach(tool => {
+      validateTool(tool);
+      addTool(tools, tool);
+    })
+
+    const order = (tool) => {
+      let index = builtInToolOrder.indexOf(tool.name);
+      return index >= 0 ? index : builtInToolOrder.length;
+    }
+    tools = tools
+      .map((tool, index) => ({ tool, index }))
+      .sort((a, b) => (order(a.tool) - order(b.tool)) || (a.index - b.index))
+      .map(item => item.tool);
+
+    if (this.buttons.length) tools = tools.filter(tool => this.buttons.includes(tool.name));
+    return tools;
+  }
+
+  /**
+   * Create tool panel and hooks of a tool
+   * @param {Object} tool tool definition
+   */
+  var createTool = function (tool) {
+    if (tool.panel) {
+      let panel = $(`<div class="toolpanel ${tool.name}-panel"><div class="content"><p class="title"></p></div></div>`);
+      panel.find('.title').text(tool.panelTitle || tool.title || tool.name);
+      // panels are shown on the left of the canvas
+      let holder = $(`${this.containerSelector} .main-panel .canvas-holder`);
+      holder.length ? holder.before(panel) : $(`${this.containerSelector} .main-panel`).append(panel);
+      let content = panel.find('.content');
+      typeof tool.panel === 'function' ? tool.panel(content, this) : content.append(tool.panel);
+    }
+
+    let hooks = tool.setup ? tool.setup(this) : null;
+    this.tools[tool.name] = {
+      ...tool,
+      ...(hooks || {})
+    };
+  }
+
+  /**
+   * Create tools of toolbar and pass canvas mouse events to the active tool
+   */
+  var initializeTools = function () {
+    this.tools = {};
+    this.toolDefinitions.forEach(tool => this.createTool(tool));
+
+    const dispatch = (hook, e) => {
+      let tool = this.tools[this.activeTool];
+      tool && typeof tool[hook] === 'function' && tool[hook](e);
+    }
+    this.canvas.on('mouse:down', (e) => dispatch('onMouseDown', e));
+    this.canvas.on('mouse:move', (e) => dispatch('onMouseMove', e));
+    this.canvas.on('mouse:up', (e) => dispatch('onMouseUp', e));
+  }
+
+  /**
+   * Add a tool to this editor after it's created, the tool is added to toolbar
+   * even if it's not listed in the buttons option
+   * @param {Object} tool tool definition
+   */
+  var addToolToEditor = function (tool) {
+    validateTool(tool);
+    if (this.tools[tool.name]) throw new Error(`ImageEditor: tool "${tool.name}" already exists`);
+
+    this.toolDefinitions.push(tool);
+    this.addToolButton(tool);
+    this.createTool(tool);
+    this.registerToolShortcut(tool);
+    if (tool.panel) this.extendHideShowToolPanel(`${this.containerSelector} .toolpanel.${tool.name}-panel`);
+  }
+
+  window.ImageEditor.tools = [];
+  window.ImageEditor.registerTool = registerTool;
+  window.ImageEditor.prototype.getToolDefinitions = getToolDefinitions;
+  window.ImageEditor.prototype.createTool = createTool;
+  window.ImageEditor.prototype.initializeTools = initializeTools;
+  window.ImageEditor.prototype.registerTool = addToolToEditor;
+})();
+
+/**
+ * Define keyboard shortcuts of image editor
+ *
+ * A binding is a key combination like 'Mod+Z', 'Shift+Mod+Z', 'Delete' or 'V'.
+ * Modifiers are Ctrl, Cmd (Meta), Alt, Shift and Mod, Mod is Cmd or Ctrl on Mac and Ctrl elsewhere.
+ * Keys are KeyboardEvent.key values, single characters are case insensitive and '+' is written as 'Plus'.
+ */
+(function () {
+  'use strict';
+  const isMac = /Mac|iPhone|iPad|iPod/.test(navigator.platform);
+  const modifierNames = {
+    mod: 'mod',
+    ctrl: 'ctrl',
+    control: 'ctrl',
+    cmd: 'meta',
+    command: 'meta',
+    meta: 'meta',
+    alt: 'alt',
+    option: 'alt',
+    shift: 'shift'
+  };
+  const keyNames = {
+    ' ': 'Space',
+    '+': 'Plus',
+    'Esc': 'Escape',
+    'Del': 'Delete',
+    'Left': 'ArrowLeft',
+    'Right': 'ArrowRight',
+    'Up': 'ArrowUp',
+    'Down': 'ArrowDown'
+  };
+
+  const normalizeKey = (key) => {
+    key = keyNames[key] || key;
+    return key.length === 1 ? key.toUpperCase() : key;
+  }
+
+  /**
+   * Parse a binding string
+   * @param {String} binding key combination, e.g. 'Shift+Mod+Z'
+   * @returns {Object} key and modifiers of the binding
+   */
+  const parseBinding = (binding) => {
+    if (typeof binding !== 'string' || !binding.trim()) {
+      throw new TypeError(`ImageEditor: shortcut "${binding}" must be a key combination string`);
+    }
+
+    let parsed = {
+      key: null,
+      mod: false,
+      ctrl: false,
+      meta: false,
+      alt: false,
+      shift: false
+    };
+    binding.split('+').map(part => part.trim()).forEach(part => {
+      let modifier = modifierNames[part.toLowerCase()];
+      if (modifier && parsed.key === null) {
+        parsed[modifier] = true;
+      } else if (part && parsed.key === null) {
+        parsed.key = normalizeKey(part);
+      } else {
+        throw new TypeError(`ImageEditor: shortcut "${binding}" is not a valid key combination`);
+      }
+    })
+    if (parsed.key === null) throw new TypeError(`ImageEditor: shortcut "${binding}" has no key`);
+
+    return parsed;
+  }
+
+  /**
+   * Check if keyboard event matches a parsed binding
+   * @param {KeyboardEvent} e keyboard event
+   * @param {Object} binding parsed binding
+   * @returns {Boolean}
+   */
+  const matchBinding = (e, binding) => {
+    if (!e.key || normalizeKey(e.key) !== binding.key) return false;
+
+    let ctrl = binding.ctrl,
+      meta = binding.meta;
+    if (binding.mod) {
+      // Cmd is the Mac modifier, Ctrl still works there as well
+      if (isMac) {
+        if (!e.metaKey && !e.ctrlKey) return false;
+        ctrl = e.ctrlKey;
+        meta = e.metaKey;
+      } else {
+        ctrl = true;
+      }
+    }
+    if (e.ctrlKey !== ctrl || e.metaKey !== meta || e.altKey !== binding.alt) return false;
+
+    // shift is part of symbol keys like '?' so it's only checked for letters and named keys
+    if (/^[A-Z]$/.test(binding.key) || binding.key.length > 1) return e.shiftKey === binding.shift;
+    return true;
+  }
+
+  /**
+   * Format a binding for display, e.g. 'Ctrl+Shift+Z' or '⌘⇧Z' on Mac
+   * @param {String} binding key combination
+   * @returns {String}
+   */
+  const formatBinding = (binding) => {
+    let parsed = parseBinding(binding);
+    let labels = {
+      ArrowLeft: '←',
+      ArrowRight: '→',
+      ArrowUp: '↑',
+      ArrowDown: '↓',
+      Plus: '+'
+    };
+    let key = labels[parsed.key] || parsed.key;
+
+    if (isMac) {
+      return [
+        parsed.ctrl ? '⌃' : '',
+        parsed.alt ? '⌥' : '',
+        parsed.shift ? '⇧' : '',
+        parsed.mod || parsed.meta ? '⌘' : '',
+        key
+      ].join('');
+    }
+
+    return [
+      parsed.mod || parsed.ctrl ? 'Ctrl' : '',
+      parsed.meta ? 'Win' : '',
+      parsed.alt ? 'Alt' : '',
+      parsed.shift ? 'Shift' : '',
+      key
+    ].filter(part => part).join('+');
+  }
+
+  // step zoom in whole percents to the next multiple of the step
+  const stepZoom = (canvas, zoomOptions, direction) => {
+    const step = Math.round(zoomOptions.keyStep * 100)
+    let updatedZoom = parseInt(canvas.getZoom() * 100)
+
+    if ((updatedZoom % step) !== 0) {
+      while ((updatedZoom % step) !== 0) {
+        updatedZoom = updatedZoom + direction
+      }
+    } else {
+      updatedZoom = updatedZoom + step * direction
+    }
+
+    updatedZoom = updatedZoom / 100
+    return Math.min(zoomOptions.max, Math.max(zoomOptions.min, updatedZoom))
+  }
+
+  // move active object by the given offset
+  const nudge = (editor, x, y) => {
+    let activeObject = editor.canvas.getActiveObject();
+    if (!activeObject) return false;
+
+    activeObject.left += x;
+    activeObject.top += y;
+    activeObject.setCoords();
+    editor.canvas.renderAll();
+    editor.canvas.trigger('object:modified', {
+      target: activeObject
+    });
+  }
+
+  // remove selected objects
+  const deleteSelection = (editor) => {
+    let objects = editor.canvas.getActiveObjects();
+    if (!objects.length) return false;
+
+    objects.forEach(obj => {
+      editor.canvas.remove(obj);
+    });
+
+    editor.canvas.discardActiveObject().requestRenderAll();
+    editor.canvas.trigger('object:modified');
+  }
+
+  /**
+   * Get default shortcut actions of the editor, a handler returning false leaves the event to the browser
+   * @param {Object} editor image editor
+   * @returns {Object} actions by name
+   */
+  const defaultActions = (editor) => ({
+    undo: {
+      keys: ['Mod+Z'],
+      description: 'Undo',
+      handler: () => editor.undo()
+    },
+    redo: {
+      keys: ['Mod+Y', 'Shift+Mod+Z'],
+      description: 'Redo',
+      handler: () => editor.redo()
+    },
+    delete: {
+      keys: ['Delete', 'Backspace'],
+      description: 'Delete selected objects',
+      handler: () => deleteSelection(editor)
+    },
+    nudgeLeft: {
+      keys: ['ArrowLeft'],
+      description: 'Move selected object left',
+      handler: () => nudge(editor, -1, 0)
+    },
+    nudgeRight: {
+      keys: ['ArrowRight'],
+      description: 'Move selected object right',
+      handler: () => nudge(editor, 1, 0)
+    },
+    nudgeUp: {
+      keys: ['ArrowUp'],
+      description: 'Move selected object up',
+      handler: () => nudge(editor, 0, -1)
+    },
+    nudgeDown: {
+      keys: ['ArrowDown'],
+      description: 'Move selected object down',
+      handler: () => nudge(editor, 0, 1)
+    },
+    zoomIn: {
+      keys: ['Mod+=', 'Mod+Plus'],
+      description: 'Zoom in',
+      allowInInputs: true,
+      handler: () => editor.applyZoom(stepZoom(editor.canvas, editor.options.zoom, 1))
+    },
+    zoomOut: {
+      keys: ['Mod+-'],
+      description: 'Zoom out',
+      allowInInputs: true,
+      handler: () => editor.applyZoom(stepZoom(editor.canvas, editor.options.zoom, -1))
+    },
+    zoomReset: {
+      keys: ['Mod+0'],
+      description: 'Reset zoom',
+      allowInInputs: true,
+      handler: () => editor.applyZoom(1)
+    },
+    cancel: {
+      keys: ['Escape'],
+      description: 'Close dialog or cancel drawing',
+      handler: () => {
+        let modals = $(`.custom-modal-container[data-editor-id=${editor.id}]`);
+        if (modals.length) return void modals.remove();
+
+        let tool = editor.tools[editor.activeTool];
+        if (!tool || typeof tool.cancel !== 'function') return false;
+        return tool.cancel();
+      }
+    },
+    help: {
+      keys: ['?'],
+      description: 'Show keyboard shortcuts',
+      handler: () => editor.showShortcutHelp()
+    }
+  })
+
+  /**
+   * Register a shortcut action, an existing action with the same name is replaced
+   * @param {String} name action name
+   * @param {String|Array} keys binding or list of bindings
+   * @param {Function} handler called with the keyboard event, return false to leave the event to the browser
+   * @param {Object} options description shown in the help overlay, allowInInputs to run while an input is focused
+   */
+  var registerShortcut = function (name, keys, handler, options = {}) {
+    if (typeof handler !== 'function') throw new TypeError(`ImageEditor: handler of shortcut "${name}" must be a function`);
+
+    this.shortcuts[name] = {
+      keys: [],
+      description: options.description || name,
+      allowInInputs: !!options.allowInInputs,
+      handler
+    };
+    this.setShortcut(name, keys);
+  }
+
+  /**
+   * Change the bindings of a shortcut action, null or an empty array disables it
+   * @param {String} name action name
+   * @param {String|Array} keys binding or list of bindings
+   */
+  var setShortcut = function (name, keys) {
+    let action = this.shortcuts[name];
+    if (!action) throw new Error(`ImageEditor: shortcut action "${name}" doesn't exist`);
+
+    keys = (keys === undefined || keys === null || keys === false) ? [] : [].concat(keys);
+    action.bindings = keys.map(parseBinding);
+    action.keys = keys;
+    this.updateToolButtonTitles();
+  }
+
+  /**
+   * Get active shortcut actions
+   * @returns {Array} list of { name, keys, description }
+   */
+  var getShortcuts = function () {
+    return Object.keys(this.shortcuts)
+      .filter(name => this.shortcuts[name].keys.length)
+      .map(name => ({
+        name,
+        keys: [...this.shortcuts[name].keys],
+        description: this.shortcuts[name].description
+      }));
+  }
+
+  /**
+   * Show shortcut keys of toolbar buttons in their titles
+   */
+  var updateToolButtonTitles = function () {
+    if (!this.toolDefinitions) return;
+
+    this.toolDefinitions.forEach(tool => {
+      let action = this.shortcuts[`tool:${tool.name}`];
+      let title = tool.title || '';
+      if (action && action.keys.length) title += ` (${formatBinding(action.keys[0])})`;
+      $(`${this.containerSelector} .toolbar .main-buttons button[data-name="${tool.name}"]`).attr('title', title);
+    })
+  }
+
+  /**
+   * Show overlay listing active shortcuts
+   */
+  var showShortcutHelp = function () {
+    $(`.custom-modal-container[data-editor-id=${this.id}]`).remove();
+
+    let modal = this.openModal(`<div class="shortcut-help"><p class="title">Keyboard shortcuts</p><table></table></div>`);
+    // descriptions come from tool titles and options, they are set as text
+    modal.find('table').append(this.getShortcuts().map(shortcut => $('<tr/>').append(
+      $('<td/>').text(shortcut.description),
+      $('<td/>').append(shortcut.keys.map((key, index) => [index ? ' ' : '', $('<kbd/>').text(formatBinding(key))]).flat())
+    )));
+    return modal;
+  }
+
+  /**
+   * Create shortcut actions and listen to keyboard events of the focused editor
+   */
+  var initializeShortcuts = function () {
+    this.shortcuts = {};
+
+    let actions = defaultActions(this);
+    Object.keys(actions).forEach(name => {
+      let action = actions[name];
+      this.registerShortcut(name, action.keys, action.handler, action);
+    })
+
+    // tool keys
+    this.toolDefinitions.forEach(tool => this.registerToolShortcut(tool));
+
+    // remapped bindings
+    Object.keys(this.options.shortcuts).forEach(name => {
+      if (!this.shortcuts[name]) return console.warn(`ImageEditor: unknown shortcut action "${name}" is ignored`);
+      this.setShortcut(name, this.options.shortcuts[name]);
+    })
+
+    this.addDomListener(document, 'keydown', (e) => {
+      if (!this.isFocused() || e.defaultPrevented) return;
+      const inInput = document.querySelectorAll('textarea:focus, input:focus, select:focus, [contenteditable]:focus').length > 0;
+
+      Object.keys(this.shortcuts).some(name => {
+        let action = this.shortcuts[name];
+        if (inInput && !action.allowInInputs) return false;
+        if (!action.bindings.some(binding => matchBinding(e, binding))) return false;
+
+        if (action.handler(e) === false) return false;
+        e.preventDefault();
+        return true;
+      })
+    })
+  }
+
+  /**
+   * Register the shortcut of a tool as "tool:<name>"
+   * @param {Object} tool tool definition
+   */
+  var registerToolShortcut = function (tool) {
+    this.registerShortcut(`tool:${tool.name}`, tool.shortcut || [], () => {
+      $(`${this.containerSelector} .toolbar .main-buttons button[data-name="${tool.name}"]`).click();
+    }, {
+      description: tool.title || tool.name
+    });
+  }
+
+  window.ImageEditor.formatShortcut = formatBinding;
+  window.ImageEditor.prototype.registerShortcut = registerShortcut;
+  window.ImageEditor.prototype.setShortcut = setShortcut;
+  window.ImageEditor.prototype.getShortcuts = getShortcuts;
+  window.ImageEditor.prototype.updateToolButtonTitles = updateToolButtonTitles;
+  window.ImageEditor.prototype.showShortcutHelp = showShortcutHelp;
+  window.ImageEditor.prototype.initializeShortcuts = initializeShortcuts;
+  window.ImageEditor.prototype.registerToolShortcut = registerToolShortcut;
+})();
+
+/**
+ * Define default options and validate options of image editor
+ */
+(function () {
+  'use strict';
+  const fontFileStyles = {
+    normal: 'Regular',
+    bold: 'Bold',
+    italic: 'Italic',
+    boldItalic: 'BoldItalic'
+  };
+  // TrueType files of a font bundled in vendor/fonts, by style, relative to the page like the vendor scripts
+  const vendorFont = (name, styles) => styles.reduce((urls, style) => ({
+    ...urls,
+    [style]: `./vendor/fonts/${name}-${fontFileStyles[style]}.ttf`
+  }), {});
+
+  const defaultOptions = {
+    // toolbar buttons to show, all buttons are shown if empty
+    buttons: [],
+    // svg strings of shapes, default shapes are used if empty
+    shapes: [],
+    // tool definitions added to this editor only, see ImageEditor.registerTool
+    tools: [],
+    history: {
+      // max number of undo steps
+      depth: 100,
+      // max memory of undo/redo steps in bytes
+      maxBytes: 50 * 1024 * 1024,
+      // changes of the same kind within this time in ms are merged into one step, 0 disables merging
+      coalesceWindow: 1000
+    },
+    // key bindings by shortcut action name, e.g. { undo: 'Mod+Z', 'tool:line': ['L', 'Shift+L'], delete: null }
+    shortcuts: {},
+    // object properties saved with designs and project files besides the fabric ones, e.g. ['name', 'locked']
+    customProperties: [],
+    canvas: {
+      width: 800,
+      height: 600
+    },
+    // font list of the selection panel, the first one is used for new text boxes,
+    // fonts with an url of their font file, or urls by style { normal, bold, italic, boldItalic }, are embedded in svg exports
+    fonts: [
+      { label: 'Open Sans', value: "'Open Sans', sans-serif", url: vendorFont('OpenSans', ['normal', 'bold', 'italic', 'boldItalic']) },
+      { label: 'Oswald', value: "'Oswald', sans-serif", url: vendorFont('Oswald', ['normal', 'bold']) },
+      { label: 'Playfair Display', value: "'Playfair Display', serif", url: vendorFont('PlayfairDisplay', ['normal', 'bold', 'italic', 'boldItalic']) },
+      { label: 'Cormorant Garamond', value: "'Cormorant Garamond', serif", url: vendorFont('CormorantGaramond', ['normal', 'bold', 'italic', 'boldItalic']) },
+      // system fonts, they have no font file to embed
+      { label: 'Impact', value: 'Impact, Charcoal, sans-serif' },
+      { label: 'Lucida Console', value: "'Lucida Console', Monaco, monospace" },
+      { label: 'Comic Sans', value: "'Comic Sans MS', 'Comic Sans', cursive, sans-serif" },
+      { label: 'Dancing Script', value: "'Dancing Script', cursive", url: vendorFont('DancingScript', ['normal', 'bold']) },
+      { label: 'Indie Flower', value: "'Indie Flower', cursive", url: vendorFont('IndieFlower', ['normal']) },
+      { label: 'Amatic SC', value: "'Amatic SC', cursive", url: vendorFont('AmaticSC', ['normal', 'bold']) },
+      { label: 'Permanent Marker', value: "'Permanent Marker', cursive", url: vendorFont('PermanentMarker', ['normal']) }
+    ],
+    // prefix of the localStorage keys and name of the IndexedDB database of saved designs
+    storageKey: 'canvasEditor',
+    // 'indexeddb', 'localstorage' or an adapter object, see ImageEditor.storage
+    storage: 'indexeddb',
+    autosave: {
+      // keep unsaved changes as a draft that is offered to restore on the next start
+      enabled: true,
+      // time in ms without changes before the draft is written
+      delay: 2000,
+      // longest time in ms changes wait for the draft while editing goes on
+      maxDelay: 30000
+    },
+    print: {
+      // unit of the canvas size inputs, 'px', 'mm' or 'in', designs keep their own unit and dpi
+      unit: 'px',
+      // canvas pixels per inch when printed
+      dpi: 300,
+      // bleed of print exports in mm
+      bleed: 3,
+      // crop and registration marks of print exports
+      marks: true,
+      // images printed below this resolution are reported by print exports
+      minImageDPI: 150
+    },
+    // rules of images uploaded by the user, violations are explained in a message, 0 disables a limit
+    upload: {
+      // mime types of accepted image files, e.g. ['image/jpeg', 'image/png'], every supported format if empty
+      allowedTypes: [],
+      // max file size in bytes
+      maxFileSize: 25 * 1024 * 1024,
+      // max image size in pixels
+      maxWidth: 12000,
+      maxHeight: 12000,
+      // larger images are scaled down to this width and height for editing, exports use the original image
+      workingSize: 2048,
+      // min resolution of an image printed at its placed size, the dpi of the design is used for print
+      minPrintDPI: 0,
+      // max number of bitmap images in a design
+      maxImages: 0,
+      // images of sites that don't allow other sites to use them are loaded through this proxy, a url with {url}
+      // replaced by the encoded image url or a function (url) => proxied url, null to reject such images
+      proxy: null
+    },
+    zoom: {
+      levels: [0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 2.5, 3],
+      min: 0.05,
+      max: 3,
+      // zoom step of ctrl +/-
+      keyStep: 0.25,
+      // zoom step of ctrl + wheel
+      wheelStep: 0.05
+    },
+    brush: {
+      width: 1,
+      type: 'pencil',
+      color: 'black'
+    },
+    selectionStyle: {
+      transparentCorners: false,
+      cornerStyle: 'circle',
+      borderColor: '#C00000',
+      cornerColor: '#C00000',
+      cornerStrokeColor: '#FFF',
+      padding: 0
+    }
+  }
+
+  const brushTypes = ['pencil', 'circle', 'spray'];
+
+  const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+  const isPositiveNumber = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+  const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+
+  const fail = (name, message) => {
+    throw new TypeError(`ImageEditor: option "${name}" ${message}`);
+  }
+
+  // merge user options into defaults, nested plain objects are merged one level deep
+  const mergeOptions = (defaults, options) => {
+    let merged = {};
+    Object.keys(defaults).forEach(key => {
+      let value = options[key];
+      if (value === undefined || value === null) {
+        value = defaults[key];
+        merged[key] = Array.isArray(value) ? [...value] : isPlainObject(value) ? { ...value } : value;
+      } else if (isPlainObject(defaults[key]) && isPlainObject(value)) {
+        merged[key] = {
+          ...defaults[key],
+          ...value
+        };
+      } else {
+        merged[key] = value;
+      }
+    })
+
+    Object.keys(options).forEach(key => {
+      if (!(key in defaults)) console.warn(`ImageEditor: unknown option "${key}" is ignored`);
+    })
+
+    return merged;
+  }
+
+  /**
+   * Merge options with defaults and validate them
+   * @param {Object} options user options
+   * @returns {Object} validated options
+   */
+  var options = function (options) {
+    if (options === undefined || options === null) options = {};
+    if (!isPlainObject(options)) fail('options', 'must be an object');
+
+    let merged = mergeOptions(defaultOptions, options);
+
+    if (!Array.isArray(merged.buttons)) fail('buttons', 'must be an array of button names');
+    if (!Array.isArray(merged.shapes)) fail('shapes', 'must be an array of svg strings');
+    if (!Array.isArray(merged.tools)) fail('tools', 'must be an array of tool definitions');
+    merged.shapes.forEach((svg, i) => {
+      if (!isNonEmptyString(svg)) fail(`shapes[${i}]`, 'must be an svg string');
+    })
+
+    if (!isPlainObject(merged.canvas)) fail('canvas', 'must be an object');
+    if (!isPositiveNumber(merged.canvas.width)) fail('canvas.width', 'must be a positive number');
+    if (!isPositiveNumber(merged.canvas.height)) fail('canvas.height', 'must be a positive number');
+
+    if (!Array.isArray(merged.fonts) || !merged.fonts.length) fail('fonts', 'must be a non-empty array');
+    merged.fonts = merged.fonts.map((font, i) => {
+      // a plain string is used as both label and css font family
+      if (isNonEmptyString(font)) return { label: font, value: font };
+      if (!isPlainObject(font) || !isNonEmptyString(font.value)) fail(`fonts[${i}]`, 'must be a string or an object with a "value"');
+      if (font.url !== undefined && !isNonEmptyString(font.url) && !(isPlainObject(font.url) && Object.values(font.url).every(isNonEmptyString))) {
+        fail(`fonts[${i}].url`, 'must be a font file url or an object of urls by style');
+      }
+      return {
+        ...font,
+        label: isNonEmptyString(font.label) ? font.label : font.value
+      };
+    })
+
+    if (!isNonEmptyString(merged.storageKey)) fail('storageKey', 'must be a non-empty string');
+    let storage = merged.storage;
+    if (isPlainObject(storage)) {
+      ['list', 'get', 'put', 'delete'].forEach(method => {
+        if (typeof storage[method] !== 'function') fail(`storage.${method}`, 'must be a function');
+      })
+    } else if (!['indexeddb', 'localstorage'].includes(storage)) {
+      fail('storage', 'must be "indexeddb", "localstorage" or an adapter object');
+    }
+
+    let zoom = merged.zoom;
+    if (!isPlainObject(zoom)) fail('zoom', 'must be an object');
+    ['min', 'max', 'keyStep', 'wheelStep'].forEach(key => {
+      if (!isPositiveNumber(zoom[key])) fail(`zoom.${key}`, 'must be a positive number');
+    })
+    // zoom steps are calculated in whole percents
+    if (zoom.keyStep < 0.01 || zoom.wheelStep < 0.01) fail('zoom', 'steps must be at least 0.01');
+    if (zoom.min > 1 || zoom.max < 1) fail('zoom', 'must allow a zoom level of 1 between "min" and "max"');
+    if (!Array.isArray(zoom.levels) || !zoom.levels.length) fail('zoom.levels', 'must be a non-empty array');
+    zoom.levels.forEach((level, i) => {
+      if (!isPositiveNumber(level) || level < zoom.min || level > zoom.max) {
+        fail(`zoom.levels[${i}]`, `must be a number between ${zoom.min} and ${zoom.max}`);
+      }
+    })
+    merged.zoom = {
+      ...zoom,
+      levels: [...zoom.levels].sort((a, b) => a - b)
+    };
+
+    let brush = merged.brush;
+    if (!isPlainObject(brush)) fail('brush', 'must be an object');
+    if (!isPositiveNumber(brush.width)) fail('brush.width', 'must be a positive number');
+    if (!brushTypes.includes(brush.type)) fail('brush.type', `must be one of ${brushTypes.join(', ')}`);
+    if (!isNonEmptyString(brush.color)) fail('brush.color', 'must be a color string');
+
+    if (!isPlainObject(merged.selectionStyle)) fail('selectionStyle', 'must be an object');
+
+    let history = merged.history;
+    if (!isPlainObject(history)) fail('history', 'must be an object');
+    if (!Number.isInteger(history.depth) || history.depth < 1) fail('history.depth', 'must be a positive integer');
+    if (!isPositiveNumber(history.maxBytes)) fail('history.maxBytes', 'must be a positive number');
+    if (typeof history.coalesceWindow !== 'number' || !(history.coalesceWindow >= 0)) fail('history.coalesceWindow', 'must be a number of milliseconds');
+
+    let autosave = merged.autosave;
+    if (!isPlainObject(autosave)) fail('autosave', 'must be an object');
+    if (typeof autosave.enabled !== 'boolean') fail('autosave.enabled', 'must be a boolean');
+    if (typeof autosave.delay !== 'number' || !(autosave.delay >= 0)) fail('autosave.delay', 'must be a number of milliseconds');
+    if (typeof autosave.maxDelay !== 'number' || !(autosave.maxDelay >= 0)) fail('autosave.maxDelay', 'must be a number of milliseconds');
+
+    let print = merged.print;
+    if (!isPlainObject(print)) fail('print', 'must be an object');
+    if (!['px', 'mm', 'in'].includes(print.unit)) fail('print.unit', 'must be one of px, mm, in');
+    if (!isPositiveNumber(print.dpi)) fail('print.dpi', 'must be a positive number');
+    if (typeof print.bleed !== 'number' || !(print.bleed >= 0)) fail('print.bleed', 'must be a number of mm');
+    if (typeof print.marks !== 'boolean') fail('print.marks', 'must be a boolean');
+    if (typeof print.minImageDPI !== 'number' || !(print.minImageDPI >= 0)) fail('print.minImageDPI', 'must be a number');
+
+    let upload = merged.upload;
+    if (!isPlainObject(upload)) fail('upload', 'must be an object');
+    if (!Array.isArray(upload.allowedTypes) || !upload.allowedTypes.every(isNonEmptyString)) fail('upload.allowedTypes', 'must be an array of mime types');
+    ['maxFileSize', 'maxWidth', 'maxHeight', 'workingSize', 'minPrintDPI', 'maxImages'].forEach(key => {
+      if (typeof upload[key] !== 'number' || !(upload[key] >= 0)) fail(`upload.${key}`, 'must be a number, 0 for no limit');
+    })
+    if (upload.proxy !== null && typeof upload.proxy !== 'function' && !(isNonEmptyString(upload.proxy) && upload.proxy.includes('{url}'))) {
+      fail('upload.proxy', 'must be a url containing {url}, a function or null');
+    }
+
+    if (!Array.isArray(merged.customProperties) || !merged.customProperties.every(isNonEmptyString)) fail('customProperties', 'must be an array of property names');
+
+    if (!isPlainObject(merged.shortcuts)) fail('shortcuts', 'must be an object');
+    Object.keys(merged.shortcuts).forEach(name => {
+      let keys = merged.shortcuts[name];
+      if (keys === null || keys === false) return;
+      if (![].concat(keys).every(isNonEmptyString)) fail(`shortcuts.${name}`, 'must be a key binding string, an array of them or null');
+    })
+
+    return merged;
+  }
+
+  window.ImageEditor.defaultOptions = defaultOptions;
+  window.ImageEditor.prototype.initializeOptions = options;
+})();
+
+/**
+ * Canvas section management of image editor
+ */
+(function () {
+  'use strict';
+  var canvas = function () {
+    try {
+      const canvasId = `image-editor-canvas-${this.id}`;
+      $(`${this.containerSelector} .main-panel`).append(`<div class="canvas-holder"><div class="content"><canvas id="${canvasId}"></canvas></div></div>`);
+      const fabricCanvas = new fabric.Canvas(canvasId).setDimensions({
+        width: this.options.canvas.width,
+        height: this.options.canvas.height
+      })
+
+      fabricCanvas.originalW = fabricCanvas.width;
+      fabricCanvas.originalH = fabricCanvas.height;
+
+      // set up selection style per object, so editors with different styles don't affect each other
+      const setSelectionStyle = (obj) => obj && obj.set(this.options.selectionStyle);
+      fabricCanvas.on('object:added', (e) => setSelectionStyle(e.target))
+
+      // give every object an id to find it by the content api
+      fabricCanvas.on('object:added', (e) => {
+        if (e.target && !e.target.id) e.target.id = createObjectId()
+      })
+
+      // retrieve active selection to react state
+      fabricCanvas.on('selection:created', (e) => {
+        setSelectionStyle(e.target)
+        this.setActiveSelection(e.target)
+      })
+      fabricCanvas.on('selection:updated', (e) => {
+        setSelectionStyle(e.target)
+        this.setActiveSelection(e.target)
+      })
+      fabricCanvas.on('selection:cleared', (e) => this.setActiveSelection(null))
+
+      // snap to an angle on rotate if shift key is down
+      fabricCanvas.on('object:rotating', (e) => {
+        if (e.e.shiftKey) {
+          e.target.snapAngle = 15;
+        } else {
+          e.target.snapAngle = false;
+        }
+      })
+
+      fabricCanvas.on('object:modified', (e) => {
+        let target = (e && e.target) || null;
+        // only the modified objects are serialized again for history
+        let objects = target ? (target.type === 'activeSelection' ? target.getObjects() : [target]) : null;
+        this.recordHistory(null, true, objects);
+        this.emitChange(target);
+      })
+
+      this.canvas = fabricCanvas;
+      this.resetHistory();
+
+      return fabricCanvas;
+    } catch (error) {
+      console.error("can't create canvas instance");
+      this.emit('error', {
+        message: "can't create canvas instance",
+        error
+      });
+      return null;
+    }
+  }
+
+  window.ImageEditor.prototype.initializeCanvas = canvas;
+})();
+
+/**
+ * Define reading of image files
+ *
+ * The format is detected from the file content, browsers often give no or a wrong type for bmp, ico and webp files.
+ * GIF (first frame), BMP and ICO files are converted to PNG and JPG photos are turned by their EXIF orientation,
+ * so that exports and other programs show the image the same way. Files that can't be used are rejected with an
+ * error named 'ImageFormatError' whose message explains why.
+ */
+(function () {
+  'use strict';
+  const formats = {
+    jpeg: { label: 'JPG', mimeType: 'image/jpeg' },
+    png: { label: 'PNG', mimeType: 'image/png' },
+    gif: { label: 'GIF', mimeType: 'image/gif', convert: true },
+    webp: { label: 'WebP', mimeType: 'image/webp' },
+    bmp: { label: 'BMP', mimeType: 'image/bmp', convert: true },
+    ico: { label: 'ICO', mimeType: 'image/x-icon', convert: true },
+    // only where the browser supports it, it isn't mentioned to users
+    avif: { label: 'AVIF', mimeType: 'image/avif', hidden: true },
+    svg: { label: 'SVG', mimeType: 'image/svg+xml' }
+  };
+
+  // recognized formats that can't be used
+  const unsupportedFormats = {
+    heic: 'is a HEIC photo, which browsers can\'t open. Save it as JPG, e.g. with "Most Compatible" in the iPhone camera settings, and upload it again',
+    tiff: 'is a TIFF image, which browsers can\'t open. Save it as PNG or JPG and upload it again',
+    psd: 'is a Photoshop file. Export it as PNG or JPG and upload it again',
+    pdf: 'is a PDF document. Export the page as PNG, JPG or SVG and upload it again'
+  };
+
+  const supportedLabels = () => joinList(Object.keys(formats).filter(name => !formats[name].hidden).map(name => formats[name].label));
+
+  const createImageError = (message, props = {}) => Object.assign(new Error(message), { name: 'ImageFormatError' }, props);
+
+  const read = (blob, method) => {
+    return new Promise((resolve, reject) => {
+      let reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error(`can't read file ${blob.name || ''}`));
+      reader[method](blob);
+    })
+  }
+
+  const ascii = (bytes, start, end) => String.fromCharCode.apply(null, bytes.subarray(start, end));
+
+  /**
+   * Detect the image format from the first bytes of a file
+   * @param {Uint8Array} bytes
+   * @returns {String} format name of formats or unsupportedFormats, null if unknown
+   */
+  const detectFormat = (bytes) => {
+    if (bytes[0] === 0x89 && ascii(bytes, 1, 4) === 'PNG') return 'png';
+    if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+    if (ascii(bytes, 0, 4) === 'GIF8') return 'gif';
+    if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP') return 'webp';
+    if (ascii(bytes, 0, 2) === 'BM') return 'bmp';
+    if (bytes[0] === 0 && bytes[1] === 0 && bytes[2] === 1 && bytes[3] === 0) return 'ico';
+    if (ascii(bytes, 4, 8) === 'ftyp') {
+      let brand = ascii(bytes, 8, 12);
+      if (/^avi[fs]$/.test(brand)) return 'avif';
+      if (/^(hei[cxms]|hev[cx]|mif1|msf1)$/.test(brand)) return 'heic';
+    }
+    if (ascii(bytes, 0, 4) === 'II*\0' || ascii(bytes, 0, 4) === 'MM\0*') return 'tiff';
+    if (ascii(bytes, 0, 4) === '8BPS') return 'psd';
+    if (ascii(bytes, 0, 5) === '%PDF-') return 'pdf';
+    if (/<svg[\s>]/i.test(ascii(bytes, 0, Math.min(bytes.length, 4096)))) return 'svg';
+    return null;
+  }
+
+  /**
+   * Read the EXIF orientation of a jpeg file
+   * @param {Uint8Array} bytes start of the file, the EXIF data is in the first 64KB
+   * @returns {Number} 1-8, 1 if the file has no orientation
+   */
+  const getOrientation = (bytes) => {
+    try {
+      let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      let offset = 2;
+      while (offset + 4 <= view.byteLength) {
+        let marker = view.getUint16(offset);
+        // the image data starts with the start of scan marker
+        if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break;
+        if (marker === 0xffe1 && ascii(bytes, offset + 4, offset + 10) === 'Exif\0\0') {
+          let tiff = offset + 10;
+          let little = view.getUint16(tiff) === 0x4949;
+          let directory = tiff + view.getUint32(tiff + 4, little);
+          let entries = view.getUint16(directory, little);
+          for (let i = 0; i < entries; i++) {
+            let entry = directory + 2 + i * 12;
+            if (view.getUint16(entry, little) === 0x0112) {
+              let orientation = view.getUint16(entry + 8, little);
+              return orientation >= 1 && orientation <= 8 ? orientation : 1;
+            }
+          }
+          return 1;
+        }
+        offset += 2 + view.getUint16(offset + 2);
+      }
+    } catch (error) {
+      // a damaged EXIF block is ignored like browsers do
+    }
+    return 1;
+  }
+
+  const loadElement = (url) => {
+    return new Promise((resolve, reject) => {
+      let image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error("can't decode image"));
+      image.src = url;
+    })
+  }
+
+  // browsers since 2020 turn jpeg images by their EXIF orientation themselves
+  let orientationSupport = null;
+  const appliesOrientation = () => {
+    if (!orientationSupport) {
+      let canvas = document.createElement('canvas');
+      canvas.width = 2;
+      canvas.height = 1;
+      let jpeg = atob(canvas.toDataURL('image/jpeg').split(',')[1]);
+      // APP1 segment with orientation 6, the 2x1 image is shown as 1x2 when it's applied
+      let exif = [0xff, 0xe1, 0, 34, 0x45, 0x78, 0x69, 0x66, 0, 0, 0x4d, 0x4d, 0, 0x2a, 0, 0, 0, 8, 0, 1, 0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, 6, 0, 0, 0, 0, 0, 0];
+      let url = `data:image/jpeg;base64,${btoa(jpeg.substring(0, 2) + String.fromCharCode(...exif) + jpeg.substring(2))}`;
+      orientationSupport = loadElement(url).then(image => image.naturalWidth === 1 && image.naturalHeight === 2, () => false);
+    }
+    return orientationSupport;
+  }
+
+  // canvas transforms of the EXIF orientations 2-8
+  const orientationTransforms = {
+    2: (width, height) => [-1, 0, 0, 1, width, 0],
+    3: (width, height) => [-1, 0, 0, -1, width, height],
+    4: (width, height) => [1, 0, 0, -1, 0, height],
+    5: (width, height) => [0, 1, 1, 0, 0, 0],
+    6: (width, height) => [0, 1, -1, 0, height, 0],
+    7: (width, height) => [0, -1, -1, 0, height, width],
+    8: (width, height) => [0, -1, 1, 0, 0, width]
+  };
+
+  /**
+   * Draw an image on a new canvas
+   * @param {Object} image image element
+   * @param {Number} orientation EXIF orientation to apply, 1 draws the image as it is
+   * @returns {Object} canvas element
+   */
+  const drawImage = (image, orientation) => {
+    let width = image.naturalWidth;
+    let height = image.naturalHeight;
+    let canvas = document.createElement('canvas');
+    canvas.width = orientation >= 5 ? height : width;
+    canvas.height = orientation >= 5 ? width : height;
+    let ctx = canvas.getContext('2d');
+    if (orientationTransforms[orientation]) ctx.transform(...orientationTransforms[orientation](width, height));
+    ctx.drawImage(image, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * Read an image file
+   * @param {Blob} file
+   * @returns {Promise<Object>} { format, svg } for svg files, { format, url, element } for images, url is a data url
+   * and element the loaded image element
+   */
+  const readImageFile = (file) => {
+    let name = file.name || 'The file';
+    return read(file.slice(0, 65536), 'readAsArrayBuffer').then(buffer => {
+      let bytes = new Uint8Array(buffer);
+      let format = detectFormat(bytes);
+      if (!format && file.type === 'image/svg+xml') format = 'svg';
+      if (unsupportedFormats[format]) throw createImageError(`${name} ${unsupportedFormats[format]}.`, { format });
+      if (!format) {
+        throw createImageError(`${name} isn't an image that can be opened, supported formats are ${supportedLabels()}.`, { format });
+      }
+      if (format === 'svg') return read(file, 'readAsText').then(svg => ({ format, svg }));
+
+      let orientation = format === 'jpeg' ? getOrientation(bytes) : 1;
+      return read(file, 'readAsDataURL').then(url => {
+        // the type of the file may be wrong
+        url = url.replace(/^data:[^,;]*/, `data:${formats[format].mimeType}`);
+        return Promise.all([loadElement(url), orientation > 1 ? appliesOrientation() : true]);
+      }).then(([image, applied]) => {
+        if (!formats[format].convert && orientation === 1) return { format, url: image.src, element: image };
+        let canvas = drawImage(image, applied ? 1 : orientation);
+        return loadElement(canvas.toDataURL(format === 'jpeg' ? 'image/jpeg' : 'image/png', 0.92)).then(element => ({
+          format,
+          url: element.src,
+          element
+        }));
+      }, error => {
+        throw createImageError(`${name} can't be opened, the ${formats[format].label} file is damaged or this browser doesn't support it.`, { format, cause: error });
+      });
+    });
+  }
+
+  window.ImageEditor.imageFormats = formats;
+  window.ImageEditor.readImageFile = readImageFile;
+})();
+
+/**
+ * Define rules of uploaded images
+ *
+ * Uploads are checked against the upload options before they're added. Images larger than the working size are
+ * added scaled down to keep the editor fast, the original image is kept in the originalImage property of the object
+ * and used by exports.
+ */
+(function () {
+  'use strict';
+
+  const createUploadError = (message, rule) => Object.assign(new Error(message), { name: 'UploadError', rule });
+
+  const formatFileSize = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+    return `${Math.ceil(bytes / 1024)} KB`;
+  }
+
+  // bitmap images of the design, also the ones in groups
+  const countImages = (objects) => objects.reduce((count, object) => {
+    if (object.type === 'group') return count + countImages(object.getObjects());
+    return count + (object.type === 'image' ? 1 : 0);
+  }, 0);
+
+  // bitmap images of svg markup, they become images of the design
+  const countSVGImages = (svg) => new DOMParser().parseFromString(svg, 'image/svg+xml').getElementsByTagName('image').length;
+
+  const checkImageCount = (editor, count, name) => {
+    const rules = editor.options.upload;
+    if (rules.maxImages && count && countImages(editor.canvas.getObjects()) + count > rules.maxImages) {
+      throw createUploadError(`${name} can't be added, a design can have at most ${rules.maxImages} image${rules.maxImages > 1 ? 's' : ''}.`, 'maxImages');
+    }
+  }
+
+  /**
+   * Scale an image down to fit into a square
+   * @param {Object} image image of ImageEditor.readImageFile
+   * @param {Number} size max width and height
+   * @returns {Promise<Object>} image element, jpeg photos stay jpeg, other formats become png to keep their transparency
+   */
+  const scaleDown = (image, size) => {
+    let element = image.element;
+    let scale = size / Math.max(element.naturalWidth, element.naturalHeight);
+    let canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(element.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(element.naturalHeight * scale));
+    let ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(element, 0, 0, canvas.width, canvas.height);
+    let url = canvas.toDataURL(image.format === 'jpeg' ? 'image/jpeg' : 'image/png', 0.92);
+    return new Promise((resolve, reject) => fabric.util.loadImage(url, (scaled, isError) => {
+      if (isError || !scaled) return reject(new Error("can't scale down the image"));
+      resolve(scaled);
+    }));
+  }
+
+  /**
+   * Get the image formats users may upload
+   * @returns {Array} entries of ImageEditor.imageFormats
+   */
+  var getUploadFormats = function () {
+    const formats = window.ImageEditor.imageFormats;
+    let allowedTypes = this.options.upload.allowedTypes;
+    return Object.keys(formats).map(name => formats[name]).filter(format => {
+      return allowedTypes.length ? allowedTypes.includes(format.mimeType) : !format.hidden;
+    });
+  }
+
+  const checkType = (editor, format, name) => {
+    let allowedTypes = editor.options.upload.allowedTypes;
+    if (allowedTypes.length && !allowedTypes.includes(format.mimeType)) {
+      let labels = editor.getUploadFormats().map(allowed => allowed.label);
+      throw createUploadError(`${format.label} images like ${name} can't be uploaded, use ${joinList(labels)}.`, 'allowedTypes');
+    }
+  }
+
+  /**
+   * Check a loaded image against the upload rules, then add it or replace an image by it
+   * @param {Object} editor
+   * @param {Object} image { element, url, format, crossOrigin } format is null if it's unknown
+   * @param {String} name file name used in messages
+   * @param {Object} opts options of addImage, replace: a fabric image to replace
+   * @returns {Promise<Object>} the fabric image
+   */
+  const placeImage = (editor, image, name, opts) => {
+    const rules = editor.options.upload;
+    let { replace, ...addOptions } = opts;
+    let width = image.element.naturalWidth;
+    let height = image.element.naturalHeight;
+    if ((rules.maxWidth && width > rules.maxWidth) || (rules.maxHeight && height > rules.maxHeight)) {
+      let limits = [rules.maxWidth && `${rules.maxWidth} pixels wide`, rules.maxHeight && `${rules.maxHeight} pixels high`];
+      throw createUploadError(`${name} is ${width} × ${height} pixels, images can be at most ${limits.filter(Boolean).join(' and ')}.`, rules.maxWidth && width > rules.maxWidth ? 'maxWidth' : 'maxHeight');
+    }
+    if (!replace) checkImageCount(editor, 1, name);
+
+    // a replaced image is fitted into its box, addImage scales to the height if both are given
+    let placedWidth = opts.width || width;
+    if (replace) placedWidth = width * Math.min(replace.getScaledWidth() / width, replace.getScaledHeight() / height);
+    else if (opts.height) placedWidth = width * opts.height / height;
+    let printDPI = editor.getPrintSettings().dpi;
+    let dpi = Math.round(printDPI * width / placedWidth);
+    if (rules.minPrintDPI && dpi < rules.minPrintDPI) {
+      let neededWidth = Math.ceil(placedWidth / printDPI * rules.minPrintDPI);
+      throw createUploadError(`${name} is too small to print well, it prints at ${dpi} dpi and needs at least ${rules.minPrintDPI} dpi. Use an image of at least ${neededWidth} pixels width.`, 'minPrintDPI');
+    }
+
+    const add = (element, properties) => {
+      // images of other sites are loaded again with cors when a design is opened
+      if (image.crossOrigin) properties.crossOrigin = image.crossOrigin;
+      if (replace) return editor.replaceImage(replace, element, properties);
+      return editor.addImage(element, {
+        ...addOptions,
+        ...properties
+      });
+    }
+    if (!rules.workingSize || Math.max(width, height) <= rules.workingSize) return add(image.element, {});
+    return scaleDown(image, rules.workingSize).then(element => add(element, {
+      originalImage: {
+        src: image.url,
+        width,
+        height
+      }
+    }));
+  }
+
+  /**
+   * Add an image file of the user, the file is checked against the upload options and large images are scaled down
+   * @param {Blob} file image file
+   * @param {Object} opts options of addImage, replace: a fabric image to replace by the file with replaceImage
+   * @returns {Promise<Object>} the created or replaced fabric object, files breaking a rule are rejected with an error
+   * named 'UploadError' whose rule is the name of the upload option or 'replace' for svg files replacing an image,
+   * files that can't be opened with an 'ImageFormatError'
+   */
+  var uploadImage = function (file, opts = {}) {
+    const rules = this.options.upload;
+    let name = file.name || 'The file';
+    if (rules.maxFileSize && file.size > rules.maxFileSize) {
+      return Promise.reject(createUploadError(`${name} is ${formatFileSize(file.size)}, files can be at most ${formatFileSize(rules.maxFileSize)}.`, 'maxFileSize'));
+    }
+
+    return window.ImageEditor.readImageFile(file).then(image => {
+      checkType(this, window.ImageEditor.imageFormats[image.format], name);
+      // svg files are vector graphics without a pixel size
+      if (image.svg && opts.replace) throw createUploadError(`SVG files like ${name} can't replace an image, add them as new objects.`, 'replace');
+      if (image.svg) {
+        checkImageCount(this, countSVGImages(image.svg), name);
+        return this.addImage(file, opts);
+      }
+      return placeImage(this, image, name, opts);
+    }).then(obj => {
+      this.emit('upload', {
+        file,
+        object: obj
+      });
+      return obj;
+    });
+  }
+
+  /**
+   * Get the file name of an url
+   * @param {String} url
+   * @returns {String} 'image' for data urls
+   */
+  var getURLName = function (url) {
+    let name = /^data:/.test(url) ? '' : url.split(/[?#]/)[0].split('/').filter(Boolean).pop();
+    try {
+      return decodeURIComponent(name || 'image');
+    } catch (error) {
+      return name;
+    }
+  }
+
+  // image format of an url by its extension or data url type, undefined if unknown
+  const getURLFormat = (url) => {
+    const formats = window.ImageEditor.imageFormats;
+    let type = (url.match(/^data:([^;,]+)/) || [])[1];
+    let extension = (getURLName(url).match(/\.(\w+)$/) || [])[1];
+    if (extension) extension = extension.toLowerCase().replace(/^jpg$/, 'jpeg');
+    return Object.keys(formats).find(name => name === extension || formats[name].mimeType === type);
+  }
+
+  // load an image element with fabric, null if it fails
+  const loadElement = (url, crossOrigin) => new Promise(resolve => {
+    fabric.Image.fromURL(url, (img, isError) => resolve(isError || !img.getElement() ? null : img.getElement()), crossOrigin ? {
+      crossOrigin
+    } : {});
+  })
+
+  // an image of another site without cors headers taints the canvas, toDataURL exports fail afterwards
+  const isTainted = (element) => {
+    let canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    canvas.getContext('2d').drawImage(element, 0, 0, 1, 1);
+    try {
+      canvas.toDataURL();
+      return false;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Load an image of an url so that exports keep working, images of sites that don't allow it are loaded through
+   * the proxy of the upload options
+   * @param {Object} editor
+   * @param {String} url
+   * @param {Function} onProgress called with 'loading' and 'proxy' when the image is loaded through the proxy
+   * @returns {Promise<Object>} { element, url, crossOrigin } url is the loaded url
+   */
+  const loadExportableImage = (editor, url, onProgress) => {
+    const proxy = editor.options.upload.proxy;
+    let name = getURLName(url);
+    let site = /^https?:/.test(url) ? new URL(url).host : 'the link';
+    const load = (src) => loadElement(src, 'anonymous').then(element => element && !isTainted(element) ? {
+      element,
+      url: src,
+      crossOrigin: 'anonymous'
+    } : null);
+
+    onProgress('loading');
+    return load(url).then(result => {
+      if (result || !proxy || !/^https?:/.test(url)) return result;
+      onProgress('proxy');
+      return load(typeof proxy === 'function' ? proxy(url) : proxy.replace('{url}', encodeURIComponent(url)));
+    }).then(result => {
+      if (result) return result;
+      // an image that loads without cors can be shown but not exported
+      return loadElement(url).then(element => {
+        if (element) throw createUploadError(`${site} doesn't allow other sites to use ${name}, it would break exports. Save the image and upload the file instead.`, 'crossOrigin');
+        throw createUploadError(`${name} can't be loaded from ${site}, check the link or save the image and upload the file instead.`, 'url');
+      });
+    });
+  }
+
+  // data urls are read like files, the text of unencoded ones is saved as utf-8
+  const dataURLToFile = (url) => {
+    let index = url.indexOf(',');
+    let header = url.substring(0, index);
+    let data = url.substring(index + 1);
+    let type = (header.match(/^data:([^;,]*)/) || [])[1] || '';
+    let content = /;base64$/i.test(header) ? Uint8Array.from(atob(data), char => char.charCodeAt(0)) : decodeURIComponent(data);
+    return new File([content], getURLName(url), { type });
+  }
+
+  /**
+   * Add an image of an url, the image is checked against the upload options like files, except for the file size
+   * and for the type if the url doesn't tell it, data urls are uploaded as files
+   * @param {String} url http(s) or data url
+   * @param {Object} opts options of uploadImage, onProgress: called with 'loading' and 'proxy' when the image is
+   * loaded through the proxy of the upload options
+   * @returns {Promise<Object>} the created or replaced fabric object, images that can't be loaded or used are rejected
+   * with an error named 'UploadError' whose rule is 'url', 'crossOrigin' or the broken upload option
+   */
+  var uploadImageFromURL = function (url, opts = {}) {
+    let { onProgress = () => {}, ...uploadOptions } = opts;
+    url = String(url).trim();
+    if (!/^(https?:|data:image\/)/i.test(url)) return Promise.reject(createUploadError(`${url || 'The link'} isn't a link to an image.`, 'url'));
+    if (/^data:/i.test(url)) {
+      let file;
+      try {
+        file = dataURLToFile(url);
+      } catch (error) {
+        return Promise.reject(createUploadError('The image data of the link is damaged.', 'url'));
+      }
+      return this.uploadImage(file, uploadOptions);
+    }
+
+    let name = getURLName(url);
+    let format = getURLFormat(url);
+    try {
+      if (format) checkType(this, window.ImageEditor.imageFormats[format], name);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return loadExportableImage(this, url, onProgress).then(image => placeImage(this, {
+      ...image,
+      format
+    }, name, uploadOptions)).then(obj => {
+      this.emit('upload', {
+        url,
+        object: obj
+      });
+      return obj;
+    });
+  }
+
+  window.ImageEditor.prototype.getUploadFormats = getUploadFormats;
+  window.ImageEditor.prototype.uploadImage = uploadImage;
+  window.ImageEditor.prototype.uploadImageFromURL = uploadImageFromURL;
+  window.ImageEditor.getURLName = getURLName;
+})();
+
+/**
+ * Define api to add and remove canvas content programmatically
+ */
+(function () {
+  'use strict';
+
+  // options handled by the api, the others are set on the created object
+  const placementOptions = ['width', 'height', 'center'];
+
+  const getObjectOptions = (opts) => {
+    let objectOptions = {};
+    Object.keys(opts).forEach(key => {
+      if (!placementOptions.includes(key)) objectOptions[key] = opts[key];
+    })
+    return objectOptions;
+  }
+
+  // image files are checked, converted and turned by their EXIF orientation
+  const loadFile = (file) => {
+    return window.ImageEditor.readImageFile(file).then(result => result.svg ? loadSVG(result.svg) : new fabric.Image(result.element))
+  }
+
+  const loadSVG = (svg) => {
+    return new Promise((resolve, reject) => {
+      fabric.loadSVGFromString(svg, (objects, options) => {
+        if (!objects || !objects.length) return reject(new Error("can't parse svg"))
+        resolve(fabric.util.groupSVGElements(objects, options))
+      })
+    })
+  }
+
+  const loadImage = (url) => {
+    return new Promise((resolve, reject) => {
+      // fabric.Image.fromURL doesn't tell broken images apart
+      fabric.util.loadImage(url, (element, isError) => {
+        if (isError || !element) return reject(new Error(`can't load image ${url.substring(0, 100)}`))
+        resolve(new fabric.Image(element, {
+          crossOrigin: 'anonymous'
+        }))
+      }, null, 'anonymous')
+    })
+  }
+
+  // load an url, a file or an image element, null if the source is none of them
+  const loadSource = (source) => {
+    if (source instanceof Blob) return loadFile(source);
+    if (source instanceof HTMLImageElement) return Promise.resolve(new fabric.Image(source));
+    if (typeof source === 'string' && source.length) return loadImage(source);
+    return null;
+  }
+
+  /**
+   * Scale and place the object, it is centered on the canvas or on the center option if no position is given
+   * @param {Object} editor image editor
+   * @param {Object} obj fabric js object
+   * @param {Object} opts object options
+   */
+  const placeObject = (editor, obj, opts) => {
+    if (opts.width) obj.scaleToWidth(opts.width)
+    if (opts.height) obj.scaleToHeight(opts.height)
+    obj.set(getObjectOptions(opts))
+
+    let center = opts.center || {
+      x: editor.canvas.originalW / 2,
+      y: editor.canvas.originalH / 2
+    };
+    if (opts.left === undefined) obj.set('left', center.x - obj.getScaledWidth() / 2)
+    if (opts.top === undefined) obj.set('top', center.y - obj.getScaledHeight() / 2)
+    obj.setCoords()
+  }
+
+  // add the object and record it in history
+  const addObject = (editor, obj) => {
+    editor.canvas.add(obj)
+    editor.canvas.renderAll()
+    editor.canvas.trigger('object:modified', {
+      target: obj
+    })
+    return obj
+  }
+
+  /**
+   * Find a canvas object by id
+   * @param {String} id object id
+   * @returns {Object} fabric js object or undefined
+   */
+  var getObjectById = function (id) {
+    return this.canvas.getObjects().find(obj => obj.id === id);
+  }
+
+  /**
+   * Add a text box
+   * @param {String} text text of the text box
+   * @param {Object} opts fabric textbox options, width is the wrapping width (default 200)
+   * @returns {Promise<Object>} the created fabric textbox
+   */
+  var addText = function (text, opts = {}) {
+    try {
+      // width of a text box is its wrapping width, so it's not scaled
+      let textbox = new fabric.Textbox(text, {
+        width: opts.width || 200,
+        fontSize: 18,
+        fontFamily: this.options.fonts[0].value,
+        ...getObjectOptions(opts)
+      });
+      textbox.setControlsVisibility({
+        'mb': false
+      });
+      placeObject(this, textbox, {
+        ...getObjectOptions(opts),
+        center: opts.center
+      })
+      return Promise.resolve(addObject(this, textbox));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * Add an image, svg files are added as vector objects
+   * @param {String|Blob|Object} source image url, data url, file or loaded image element, files are read with
+   * ImageEditor.readImageFile
+   * @param {Object} opts fabric image options, width/height scale the image
+   * @returns {Promise<Object>} the created fabric object
+   */
+  var addImage = function (source, opts = {}) {
+    let load = loadSource(source);
+    if (!load) return Promise.reject(new TypeError('addImage expects an url, a blob or an image element'));
+
+    return load.then(obj => {
+      placeObject(this, obj, opts)
+      return addObject(this, obj)
+    });
+  }
+
+  /**
+   * Replace the picture of an image, the image keeps its position, angle, effects and other properties
+   * and is scaled to fit into its current size
+   * @param {String|Object} target id of the image or the fabric image
+   * @param {String|Blob|Object} source like addImage, svg files can't replace an image
+   * @param {Object} opts optional, properties set on the image
+   * @returns {Promise<Object>} the fabric image
+   */
+  var replaceImage = function (target, source, opts = {}) {
+    let image = typeof target === 'string' ? this.getObjectById(target) : target;
+    if (!image || image.type !== 'image') return Promise.reject(new Error(`image ${image ? image.id : target} not found`));
+
+    let load = loadSource(source);
+    if (!load) return Promise.reject(new TypeError('replaceImage expects an url, a blob or an image element'));
+
+    return load.then(loaded => {
+      if (loaded.type !== 'image') throw new TypeError("an svg file can't replace an image");
+      let center = image.getCenterPoint();
+      let scale = Math.min(image.getScaledWidth() / loaded.width, image.getScaledHeight() / loaded.height);
+      image.setElement(loaded.getElement(), {
+        cropX: 0,
+        cropY: 0
+      });
+      image.set({
+        scaleX: scale,
+        scaleY: scale,
+        // the original of a scaled down picture belongs to that picture
+        originalImage: null,
+        ...opts
+      });
+      image.setPositionByOrigin(center, 'center', 'center');
+      image.setCoords();
+      this.canvas.requestRenderAll();
+      this.canvas.trigger('object:modified', {
+        target: image
+      });
+      return image;
+    });
+  }
+
+  /**
+   * Add a shape from svg markup
+   * @param {String} svg svg markup
+   * @param {Object} opts fabric object options, width/height scale the shape (default 100)
+   * @returns {Promise<Object>} the created fabric object
+   */
+  var addShape = function (svg, opts = {}) {
+    return loadSVG(svg).then(obj => {
+      obj.strokeUniform = true
+      obj.strokeLineJoin = 'miter'
+      placeObject(this, obj, {
+        width: 100,
+        height: 100,
+        ...opts
+      })
+      return addObject(this, obj)
+    });
+  }
+
+  /**
+   * Set canvas background
+   * @param {String|Object|null} background a css color, fabric gradient (options), {image: urlOrBlob} or null to clear
+   * @returns {Promise<Object>} the fabric canvas
+   */
+  var setBackground = function (background) {
+    const canvas = this.canvas;
+    const done = () => {
+      canvas.renderAll()
+      canvas.trigger('object:modified')
+      return canvas
+    }
+
+    if (background === null || typeof background === 'string') {
+      canvas.setBackgroundImage(null)
+      canvas.setBackgroundColor(background || '')
+      return Promise.resolve(done());
+    }
+
+    if (background instanceof fabric.Gradient || (background && Array.isArray(background.colorStops))) {
+      let gradient = background;
+      if (!(gradient instanceof fabric.Gradient)) {
+        gradient = gradient.coords ? new fabric.Gradient(gradient) : generateFabricGradientFromColorStops(
+          gradient.colorStops.map(stop => ({
+            color: stop.color,
+            position: stop.offset * 100
+          })),
+          canvas.originalW,
+          canvas.originalH,
+          gradient.type || 'linear',
+          gradient.angle || 0
+        );
+      }
+      canvas.setBackgroundImage(null)
+      canvas.setBackgroundColor(gradient)
+      return Promise.resolve(done());
+    }
+
+    if (background && background.image) {
+      let load = background.image instanceof Blob ? loadFile(background.image) : loadImage(background.image);
+      return load.then(img => {
+        // cover the whole canvas
+        let scale = Math.max(canvas.originalW / img.width, canvas.originalH / img.height)
+        img.set({
+          scaleX: scale,
+          scaleY: scale
+        })
+        canvas.setBackgroundImage(img)
+        return done()
+      });
+    }
+
+    return Promise.reject(new TypeError('setBackground expects a color, a gradient or {image}'));
+  }
+
+  /**
+   * Remove a canvas object by id
+   * @param {String} id object id
+   * @returns {Promise<Object>} the removed fabric object
+   */
+  var removeObject = function (id) {
+    let obj = this.getObjectById(id);
+    if (!obj) return Promise.reject(new Error(`object ${id} not found`));
+
+    if (this.canvas.getActiveObjects().includes(obj)) this.canvas.discardActiveObject();
+    this.canvas.remove(obj);
+    this.canvas.requestRenderAll();
+    this.canvas.trigger('object:modified', {
+      target: obj
+    });
+    return Promise.resolve(obj);
+  }
+
+  /**
+   * Set canvas size, the size doesn't depend on the zoom level
+   * @param {Number} width canvas width
+   * @param {Number} height canvas height
+   * @returns {Promise<Object>} the fabric canvas
+   */
+  var setCanvasSize = function (width, height) {
+    width = Number(width);
+    height = Number(height);
+    if (!(width > 0) || !(height > 0)) return Promise.reject(new Error('canvas size must be positive numbers'));
+
+    this.resizeCanvas(width, height);
+    this.canvas.trigger('object:modified');
+    return Promise.resolve(this.canvas);
+  }
+
+  window.ImageEditor.prototype.getObjectById = getObjectById;
+  window.ImageEditor.prototype.addText = addText;
+  window.ImageEditor.prototype.addImage = addImage;
+  window.ImageEditor.prototype.replaceImage = replaceImage;
+  window.ImageEditor.prototype.addShape = addShape;
+  window.ImageEditor.prototype.setBackground = setBackground;
+  window.ImageEditor.prototype.setCanvasSize = setCanvasSize;
+  window.ImageEditor.prototype.removeObject = removeObject;
+})();
+/**
+ * Define notifications shown on top of the canvas
+ */
+(function () {
+  'use strict';
+
+  /**
+   * Show a message to the user, it disappears after a while or on click
+   * @param {String} message text of the message
+   * @param {Object} options type: 'info', 'warning' or 'error', duration in ms, 0 keeps the message
+   * @returns {Object} jQuery element of the message
+   */
+  var notify = function (message, options = {}) {
+    const { type = 'info', duration = 5000 } = options;
+    let container = $(`${this.containerSelector} .main-panel .notification-container`);
+    if (!container.length) {
+      container = $('<div class="notification-container"></div>');
+      $(`${this.containerSelector} .main-panel`).append(container);
+    }
+
+    let notification = $(`<div class="notification ${type}"></div>`).text(message);
+    container.append(notification);
+    notification.click(() => notification.remove());
+    if (duration) {
+      // cleared by destroy
+      let timer = setTimeout(() => {
+        this.notificationTimers.delete(timer);
+        notification.remove();
+      }, duration);
+      this.notificationTimers.add(timer);
+    }
+    return notification;
+  }
+
+  window.ImageEditor.prototype.notify = notify;
+})();
+
+/**
+ * Define storage adapters for saved designs
+ *
+ * An adapter stores document records and has the methods, all returning promises:
+ * - list(): metadata of all records, [{ id, name, modified, thumbnail, width, height }]
+ * - get(id): the record with its canvas json as `state`, null if it doesn't exist
+ * - put(record): save a record { id, name, modified, thumbnail, width, height, state }
+ * - delete(id): remove a record
+ * put can take a second argument { force: true } to overwrite a record changed by someone else.
+ * Failed writes reject with the error of the browser, quota errors have the name 'QuotaExceededError',
+ * 'ConflictError' means the record was changed by someone else and 'OfflineError' that the server can't be reached.
+ */
+(function () {
+  'use strict';
+  const assetPrefix = 'asset:';
+
+  const withoutState = (record) => {
+    let meta = { ...record };
+    delete meta.state;
+    delete meta.assets;
+    return meta;
+  }
+
+  /**
+   * Check if an error is caused by a full storage
+   * @param {Error} error
+   * @returns {Boolean}
+   */
+  const isQuotaError = (error) => !!error && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+  );
+
+  /**
+   * Create an adapter storing records in localStorage, used where IndexedDB isn't available
+   * @param {String} prefix key prefix
+   * @returns {Object} storage adapter
+   */
+  const createLocalStorageAdapter = (prefix) => {
+    const indexKey = `${prefix}:library`;
+    const recordKey = (id) => `${prefix}:record:${id}`;
+    const loadIndex = () => saveInBrowser.load(indexKey) || [];
+
+    const run = (fn) => {
+      try {
+        return Promise.resolve(fn());
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+
+    return {
+      list: () => run(loadIndex),
+      get: (id) => run(() => {
+        let meta = loadIndex().find(item => item.id === id);
+        if (!meta) return null;
+        return {
+          ...meta,
+          state: saveInBrowser.load(recordKey(id))
+        };
+      }),
+      put: (record) => run(() => {
+        saveInBrowser.save(recordKey(record.id), record.state);
+        let index = loadIndex().filter(item => item.id !== record.id);
+        index.push(withoutState(record));
+        saveInBrowser.save(indexKey, index);
+      }),
+      delete: (id) => run(() => {
+        saveInBrowser.remove(recordKey(id));
+        saveInBrowser.save(indexKey, loadIndex().filter(item => item.id !== id));
+      })
+    }
+  }
+
+  const dataURLToBlob = (dataURL) => {
+    let [header, data] = dataURL.split(',');
+    let mimeType = (header.match(/^data:([^;,]*)/) || [])[1] || 'application/octet-stream';
+    let isBase64 = /;base64$/.test(header);
+    let binary = isBase64 ? atob(data) : decodeURIComponent(data);
+    let bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], {
+      type: mimeType
+    });
+  }
+
+  const blobToDataURL = (blob) => new Promise((resolve, reject) => {
+    let reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  })
+
+  // content hash of an asset, FNV-1a of the data url where crypto.subtle isn't available
+  const hashAsset = (dataURL) => {
+    if (window.crypto && window.crypto.subtle && window.TextEncoder) {
+      return window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(dataURL)).then(buffer => {
+        return Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+      });
+    }
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < dataURL.length; i++) {
+      hash ^= dataURL.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return Promise.resolve(`${hash.toString(16)}-${dataURL.length}`);
+  }
+
+  // call fn with every object in json that has a data url src
+  const forEachDataSource = (json, fn) => {
+    if (!json || typeof json !== 'object') return;
+    if (typeof json.src === 'string' && json.src.startsWith('data:')) fn(json);
+    Object.keys(json).forEach(key => forEachDataSource(json[key], fn));
+  }
+
+  const forEachAssetSource = (json, fn) => {
+    if (!json || typeof json !== 'object') return;
+    if (typeof json.src === 'string' && json.src.startsWith(assetPrefix)) fn(json);
+    Object.keys(json).forEach(key => forEachAssetSource(json[key], fn));
+  }
+
+  const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  })
+
+  /**
+   * Create an adapter storing records in IndexedDB, images are stored once as blobs apart from the canvas json
+   * @param {String} name database name
+   * @returns {Object} storage adapter
+   */
+  const createIndexedDBAdapter = (name) => {
+    let database = null;
+    const open = () => {
+      if (!database) {
+        let request = window.indexedDB.open(name, 1);
+        request.onupgradeneeded = () => {
+          let db = request.result;
+          // metadata with the list of used assets, canvas json and image blobs
+          db.createObjectStore('documents', { keyPath: 'id' });
+          db.createObjectStore('scenes');
+          db.createObjectStore('assets');
+        };
+        database = promisify(request);
+      }
+      return database;
+    }
+
+    // run fn in a transaction, resolves with the result of fn when the transaction completes
+    const transaction = (stores, mode, fn) => open().then(db => new Promise((resolve, reject) => {
+      let tx = db.transaction(stores, mode);
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      Promise.resolve(fn(tx)).then(value => result = value, reject);
+    }))
+
+    // remove assets no record refers to
+    const collectGarbage = () => transaction(['documents', 'assets'], 'readwrite', tx => {
+      return Promise.all([
+        promisify(tx.objectStore('documents').getAll()),
+        promisify(tx.objectStore('assets').getAllKeys())
+      ]).then(([records, keys]) => {
+        let used = new Set();
+        records.forEach(record => (record.assets || []).forEach(hash => used.add(hash)));
+        keys.forEach(key => used.has(key) || tx.objectStore('assets').delete(key));
+      });
+    })
+
+    return {
+      list: () => transaction(['documents'], 'readonly', tx => {
+        return promisify(tx.objectStore('documents').getAll()).then(records => records.map(withoutState));
+      }),
+
+      get: (id) => transaction(['documents', 'scenes', 'assets'], 'readonly', tx => {
+        return Promise.all([
+          promisify(tx.objectStore('documents').get(id)),
+          promisify(tx.objectStore('scenes').get(id))
+        ]).then(([meta, state]) => {
+          if (!meta) return null;
+
+          let blobs = {};
+          return Promise.all((meta.assets || []).map(hash => {
+            return promisify(tx.objectStore('assets').get(hash)).then(blob => blobs[hash] = blob);
+          })).then(() => ({ meta, state, blobs }));
+        });
+      }).then(result => {
+        if (!result) return null;
+
+        // blobs are read outside of the transaction, it would close while waiting for FileReader
+        let { meta, state, blobs } = result;
+        let sources = {};
+        return Promise.all(Object.keys(blobs).map(hash => {
+          return blobs[hash] ? blobToDataURL(blobs[hash]).then(dataURL => sources[hash] = dataURL) : null;
+        })).then(() => {
+          forEachAssetSource(state, json => {
+            let source = sources[json.src.substring(assetPrefix.length)];
+            if (source) json.src = source;
+          });
+          return {
+            ...withoutState(meta),
+            state
+          };
+        });
+      }),
+
+      put: (record) => {
+        // replace data urls by asset references, equal images are stored once
+        let state = record.state ? JSON.parse(JSON.stringify(record.state)) : null;
+        let assets = {};
+        let tasks = [];
+        forEachDataSource(state, json => {
+          let dataURL = json.src;
+          tasks.push(hashAsset(dataURL).then(hash => {
+            assets[hash] = assets[hash] || dataURLToBlob(dataURL);
+            json.src = assetPrefix + hash;
+          }));
+        });
+
+        return Promise.all(tasks).then(() => transaction(['documents', 'scenes', 'assets'], 'readwrite', tx => {
+          tx.objectStore('documents').put({
+            ...withoutState(record),
+            assets: Object.keys(assets)
+          });
+          tx.objectStore('scenes').put(state, record.id);
+          Object.keys(assets).forEach(hash => tx.objectStore('assets').put(assets[hash], hash));
+        })).then(collectGarbage);
+      },
+
+      delete: (id) => transaction(['documents', 'scenes'], 'readwrite', tx => {
+        tx.objectStore('documents').delete(id);
+        tx.objectStore('scenes').delete(id);
+      }).then(collectGarbage)
+    }
+  }
+
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  const createStorageError = (name, message, props = {}) => Object.assign(new Error(message), { name }, props);
+
+  /**
+   * Create an adapter saving records on a server with a REST api
+   *
+   * Default endpoints relative to baseUrl, `:id` is replaced by the record id:
+   * - list: 'GET' responds with an array of metadata or { documents: [...] }
+   * - get: 'GET /:id' responds with the record, 404 if it doesn't exist
+   * - put: 'PUT /:id' sends the record as json
+   * - delete: 'DELETE /:id'
+   * The version of a record is read from the ETag header or the `version` property of a response and sent
+   * back as If-Match header, the server responds 409 or 412 when the record was changed by someone else.
+   * @param {Object} options
+   * - baseUrl: url of the records
+   * - endpoints: optional, 'METHOD path' by action to replace the default endpoints
+   * - headers: optional, object or function returning an object or a promise of headers, e.g. for authorization
+   * - retry: optional, { attempts: 3, delay: 1000 } requests failing without response or with status 502-504
+   *   are retried with a doubled delay, failed writes are sent again when the browser is back online
+   * - fetch: optional, fetch function to use instead of window.fetch
+   * @returns {Object} storage adapter, put(record, { force: true }) overwrites the record without version check
+   */
+  const createRestAdapter = (options = {}) => {
+    const baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+    const endpoints = {
+      list: 'GET',
+      get: 'GET /:id',
+      put: 'PUT /:id',
+      delete: 'DELETE /:id',
+      ...options.endpoints
+    };
+    const retry = {
+      attempts: 3,
+      delay: 1000,
+      ...options.retry
+    };
+    const versions = new Map();
+    // writes that failed while offline by record id, only the last write of a record is kept
+    const pending = new Map();
+
+    const getHeaders = () => Promise.resolve(typeof options.headers === 'function' ? options.headers() : options.headers || {});
+
+    const send = (url, init, attempt = 1) => {
+      let fetch = options.fetch || window.fetch.bind(window);
+      return fetch(url, init).then(response => {
+        if ([502, 503, 504].includes(response.status) && attempt < retry.attempts) {
+          return wait(retry.delay * 2 ** (attempt - 1)).then(() => send(url, init, attempt + 1));
+        }
+        return response;
+      }, error => {
+        if (attempt >= retry.attempts) throw createStorageError('OfflineError', `can't reach ${url}`, { cause: error });
+        return wait(retry.delay * 2 ** (attempt - 1)).then(() => send(url, init, attempt + 1));
+      });
+    }
+
+    const request = (action, id, body, headers = {}) => {
+      let [method, path = ''] = endpoints[action].split(' ');
+      let url = baseUrl + path.replace(':id', encodeURIComponent(id));
+      return getHeaders().then(authHeaders => send(url, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+          ...authHeaders,
+          ...headers
+        },
+        body: body ? JSON.stringify(body) : undefined
+      })).then(response => {
+        if (response.status === 409 || response.status === 412) {
+          throw createStorageError('ConflictError', `record ${id} was changed by someone else`, { status: response.status });
+        }
+        if (response.status === 404 && action !== 'list') return { response, data: null };
+        if (!response.ok) throw createStorageError('StorageRequestError', `${method} ${url} failed with status ${response.status}`, { status: response.status });
+        if (!/[/+]json\b/i.test(response.headers.get('Content-Type') || '')) return { response, data: null };
+        return response.text().then(text => {
+          try {
+            return {
+              response,
+              data: text ? JSON.parse(text) : null
+            };
+          } catch (error) {
+            // the write was done, an unreadable response must not reject the save
+            if (action === 'put' || action === 'delete') return { response, data: null };
+            throw createStorageError('StorageRequestError', `${method} ${url} responded with invalid json`, { status: response.status, cause: error });
+          }
+        });
+      });
+    }
+
+    // a response without version means the server doesn't check it for this record anymore
+    const rememberVersion = (id, response, data) => {
+      let version = response.headers.get('ETag') || (data && data.version);
+      if (version) versions.set(id, String(version));
+      else versions.delete(id);
+    }
+
+    // writes failing without response are kept to be sent when the browser is back online
+    const write = (id, fn) => {
+      pending.delete(id);
+      return fn().catch(error => {
+        if (error.name === 'OfflineError') {
+          pending.set(id, fn);
+          error.queued = true;
+        }
+        throw error;
+      });
+    }
+
+    const flush = () => {
+      let writes = [...pending];
+      return Promise.all(writes.map(([id, fn]) => write(id, fn).catch(error => {
+        console.error(`can't save record ${id}`, error);
+      })));
+    }
+    window.addEventListener('online', flush);
+
+    return {
+      list: () => request('list').then(({ data }) => {
+        let records = Array.isArray(data) ? data : (data && data.documents) || [];
+        return records.map(withoutState);
+      }),
+
+      get: (id) => request('get', id).then(({ response, data }) => {
+        if (!data) return null;
+        rememberVersion(id, response, data);
+        return {
+          ...data,
+          id
+        };
+      }),
+
+      put: (record, { force = false } = {}) => write(record.id, () => {
+        let version = versions.get(record.id);
+        return request('put', record.id, record, version && !force ? { 'If-Match': version } : {}).then(({ response, data }) => {
+          rememberVersion(record.id, response, data);
+        });
+      }),
+
+      delete: (id) => write(id, () => request('delete', id).then(() => {
+        versions.delete(id);
+      })),
+
+      /**
+       * Send writes that failed while offline
+       * @returns {Promise}
+       */
+      flush,
+
+      /**
+       * Number of writes waiting to be sent
+       * @returns {Number}
+       */
+      pendingWrites: () => pending.size,
+
+      /**
+       * Stop listening to the online event of the browser
+       */
+      dispose: () => window.removeEventListener('online', flush)
+    }
+  }
+
+  /**
+   * Create the storage adapter of the storage option
+   */
+  var initializeStorage = function () {
+    let storage = this.options.storage;
+    if (storage === 'indexeddb' && !window.indexedDB) {
+      console.warn('ImageEditor: IndexedDB is not available, designs are saved in localStorage');
+      storage = 'localstorage';
+    }
+
+    if (storage === 'indexeddb') this.storage = createIndexedDBAdapter(this.options.storageKey);
+    else if (storage === 'localstorage') this.storage = createLocalStorageAdapter(this.options.storageKey);
+    else this.storage = storage;
+  }
+
+  /**
+   * Report a failed storage action to the user and the error event
+   * @param {String} message error message
+   * @param {Error} error the storage error
+   */
+  var reportStorageError = function (message, error) {
+    console.error(message, error);
+    if (isQuotaError(error)) {
+      this.notify(`${message}: the browser storage is full. Delete some designs or remove large images and try again.`, {
+        type: 'error',
+        duration: 0
+      });
+    } else if (error && error.name === 'OfflineError') {
+      this.notify(error.queued ? `${message}: you're offline, the changes are saved when the connection is back.` : `${message}: you're offline.`, {
+        type: 'warning'
+      });
+    } else if (error && error.name === 'ConflictError') {
+      this.notify(`${message}: the design was changed somewhere else.`, {
+        type: 'error'
+      });
+    } else {
+      this.notify(`${message}.`, {
+        type: 'error'
+      });
+    }
+    this.emit('error', {
+      message,
+      error
+    });
+  }
+
+  window.ImageEditor.storage = {
+    localStorage: createLocalStorageAdapter,
+    indexedDB: createIndexedDBAdapter,
+    rest: createRestAdapter,
+    isQuotaError
+  };
+  window.ImageEditor.prototype.initializeStorage = initializeStorage;
+  window.ImageEditor.prototype.reportStorageError = reportStorageError;
+})();
+
+/**
+ * Define document manager to keep several designs in the browser
+ *
+ * Documents are records of the storage adapter (see the storage option). Unsaved changes are autosaved
+ * and kept when switching documents as records with the id `draft:${id}`, `draft:unsaved` for a design
+ * that was never saved. They are offered to restore when the editor starts.
+ * The id of the last opened document is saved in localStorage under `${storageKey}:lastOpened`.
+ */
+(function () {
+  'use strict';
+  const thumbnailWidth = 160;
+
+  const draftId = (id) => `draft:${id}`;
+  const isDraftId = (id) => String(id).startsWith('draft:');
+  const unsavedDraftId = draftId('unsaved');
+  const currentDraftId = (editor) => editor.currentDocument ? draftId(editor.currentDocument.id) : unsavedDraftId;
+  const lastOpenedKey = (editor) => `${editor.options.storageKey}:lastOpened`;
+
+  const createDocumentId = () => 'doc-' + Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 8);
+
+  // metadata of a record without its state
+  const toDocument = ({ id, name, modified, thumbnail, width, height }) => ({ id, name, modified, thumbnail, width, height });
+
+  const loadLastOpened = (editor) => {
+    try {
+      let value = saveInBrowser.load(lastOpenedKey(editor));
+      return value && value.id;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  const saveLastOpened = (editor, id) => {
+    try {
+      if (id) saveInBrowser.save(lastOpenedKey(editor), { id });
+      else saveInBrowser.remove(lastOpenedKey(editor));
+    } catch (error) {
+      // only the document opened on the next start is lost
+      console.warn("can't remember last opened document", error);
+    }
+  }
+
+  const getRecord = (editor, id) => editor.storage.get(id).then(record => {
+    if (!record) throw new Error(`document ${id} not found`);
+    return record;
+  })
+
+  // small png preview of the current canvas
+  const createThumbnail = (editor) => {
+    try {
+      return editor.canvas.toDataURL({
+        format: 'png',
+        multiplier: thumbnailWidth / editor.canvas.width
+      });
+    } catch (_) {
+      // a canvas tainted by cross origin images can't be exported
+      return null;
+    }
+  }
+
+  // keep unsaved changes of the current design, used by autosave and before switching to another design
+  const keepDraft = (editor) => {
+    clearTimeout(editor.autosaveTimer);
+    editor.autosaveDue = null;
+    if (!editor.documentModified) return Promise.resolve();
+
+    let doc = editor.currentDocument || {
+      name: 'Untitled design',
+      width: editor.canvas.originalW,
+      height: editor.canvas.originalH
+    };
+    return editor.storage.put({
+      ...doc,
+      id: currentDraftId(editor),
+      modified: Date.now(),
+      thumbnail: null,
+      state: editor.getCanvasJSON()
+    });
+  }
+
+  const formatDuration = (ms) => {
+    let minutes = Math.round(ms / 60000);
+    if (minutes < 1) return 'less than a minute';
+    if (minutes < 60) return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+    let hours = Math.round(minutes / 60);
+    if (hours < 24) return hours === 1 ? '1 hour' : `${hours} hours`;
+    let days = Math.round(hours / 24);
+    return days === 1 ? '1 day' : `${days} days`;
+  }
+
+  // load a canvas json and take it as the initial history state
+  const loadState = (editor, state, size) => new Promise(resolve => {
+    editor.canvas.discardActiveObject();
+    editor.canvas.printSettings = null;
+    if (size && size.width && size.height) editor.resizeCanvas(size.width, size.height);
+    if (!state) {
+      editor.canvas.clear();
+      editor.resetHistory();
+      return resolve();
+    }
+    editor.canvas.loadFromJSON(state, () => {
+      editor.canvas.renderAll();
+      editor.updateDimensionInputs();
+      editor.resetHistory();
+      resolve();
+    });
+  })
+
+  // open a document record with the given canvas state
+  const showDocument = (editor, record, state, modified) => {
+    return loadState(editor, state, record).then(() => {
+      setCurrentDocument(editor, record, modified);
+      return editor.currentDocument;
+    });
+  }
+
+  const setCurrentDocument = (editor, doc, modified) => {
+    editor.currentDocument = doc ? toDocument(doc) : null;
+    editor.documentModified = modified;
+    editor.emit('documentChange', {
+      document: editor.currentDocument,
+      modified
+    });
+  }
+
+  /**
+   * Move designs saved in localStorage by older versions into the storage adapter,
+   * localStorage keys are removed once their document is stored
+   * @param {Object} editor
+   * @returns {Promise}
+   */
+  const migrateLocalDocuments = (editor) => {
+    const prefix = editor.options.storageKey;
+    const documentKey = (id) => `${prefix}:document:${id}`;
+    const localDraftKey = (id) => `${prefix}:draft:${id}`;
+    let index = saveInBrowser.load(`${prefix}:documents`);
+    let legacyState = saveInBrowser.load(prefix);
+    if (!index && !legacyState) return Promise.resolve();
+
+    let documents = index ? index.documents : [];
+    let migration = documents.reduce((promise, doc) => promise.then(() => {
+      let draft = saveInBrowser.load(localDraftKey(doc.id));
+      return editor.storage.put({
+        ...toDocument(doc),
+        state: saveInBrowser.load(documentKey(doc.id))
+      }).then(() => draft && editor.storage.put({
+        ...toDocument(doc),
+        id: draftId(doc.id),
+        thumbnail: null,
+        state: draft
+      })).then(() => {
+        saveInBrowser.remove(documentKey(doc.id));
+        saveInBrowser.remove(localDraftKey(doc.id));
+      });
+    }), Promise.resolve());
+
+    return migration.then(() => {
+      if (index) {
+        index.lastOpened && saveLastOpened(editor, index.lastOpened);
+        saveInBrowser.remove(`${prefix}:documents`);
+      }
+      if (!legacyState) return;
+
+      // a single design saved before documents existed
+      let doc = {
+        id: createDocumentId(),
+        name: 'Untitled design',
+        modified: Date.now(),
+        thumbnail: null,
+        width: editor.canvas.originalW,
+        height: editor.canvas.originalH
+      };
+      return editor.storage.put({
+        ...doc,
+        state: legacyState
+      }).then(() => {
+        saveLastOpened(editor, doc.id);
+        saveInBrowser.remove(prefix);
+      });
+    });
+  }
+
+  /**
+   * Ask the user to restore or discard a draft left by the last session
+   * @param {Object} editor
+   * @param {Object} draft metadata of the draft record
+   * @param {Object} doc metadata of the saved document, null for a design that was never saved
+   * @param {Function} onClose optional, called when the dialog is closed
+   */
+  const showRecoveryPrompt = (editor, draft, doc, onClose = () => {}) => {
+    let name = $('<div/>').text(doc ? doc.name : 'Untitled design').html();
+    let time = new Date(draft.modified).toLocaleString();
+    let age = doc && doc.modified ? `, ${formatDuration(draft.modified - doc.modified)} after the last save` : '';
+    let modal = editor.openModal(`
+      <div class="recovery-prompt">
+        <p class="title">Restore unsaved changes?</p>
+        <p>"${name}" has unsaved changes from ${time}${age}.</p>
+        <button class="btn_restore-draft">Restore</button>
+        <button class="btn_discard-draft">Discard</button>
+      </div>
+    `);
+    // the draft is kept when the dialog is closed without a choice
+    modal.find('.custom-modal-content').click(e => e.stopPropagation());
+    modal.click(() => onClose());
+
+    modal.find('.btn_restore-draft').click(() => {
+      modal.remove();
+      onClose();
+      editor.storage.get(draft.id)
+        .then(record => record && loadState(editor, record.state, record).then(() => setCurrentDocument(editor, doc, true)))
+        .catch(error => editor.reportStorageError("can't restore unsaved changes", error));
+    })
+    modal.find('.btn_discard-draft').click(() => {
+      modal.remove();
+      onClose();
+      editor.storage.delete(draft.id).catch(error => editor.reportStorageError("can't discard unsaved changes", error));
+    })
+    return modal;
+  }
+
+  // drafts are offered one after another, [{ draft, doc }]
+  const showRecoveryPrompts = (editor, prompts) => {
+    if (!prompts.length) return;
+    let [{ draft, doc }, ...rest] = prompts;
+    showRecoveryPrompt(editor, draft, doc, () => showRecoveryPrompts(editor, rest));
+  }
+
+  /**
+   * Load the last saved state of the last opened document and offer to restore its unsaved changes
+   * and those of a design that was never saved, designs saved in localStorage by older versions are migrated first
+   * @returns {Promise}
+   */
+  var initializeDocuments = function () {
+    this.currentDocument = null;
+    this.documentModified = false;
+    this.autosaveTimer = null;
+    this.autosaveDue = null;
+    this.on('change', () => {
+      if (this.options.autosave.enabled) {
+        let { delay, maxDelay } = this.options.autosave;
+        clearTimeout(this.autosaveTimer);
+        // the draft is written at least every maxDelay ms while editing goes on
+        if (!this.autosaveDue) this.autosaveDue = Date.now() + maxDelay;
+        this.autosaveTimer = setTimeout(() => this.autosave(), Math.max(0, Math.min(delay, this.autosaveDue - Date.now())));
+      }
+      if (this.documentModified) return;
+      this.documentModified = true;
+      this.emit('documentChange', {
+        document: this.currentDocument,
+        modified: true
+      });
+    });
+    // last chances to keep changes, the async write may not finish after pagehide,
+    // so it's also done when the tab is hidden, hidden tabs can be closed without further events
+    const keepChanges = () => this.options.autosave.enabled && this.autosave();
+    this.addDomListener(document, 'visibilitychange', () => document.visibilityState === 'hidden' && keepChanges());
+    this.addDomListener(window, 'pagehide', keepChanges);
+
+    return migrateLocalDocuments(this)
+      .catch(error => this.reportStorageError("can't move saved designs to the new storage", error))
+      .then(() => this.storage.list())
+      .then(records => {
+        let id = loadLastOpened(this);
+        let last = records.find(record => record.id === id && !isDraftId(id));
+        let prompts = [last, null]
+          .map(doc => ({
+            draft: records.find(record => record.id === (doc ? draftId(doc.id) : unsavedDraftId)),
+            doc
+          }))
+          .filter(prompt => prompt.draft);
+
+        let opening = last ? this.storage.get(last.id).then(record => record && showDocument(this, record, record.state, false)) : Promise.resolve();
+        return opening.then(() => showRecoveryPrompts(this, prompts));
+      })
+      .catch(error => this.reportStorageError("can't load last document", error));
+  }
+
+  /**
+   * Save unsaved changes of the current design as its draft right away, it's called by a debounced
+   * change handler when the autosave option is enabled
+   * @returns {Promise}
+   */
+  var autosave = function () {
+    if (!this.canvas) return Promise.resolve();
+    let modified = this.documentModified;
+    return keepDraft(this).then(() => {
+      this.autosaveFailed = false;
+      if (modified) {
+        this.emit('autosave', {
+          document: this.currentDocument,
+          modified: Date.now()
+        });
+      }
+    }).catch(error => {
+      // repeated failures are reported once
+      if (!this.autosaveFailed) this.reportStorageError("can't autosave unsaved changes", error);
+      this.autosaveFailed = true;
+    });
+  }
+
+  /**
+   * List saved documents, most recently modified first
+   * @returns {Promise<Array>} [{ id, name, modified, thumbnail, width, height, hasDraft, current }]
+   */
+  var listDocuments = function () {
+    return this.storage.list().then(records => {
+      let drafts = new Set(records.filter(record => isDraftId(record.id)).map(record => record.id));
+      return records
+        .filter(record => !isDraftId(record.id))
+        .map(record => {
+          let current = !!this.currentDocument && this.currentDocument.id === record.id;
+          return {
+            ...toDocument(record),
+            hasDraft: drafts.has(draftId(record.id)) || (current && this.documentModified),
+            current
+          };
+        })
+        .sort((a, b) => b.modified - a.modified);
+    });
+  }
+
+  /**
+   * Save current canvas into the current document, a new document is created if there's none
+   * @param {String} name optional name of a new document
+   * @param {Object} options optional, { overwrite: true } saves over changes made somewhere else
+   * @returns {Promise<Object>} the saved document
+   */
+  var saveDocument = function (name, options = {}) {
+    clearTimeout(this.autosaveTimer);
+    this.autosaveDue = null;
+    let previousDraftId = currentDraftId(this);
+    let state = this.getCanvasJSON();
+    let doc = {
+      id: this.currentDocument ? this.currentDocument.id : createDocumentId(),
+      name: this.currentDocument ? this.currentDocument.name : (name || 'Untitled design'),
+      modified: Date.now(),
+      thumbnail: createThumbnail(this),
+      width: this.canvas.originalW,
+      height: this.canvas.originalH
+    };
+
+    return this.storage.put({
+      ...doc,
+      state
+    }, {
+      force: !!options.overwrite
+    }).then(() => this.storage.delete(previousDraftId)).then(() => {
+      saveLastOpened(this, doc.id);
+      setCurrentDocument(this, doc, false);
+      this.emit('save', {
+        key: doc.id,
+        state,
+        document: this.currentDocument
+      });
+      return this.currentDocument;
+    });
+  }
+
+  /**
+   * Open a document, unsaved changes of the current document are kept as its draft
+   * @param {String} id document id
+   * @param {Boolean} keepCurrentDraft optional, false to skip keeping the current changes
+   * @returns {Promise<Object>} the opened document
+   */
+  var openDocument = function (id, keepCurrentDraft = true) {
+    return getRecord(this, id)
+      .then(record => (keepCurrentDraft ? keepDraft(this) : Promise.resolve())
+        .then(() => this.storage.get(draftId(id)))
+        .then(draft => {
+          saveLastOpened(this, id);
+          return showDocument(this, record, draft ? draft.state : record.state, !!draft);
+        }));
+  }
+
+  /**
+   * Create an empty document and open it
+   * @param {String} name document name
+   * @returns {Promise<Object>} the new document
+   */
+  var createDocument = function (name = 'Untitled design') {
+    let doc = {
+      id: createDocumentId(),
+      name,
+      modified: Date.now(),
+      thumbnail: null,
+      width: this.options.canvas.width,
+      height: this.options.canvas.height
+    };
+
+    return keepDraft(this).then(() => this.storage.put({
+      ...doc,
+      state: null
+    })).then(() => {
+      saveLastOpened(this, doc.id);
+      return showDocument(this, doc, null, false);
+    });
+  }
+
+  /**
+   * Rename a document
+   * @param {String} id document id
+   * @param {String} name new name
+   * @returns {Promise<Object>} the renamed document
+   */
+  var renameDocument = function (id, name) {
+    if (typeof name !== 'string' || !name.trim()) return Promise.reject(new Error('document name must be a non-empty string'));
+
+    return getRecord(this, id).then(record => {
+      record.name = name.trim();
+      return this.storage.put(record).then(() => {
+        if (this.currentDocument && this.currentDocument.id === id) setCurrentDocument(this, record, this.documentModified);
+        return toDocument(record);
+      });
+    });
+  }
+
+  /**
+   * Copy a document with its saved state, the copy isn't opened
+   * @param {String} id document id
+   * @returns {Promise<Object>} the copy
+   */
+  var duplicateDocument = function (id) {
+    return getRecord(this, id).then(record => {
+      let copy = {
+        ...toDocument(record),
+        id: createDocumentId(),
+        name: `${record.name} (copy)`,
+        modified: Date.now()
+      };
+      return this.storage.put({
+        ...copy,
+        state: record.state
+      }).then(() => copy);
+    });
+  }
+
+  /**
+   * Delete a document and its draft, the canvas is kept as a new unsaved design if it's the current one
+   * @param {String} id document id
+   * @returns {Promise}
+   */
+  var deleteDocument = function (id) {
+    return getRecord(this, id)
+      .then(() => this.storage.delete(id))
+      .then(() => this.storage.delete(draftId(id)))
+      .then(() => {
+        if (loadLastOpened(this) === id) saveLastOpened(this, null);
+        if (this.currentDocument && this.currentDocument.id === id) setCurrentDocument(this, null, true);
+      });
+  }
+
+  /**
+   * Open document manager dialog
+   */
+  var showDocumentManager = function () {
+    const _self = this;
+    $(`.custom-modal-container[data-editor-id=${this.id}]`).remove();
+    let modal = this.openModal(`
+      <div class="document-manager">
+        <div class="document-manager-header">
+          <p class="title">Designs</p>
+          <button class="btn_new-document">New design</button>
+        </div>
+        <div class="document-list"></div>
+      </div>
+    `);
+    // only the actions close the dialog
+    modal.find('.custom-modal-content').click(e => e.stopPropagation());
+
+    const failed = (message) => (error) => this.reportStorageError(message, error);
+
+    const render = () => this.listDocuments().then(documents => {
+      let items = documents.map(doc => `
+        <div class="document-item ${doc.current ? 'current' : ''}" data-id="${doc.id}">
+          <div class="document-thumbnail">${doc.thumbnail ? `<img src="${doc.thumbnail}"/>` : ''}</div>
+          <div class="document-info">
+            <p class="document-name">${$('<div/>').text(doc.name).html()}${doc.hasDraft ? ' <span class="document-draft">unsaved changes</span>' : ''}</p>
+            <p class="document-modified">Modified ${new Date(doc.modified).toLocaleString()}</p>
+            <div class="document-actions">
+              <button data-action="open">Open</button>
+              <button data-action="rename">Rename</button>
+              <button data-action="duplicate">Duplicate</button>
+              <button data-action="delete">Delete</button>
+            </div>
+          </div>
+        </div>
+      `);
+      modal.find('.document-list').html(items.join('') || '<p>No saved designs yet.</p>');
+    });
+
+    modal.find('.btn_new-document').click(() => {
+      modal.remove();
+      this.createDocument().catch(failed("can't create document"));
+    })
+
+    modal.find('.document-list').on('click', '.document-actions button', function () {
+      let id = $(this).closest('.document-item').attr('data-id');
+      let action = $(this).attr('data-action');
+      let name = $(this).closest('.document-item').find('.document-name').contents().first().text();
+
+      if (action === 'open') {
+        modal.remove();
+        _self.openDocument(id).catch(failed("can't open document"));
+      } else if (action === 'rename') {
+        let newName = window.prompt('Design name', name);
+        newName && _self.renameDocument(id, newName).then(render).catch(failed("can't rename document"));
+      } else if (action === 'duplicate') {
+        _self.duplicateDocument(id).then(render).catch(failed("can't duplicate document"));
+      } else if (action === 'delete') {
+        window.confirm(`"${name}" will be deleted! Are you sure?`) && _self.deleteDocument(id).then(render).catch(failed("can't delete document"));
+      }
+    })
+
+    render().catch(failed("can't list documents"));
+    return modal;
+  }
+
+  window.ImageEditor.prototype.initializeDocuments = initializeDocuments;
+  window.ImageEditor.prototype.autosave = autosave;
+  window.ImageEditor.prototype.listDocuments = listDocuments;
+  window.ImageEditor.prototype.saveDocument = saveDocument;
+  window.ImageEditor.prototype.openDocument = openDocument;
+  window.ImageEditor.prototype.createDocument = createDocument;
+  window.ImageEditor.prototype.renameDocument = renameDocument;
+  window.ImageEditor.prototype.duplicateDocument = duplicateDocument;
+  window.ImageEditor.prototype.deleteDocument = deleteDocument;
+  window.ImageEditor.prototype.showDocumentManager = showDocumentManager;
+})();
+
+/**
+ * Define project files to save a design into a file and open it again
+ *
+ * A project file is json:
+ * {
+ *   format: 'image-editor-project',
+ *   version: 1,
+ *   metadata: { name, modified, generator, fabricVersion },
+ *   canvas: { width, height, zoom, backgroundGradient: { orientation, angle, stops: [{ position, color }] } | null },
+ *   scene: fabric canvas json, image sources of embedded assets are 'asset:<id>',
+ *   assets: { <id>: data url }
+ * }
+ * Files of older versions are upgraded by ImageEditor.projectMigrations before loading.
+ */
+(function () {
+  'use strict';
+  const projectFormat = 'image-editor-project';
+  const projectVersion = 1;
+  const assetPrefix = 'asset:';
+
+  /**
+   * Functions upgrading a project by the version they upgrade from, each returns the project of the next version
+   */
+  const projectMigrations = {
+    // version 0 is the canvas json of getCanvasJSON saved before project files existed
+    0: (json) => ({
+      format: projectFormat,
+      version: 1,
+      metadata: {},
+      canvas: {
+        width: null,
+        height: null,
+        zoom: 1,
+        backgroundGradient: null
+      },
+      scene: json,
+      assets: {}
+    })
+  };
+
+  // call fn with every object in json that has a string src
+  const forEachSource = (json, fn) => {
+    if (!json || typeof json !== 'object') return;
+    if (typeof json.src === 'string') fn(json);
+    Object.keys(json).forEach(key => forEachSource(json[key], fn));
+  }
+
+  const readBlob = (blob) => new Promise((resolve, reject) => {
+    let reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  })
+
+  /**
+   * Upgrade a project file to the current version
+   * @param {Object|String} data project or its json string, plain canvas json is accepted too
+   * @returns {Object} project of the current version
+   */
+  const migrateProject = (data) => {
+    let project = typeof data === 'string' ? JSON.parse(data) : data;
+    let version = null;
+    if (project && project.format === projectFormat) version = project.version;
+    else if (project && Array.isArray(project.objects)) version = 0;
+    if (!Number.isInteger(version)) throw new TypeError('not an image editor project');
+    if (version > projectVersion) throw new Error(`the project was saved by a newer version of the editor (project version ${version})`);
+
+    while (version < projectVersion) {
+      let migrate = projectMigrations[version];
+      if (typeof migrate !== 'function') throw new Error(`can't upgrade project version ${version}`);
+      project = migrate(project);
+      if (!project || !(project.version > version)) throw new Error(`migration of project version ${version} didn't upgrade the version`);
+      version = project.version;
+    }
+    return project;
+  }
+
+  /**
+   * Get the current design as project
+   * @param {Object} options optional, embedRemoteImages: true to embed images loaded from urls too,
+   * otherwise they're referenced by their url
+   * @returns {Promise<Object>} project
+   */
+  var getProject = function (options = {}) {
+    const canvas = this.canvas;
+    // sources are replaced below, the json shares objects like originalImage with the canvas objects
+    let scene = JSON.parse(JSON.stringify(this.getCanvasJSON()));
+    let assets = {};
+    let ids = new Map();
+    let tasks = [];
+
+    const embed = (json, dataURL) => {
+      if (!ids.has(dataURL)) {
+        let id = `${assetPrefix}${ids.size + 1}`;
+        ids.set(dataURL, id);
+        assets[id.substring(assetPrefix.length)] = dataURL;
+      }
+      json.src = ids.get(dataURL);
+    }
+
+    forEachSource(scene, json => {
+      if (json.src.startsWith('data:')) return embed(json, json.src);
+      if (!options.embedRemoteImages || !/^(https?:)?\/\//.test(json.src)) return;
+
+      tasks.push(window.fetch(json.src)
+        .then(response => {
+          if (!response.ok) throw new Error(`status ${response.status}`);
+          return response.blob();
+        })
+        .then(readBlob)
+        .then(dataURL => embed(json, dataURL))
+        .catch(error => console.warn(`can't embed ${json.src}, it's kept as url`, error)));
+    });
+
+    let gradient = canvas.backgroundColor;
+    return Promise.all(tasks).then(() => ({
+      format: projectFormat,
+      version: projectVersion,
+      metadata: {
+        name: this.currentDocument ? this.currentDocument.name : 'Untitled design',
+        modified: new Date().toISOString(),
+        generator: 'fabric.js image editor',
+        fabricVersion: fabric.version
+      },
+      canvas: {
+        width: canvas.originalW,
+        height: canvas.originalH,
+        zoom: canvas.getZoom(),
+        backgroundGradient: gradient && gradient.editorSettings ? gradient.editorSettings : null
+      },
+      scene,
+      assets
+    }));
+  }
+
+  /**
+   * Replace the design by a project, undo history starts over
+   * @param {Object|String} data project or its json string, files of older versions are upgraded
+   * @returns {Promise<Object>} the loaded project
+   */
+  var loadProject = function (data) {
+    let project;
+    try {
+      project = migrateProject(data);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    let scene = JSON.parse(JSON.stringify(project.scene || {}));
+    forEachSource(scene, json => {
+      if (!json.src.startsWith(assetPrefix)) return;
+      let asset = (project.assets || {})[json.src.substring(assetPrefix.length)];
+      if (asset) json.src = asset;
+    });
+
+    let settings = project.canvas || {};
+    return new Promise(resolve => {
+      this.canvas.discardActiveObject();
+      this.canvas.printSettings = null;
+      if (settings.width && settings.height) this.resizeCanvas(settings.width, settings.height);
+      this.canvas.loadFromJSON(scene, () => {
+        if (settings.backgroundGradient && this.canvas.backgroundColor instanceof fabric.Gradient) {
+          this.canvas.backgroundColor.editorSettings = settings.backgroundGradient;
+          this.showBackgroundGradientSettings(settings.backgroundGradient);
+        }
+        if (settings.zoom) this.applyZoom(settings.zoom);
+        this.updateDimensionInputs();
+        this.canvas.renderAll();
+        this.resetHistory();
+        resolve(project);
+      });
+    });
+  }
+
+  /**
+   * Download the current design as project file
+   * @param {String} fileName optional, the design name is used by default
+   * @returns {Promise<Object>} the saved project
+   */
+  var saveProjectFile = function (fileName) {
+    return this.getProject().then(project => {
+      let name = fileName || project.metadata.name;
+      downloadBlob(new Blob([JSON.stringify(project)], {
+        type: 'application/json'
+      }), /\.json$/i.test(name) ? name : `${name}.json`);
+      this.emit('export', {
+        format: 'project',
+        data: project
+      });
+      return project;
+    });
+  }
+
+  /**
+   * Open a project file as a new design
+   * @param {File} file project file
+   * @returns {Promise<Object>} the new document
+   */
+  var openProjectFile = function (file) {
+    return file.text().then(text => {
+      let project = migrateProject(text);
+      let name = project.metadata && project.metadata.name ? project.metadata.name : file.name.replace(/\.json$/i, '');
+      return this.createDocument(name).then(() => this.loadProject(project));
+    }).then(() => this.saveDocument());
+  }
+
+  window.ImageEditor.projectMigrations = projectMigrations;
+  window.ImageEditor.projectVersion = projectVersion;
+  window.ImageEditor.migrateProject = migrateProject;
+  window.ImageEditor.prototype.getProject = getProject;
+  window.ImageEditor.prototype.loadProject = loadProject;
+  window.ImageEditor.prototype.saveProjectFile = saveProjectFile;
+  window.ImageEditor.prototype.openProjectFile = openProjectFile;
+})();
+
+
+/**
+ * Define export of the design as image files
+ */
+(function () {
+  'use strict';
+  // pixels of the canvas are taken as css pixels, 96 per inch
+  const canvasDPI = 96;
+  // larger canvases fail to render in most browsers
+  const maxExportSize = 16384;
+
+  const formats = {
+    png: { mimeType: 'image/png', extension: 'png', label: 'PNG' },
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg', label: 'JPG', quality: true },
+    webp: { mimeType: 'image/webp', extension: 'webp', label: 'WebP', quality: true },
+    svg: { mimeType: 'image/svg+xml', extension: 'svg', label: 'SVG', vector: true },
+    // needs jsPDF and svg2pdf.js, the page has the size of the exported area
+    pdf: { mimeType: 'application/pdf', extension: 'pdf', label: 'PDF', vector: true, page: true }
+  };
+  // pdf points per canvas pixel
+  const pointsPerPixel = 72 / canvasDPI;
+
+  const hasPDFSupport = () => !!(window.jspdf && window.jspdf.jsPDF && window.svg2pdf && window.svg2pdf.svg2pdf);
+
+  const hasZipSupport = () => typeof window.JSZip === 'function';
+
+  /**
+   * Draw svg markup with vector content on a new pdf page
+   * @param {Object} editor
+   * @param {String} svg svg markup
+   * @param {Object} page { width, height } page size in points
+   * @param {Object} box { x, y, width, height } where the svg is drawn on the page in points
+   * @param {String} title document title
+   * @param {Array} warnings messages about fonts that can't be used are added
+   * @returns {Promise<Object>} jsPDF document
+   */
+  const createPDF = (editor, svg, page, box, title, warnings = []) => {
+    if (!hasPDFSupport()) return Promise.reject(new Error('PDF export needs vendor/jspdf.umd.min.js and vendor/svg2pdf.umd.min.js'));
+
+    let pdf = new window.jspdf.jsPDF({
+      orientation: page.width > page.height ? 'landscape' : 'portrait',
+      unit: 'pt',
+      format: [page.width, page.height],
+      compress: true
+    });
+    pdf.setProperties({
+      title,
+      creator: 'fabric.js image editor'
+    });
+
+    let doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    return editor.getFontFiles(doc, warnings).then(fonts => {
+      // svg2pdf uses the fonts added to jsPDF by family and style, other text gets a standard font
+      fonts.forEach(font => {
+        let style = font.bold && font.italic ? 'bolditalic' : font.bold ? 'bold' : font.italic ? 'italic' : 'normal';
+        let file = `${font.family}-${style}.ttf`;
+        pdf.addFileToVFS(file, font.data);
+        pdf.addFont(file, font.family, style);
+      })
+
+      // svg2pdf reads computed styles, the svg has to be in the document
+      let element = doc.documentElement;
+      let container = $('<div style="position: absolute; left: -100000px; top: 0;"></div>').append(element).appendTo('body');
+      return window.svg2pdf.svg2pdf(element, pdf, box).then(() => {
+        container.remove();
+        return pdf;
+      }, error => {
+        container.remove();
+        throw error;
+      });
+    });
+  }
+
+  /**
+   * Convert svg markup into a pdf with vector content
+   * @param {Object} editor
+   * @param {String} svg svg markup
+   * @param {Object} area { width, height } exported area in canvas pixels
+   * @param {String} title document title
+   * @returns {Promise<Object>} { data, warnings } data is the pdf blob
+   */
+  const convertSVGToPDF = (editor, svg, area, title) => {
+    let size = {
+      width: area.width * pointsPerPixel,
+      height: area.height * pointsPerPixel
+    };
+    let warnings = [];
+    return createPDF(editor, svg, size, {
+      x: 0,
+      y: 0,
+      ...size
+    }, title, warnings).then(pdf => ({
+      data: pdf.output('blob'),
+      warnings
+    }));
+  }
+
+  const dataURLToBlob = (dataURL) => {
+    let [header, data] = dataURL.split(',');
+    let binary = atob(data);
+    let bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], {
+      type: header.substring(5).split(';')[0]
+    });
+  }
+
+  /**
+   * Get the bounding rect of an object in canvas coordinates, also for objects of an active selection
+   * @param {Object} object fabric object
+   * @returns {Object} { left, top, width, height }
+   */
+  const getObjectRect = (object) => {
+    const canvas = object.canvas;
+    // fabric applies the transform of the active selection to its objects the same way for svg export
+    let saved = canvas && canvas._realizeGroupTransformOnObject(object);
+    let rect = object.getBoundingRect(true, true);
+    canvas && canvas._unwindGroupTransformOnObject(object, saved);
+    return rect;
+  }
+
+  /**
+   * Get the exported region in canvas coordinates at zoom level 1
+   * @param {Object} editor
+   * @param {String|Object} area 'canvas', 'selection', a fabric object or { left, top, width, height }
+   * @returns {Object} { left, top, width, height, objects } objects are the exported objects of a selection
+   */
+  const getExportArea = (editor, area) => {
+    const canvas = editor.canvas;
+    if (area instanceof fabric.Object) {
+      return {
+        ...getObjectRect(area),
+        objects: [area]
+      };
+    }
+    if (area === 'selection') {
+      let active = canvas.getActiveObject();
+      if (!active) throw new Error('there is no selection to export');
+      let rect = active.getBoundingRect(true, true);
+      return {
+        ...rect,
+        objects: active.type === 'activeSelection' ? active.getObjects() : [active]
+      };
+    }
+    if (area && typeof area === 'object') {
+      let rect = {
+        left: Number(area.left) || 0,
+        top: Number(area.top) || 0,
+        width: Number(area.width),
+        height: Number(area.height)
+      };
+      if (!(rect.width > 0) || !(rect.height > 0)) throw new Error('export area must have a positive width and height');
+      return rect;
+    }
+    return {
+      left: 0,
+      top: 0,
+      width: canvas.originalW,
+      height: canvas.originalH
+    };
+  }
+
+  /**
+   * Create a rect filled like the canvas background over an area, gradients keep their canvas position
+   * @param {String|Object} fill background color, gradient or pattern of the canvas
+   * @param {Object} area { left, top, width, height }
+   * @returns {Object} fabric rect
+   */
+  const createBackgroundRect = (fill, area) => {
+    if (fill instanceof fabric.Gradient) {
+      // gradient coordinates of an object start at its top left corner
+      let gradient = fill.toObject();
+      let coords = { ...gradient.coords };
+      coords.x1 -= area.left;
+      coords.x2 -= area.left;
+      coords.y1 -= area.top;
+      coords.y2 -= area.top;
+      fill = new fabric.Gradient({
+        ...gradient,
+        coords
+      });
+    }
+    return new fabric.Rect({
+      left: area.left,
+      top: area.top,
+      width: area.width,
+      height: area.height,
+      fill,
+      strokeWidth: 0
+    });
+  }
+
+  /**
+   * Scale an image around the center of an area until it covers the area
+   * @param {Object} image fabric image
+   * @param {Object} area { left, top, width, height }
+   */
+  const coverArea = (image, area) => {
+    let rect = image.getBoundingRect(true, true);
+    let x = area.left + area.width / 2;
+    let y = area.top + area.height / 2;
+    let factor = Math.max(1,
+      (x - area.left) / Math.max(x - rect.left, 1),
+      (area.left + area.width - x) / Math.max(rect.left + rect.width - x, 1),
+      (y - area.top) / Math.max(y - rect.top, 1),
+      (area.top + area.height - y) / Math.max(rect.top + rect.height - y, 1));
+    let origin = image.getPointByOrigin('left', 'top');
+    image.set({
+      scaleX: image.scaleX * factor,
+      scaleY: image.scaleY * factor
+    });
+    image.setPositionByOrigin(new fabric.Point(x + (origin.x - x) * factor, y + (origin.y - y) * factor), 'left', 'top');
+  }
+
+  // loaded originals of images that are scaled down for editing, see uploadImage
+  const originalElements = new WeakMap();
+
+  // images of the canvas, also the ones in groups and the background image
+  const getImages = (canvas) => {
+    let images = [];
+    const visit = (object) => {
+      if (object.type === 'group') return object.getObjects().forEach(visit);
+      if (object.type === 'image') images.push(object);
+    }
+    canvas.getObjects().forEach(visit);
+    if (canvas.backgroundImage) visit(canvas.backgroundImage);
+    return images;
+  }
+
+  const getOriginalElement = (image) => {
+    let original = originalElements.get(image);
+    return original && image.originalImage && original.src === image.originalImage.src ? original.element : null;
+  }
+
+  /**
+   * Load the originals of images that are scaled down for editing
+   * @param {Object} editor
+   * @returns {Promise} resolves when all are loaded, images without a loaded original are exported as they're shown
+   */
+  const loadOriginalImages = (editor) => Promise.all(getImages(editor.canvas).map(image => {
+    let src = image.originalImage && image.originalImage.src;
+    if (!src || getOriginalElement(image)) return null;
+    return new Promise(resolve => fabric.util.loadImage(src, (element, isError) => {
+      if (isError || !element) console.warn("can't load an original image, it's exported at the size it's edited");
+      else originalElements.set(image, { src, element });
+      resolve();
+    }, null, 'anonymous'));
+  }));
+
+  /**
+   * Show images at the resolution of their originals, the size on the canvas stays the same
+   * @param {Object} canvas fabric canvas
+   * @param {Boolean} vector the canvas is exported as svg, fabric takes the size of svg images from their element,
+   * so the element is kept and only the svg source is replaced
+   * @returns {Function} restores the images
+   */
+  const useOriginalImages = (canvas, vector) => {
+    let restores = getImages(canvas).filter(getOriginalElement).map(image => {
+      let element = getOriginalElement(image);
+      let working = image._originalElement;
+      let saved = {
+        _element: image._element,
+        _originalElement: working,
+        _filteredEl: image._filteredEl,
+        _filterScalingX: image._filterScalingX,
+        _filterScalingY: image._filterScalingY,
+        _lastScaleX: image._lastScaleX,
+        _lastScaleY: image._lastScaleY,
+        cacheKey: image.cacheKey
+      };
+      const restore = () => {
+        image.removeTexture(image.cacheKey);
+        image.removeTexture(`${image.cacheKey}_filtered`);
+        Object.assign(image, saved);
+        image.dirty = true;
+      }
+
+      // filters are applied to the original with webgl textures of their own
+      image.cacheKey = `${saved.cacheKey}_original`;
+      image._element = image._originalElement = element;
+      image._filteredEl = null;
+      image.applyFilters();
+      if (vector) {
+        let src = image.getSvgSrc(true);
+        restore();
+        image.getSvgSrc = () => src;
+        return () => delete image.getSvgSrc;
+      }
+
+      // fabric draws elements of resize filters the same way
+      image._filterScalingX *= element.naturalWidth / (working.naturalWidth || working.width);
+      image._filterScalingY *= element.naturalHeight / (working.naturalHeight || working.height);
+      return restore;
+    });
+    return () => restores.forEach(restore => restore());
+  }
+
+  /**
+   * Run fn with the canvas prepared for export, the canvas is restored afterwards without recording history
+   * @param {Object} editor
+   * @param {Object} options background: undefined keeps the design background, 'transparent' or a color,
+   * objects: only these objects are shown, vectorArea: the exported svg area, fabric draws the svg background from
+   * the canvas origin only, bleed: the area the background image is stretched over, images are shown at the
+   * resolution of their originals loaded by loadOriginalImages
+   * @param {Function} fn
+   */
+  const withExportCanvas = (editor, { background, objects, vectorArea, bleed }, fn) => {
+    const canvas = editor.canvas;
+    let saved = {
+      backgroundColor: canvas.backgroundColor,
+      backgroundImage: canvas.backgroundImage,
+      objects: canvas._objects
+    };
+    let hidden = canvas.getObjects().filter(object => object.visible && (object.excludeFromExport || (objects && !objects.includes(object))));
+
+    if (background !== undefined) {
+      canvas.backgroundImage = null;
+      canvas.backgroundColor = background === 'transparent' ? null : background;
+    }
+    let image = canvas.backgroundImage;
+    let imageState = image && {
+      left: image.left,
+      top: image.top,
+      scaleX: image.scaleX,
+      scaleY: image.scaleY
+    };
+    if (bleed && image) coverArea(image, bleed);
+    if (vectorArea) {
+      // hidden objects would still be in the svg markup
+      canvas._objects = canvas._objects.filter(object => !hidden.includes(object));
+      if (canvas.backgroundColor) {
+        canvas._objects = [createBackgroundRect(canvas.backgroundColor, vectorArea), ...canvas._objects];
+        canvas.backgroundColor = null;
+      }
+    }
+    hidden.forEach(object => object.visible = false);
+    let restoreImages = useOriginalImages(canvas, !!vectorArea);
+    try {
+      return fn();
+    } finally {
+      restoreImages();
+      hidden.forEach(object => object.visible = true);
+      if (image) image.set(imageState);
+      canvas._objects = saved.objects;
+      canvas.backgroundColor = saved.backgroundColor;
+      canvas.backgroundImage = saved.backgroundImage;
+      canvas.requestRenderAll();
+    }
+  }
+
+  /**
+   * Export the design as image, the result doesn't depend on the current zoom
+   * @param {Object} options
+   * - format: 'png' (default), 'jpeg', 'webp', 'svg' or 'pdf'
+   * - multiplier: optional, size of the image relative to the canvas size, default 1
+   * - dpi: optional, target resolution instead of multiplier, canvas pixels are taken as 96 dpi
+   * - quality: optional, 0-1 for jpeg and webp, default 0.92
+   * - background: optional, 'transparent' or a color to replace the design background, jpeg is never transparent
+   * - area: optional, 'canvas' (default), 'selection', a fabric object or { left, top, width, height } in canvas pixels
+   * - title: optional, pdf and svg document title, the design name by default
+   * - fonts, description, metadata: optional, svg options of prepareSVG
+   * @returns {Promise<Object>} { data, blob, width, height, format, mimeType, extension, warnings } data is a data url,
+   * svg markup or the pdf blob, warnings are { message } about fonts that aren't embedded in the svg or pdf
+   */
+  var exportImage = function (options = {}) {
+    return loadOriginalImages(this).then(() => {
+      const canvas = this.canvas;
+      let format = formats[options.format || 'png'];
+      if (!format) throw new Error(`unknown export format ${options.format}`);
+      let multiplier = options.dpi ? options.dpi / canvasDPI : (options.multiplier || 1);
+      if (!(multiplier > 0)) throw new Error('export multiplier must be a positive number');
+
+      let area = getExportArea(this, options.area);
+      let width = Math.round(area.width * multiplier);
+      let height = Math.round(area.height * multiplier);
+      if (!format.vector && (width > maxExportSize || height > maxExportSize)) {
+        throw new Error(`the exported image would be ${width}x${height} pixels, the maximum is ${maxExportSize}`);
+      }
+
+      let background = options.background;
+      if (options.format === 'jpeg' && (background === 'transparent' || (background === undefined && !canvas.backgroundColor && !canvas.backgroundImage))) {
+        background = 'white';
+      }
+
+      let result = withExportCanvas(this, {
+        background,
+        objects: area.objects,
+        vectorArea: format.vector ? area : null
+      }, () => {
+        if (format.vector) {
+          return canvas.toSVG({
+            width: format.page ? area.width : width,
+            height: format.page ? area.height : height,
+            viewBox: {
+              x: area.left,
+              y: area.top,
+              width: area.width,
+              height: area.height
+            }
+          });
+        }
+
+        // fabric exports the canvas as it's shown, the area and multiplier are converted to the current viewport
+        let vpt = canvas.viewportTransform;
+        let zoom = canvas.getZoom();
+        return canvas.toDataURL({
+          format: options.format || 'png',
+          quality: options.quality === undefined ? 0.92 : options.quality,
+          left: area.left * zoom + vpt[4],
+          top: area.top * zoom + vpt[5],
+          width: area.width * zoom,
+          height: area.height * zoom,
+          multiplier: multiplier / zoom
+        });
+      });
+
+      let title = options.title || (this.currentDocument ? this.currentDocument.name : 'image');
+      let output;
+      if (format.page) {
+        output = convertSVGToPDF(this, result, area, title);
+      } else if (format.vector) {
+        output = this.prepareSVG(result, {
+          ...options,
+          title
+        }).then(({ svg, warnings }) => ({
+          data: svg,
+          warnings
+        }));
+      } else {
+        output = Promise.resolve({ data: result });
+      }
+      return output.then(({ data, warnings = [] }) => ({
+        data,
+        blob: data instanceof Blob ? data : format.vector ? new Blob([data], { type: format.mimeType }) : dataURLToBlob(data),
+        width: format.page ? area.width : width,
+        height: format.page ? area.height : height,
+        format: options.format || 'png',
+        mimeType: format.mimeType,
+        extension: format.extension,
+        warnings
+      }));
+    });
+  }
+
+  const mmPerInch = 25.4;
+  // crop marks start this far outside the bleed and are this long, in mm
+  const markOffset = 2;
+  const markLength = 5;
+  const printFormats = ['pdf', 'png', 'jpeg'];
+
+  const crcTable = (() => {
+    let table = [];
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Write the resolution into png or jpeg data so that print software uses the right physical size
+   * @param {String} dataURL png or jpeg data url of the canvas
+   * @param {Number} dpi
+   * @returns {Blob}
+   */
+  const setImageResolution = (dataURL, dpi) => {
+    let blob = dataURLToBlob(dataURL);
+    let bytes = new Uint8Array(atob(dataURL.split(',')[1]).split('').map(char => char.charCodeAt(0)));
+    let view = new DataView(bytes.buffer);
+
+    if (blob.type === 'image/png') {
+      // pHYs chunk in pixels per meter, inserted after the IHDR chunk
+      let chunk = new Uint8Array(21);
+      let chunkView = new DataView(chunk.buffer);
+      let pixelsPerMeter = Math.round(dpi / mmPerInch * 1000);
+      chunkView.setUint32(0, 9);
+      chunk.set([0x70, 0x48, 0x59, 0x73], 4);
+      chunkView.setUint32(8, pixelsPerMeter);
+      chunkView.setUint32(12, pixelsPerMeter);
+      chunk[16] = 1;
+      chunkView.setUint32(17, crc32(chunk.subarray(4, 17)));
+      let end = 8 + 12 + view.getUint32(8);
+      return new Blob([bytes.subarray(0, end), chunk, bytes.subarray(end)], { type: blob.type });
+    }
+
+    // density of the JFIF header written by browsers
+    if (blob.type === 'image/jpeg' && view.getUint16(2) === 0xffe0 && String.fromCharCode(...bytes.subarray(6, 10)) === 'JFIF') {
+      bytes[13] = 1;
+      view.setUint16(14, Math.round(dpi));
+      view.setUint16(16, Math.round(dpi));
+      return new Blob([bytes], { type: blob.type });
+    }
+    return blob;
+  }
+
+  /**
+   * Get crop and registration marks around the trim box of a print sheet
+   * @param {Number} width trim box width
+   * @param {Number} height trim box height
+   * @param {Number} bleed bleed around the trim box
+   * @param {Number} offset distance of the marks from the bleed
+   * @param {Number} length length of the marks
+   * @returns {Object} { lines: [[x1, y1, x2, y2]], circles: [[x, y, radius]], margin } in sheet coordinates,
+   * the trim box starts at margin
+   */
+  const getPrintMarks = (width, height, bleed, offset, length) => {
+    let margin = bleed + offset + length;
+    let start = bleed + offset;
+    let [left, top, right, bottom] = [margin, margin, margin + width, margin + height];
+    let lines = [];
+    [[left, top, -1, -1], [right, top, 1, -1], [left, bottom, -1, 1], [right, bottom, 1, 1]].forEach(([x, y, dx, dy]) => {
+      lines.push([x + dx * start, y, x + dx * (start + length), y]);
+      lines.push([x, y + dy * start, x, y + dy * (start + length)]);
+    });
+
+    // registration marks in the middle of each side
+    let radius = length / 4;
+    let center = start + length / 2;
+    let circles = [
+      [left + width / 2, top - center],
+      [left + width / 2, bottom + center],
+      [left - center, top + height / 2],
+      [right + center, top + height / 2]
+    ].map(([x, y]) => {
+      lines.push([x - radius * 1.6, y, x + radius * 1.6, y], [x, y - radius * 1.6, x, y + radius * 1.6]);
+      return [x, y, radius];
+    });
+
+    return { lines, circles, margin };
+  }
+
+  /**
+   * Get physical size settings of the design
+   * @returns {Object} { unit: 'px', 'mm' or 'in', dpi } the physical size is the canvas size divided by dpi
+   */
+  var getPrintSettings = function () {
+    return {
+      unit: this.options.print.unit,
+      dpi: this.options.print.dpi,
+      ...(this.canvas && this.canvas.printSettings)
+    };
+  }
+
+  /**
+   * Set physical size settings of the design, the canvas size in pixels is kept
+   * @param {Object} settings { unit, dpi }
+   */
+  var setPrintSettings = function (settings) {
+    let merged = {
+      ...this.getPrintSettings(),
+      ...settings
+    };
+    if (!['px', 'mm', 'in'].includes(merged.unit)) throw new TypeError('print unit must be "px", "mm" or "in"');
+    if (!(merged.dpi > 0)) throw new TypeError('print dpi must be a positive number');
+
+    this.canvas.printSettings = merged;
+    this.updateDimensionInputs();
+    this.canvas.trigger('object:modified');
+  }
+
+  /**
+   * Find images printed below a resolution at the current size of the design
+   * @param {Number} minDPI optional, the minImageDPI print option by default
+   * @returns {Array} [{ object, dpi }] dpi is the effective resolution of the image
+   */
+  var getLowResolutionImages = function (minDPI = this.options.print.minImageDPI) {
+    let { dpi } = this.getPrintSettings();
+    let images = [];
+    const visit = (object) => {
+      if (object.type === 'group') return object.getObjects().forEach(visit);
+      if (object.type !== 'image') return;
+      let scaling = object.getObjectScaling();
+      // images scaled down for editing are printed from their original
+      let resolution = object.originalImage ? object.originalImage.width / object.getOriginalSize().width : 1;
+      let effectiveDPI = Math.round(dpi * resolution / Math.max(Math.abs(scaling.scaleX), Math.abs(scaling.scaleY)));
+      if (effectiveDPI < minDPI) images.push({ object, dpi: effectiveDPI });
+    }
+    this.canvas.getObjects().forEach(visit);
+    return images;
+  }
+
+  /**
+   * Export the design for print at the physical size of the design, the background is extended by the bleed
+   * and crop and registration marks are drawn outside the trim box
+   * @param {Object} options
+   * - format: 'pdf' (default), 'png' or 'jpeg'
+   * - bleed: optional, bleed in mm, the bleed print option by default
+   * - marks: optional, false to leave out crop and registration marks
+   * - quality: optional, 0-1 for jpeg, default 0.92
+   * - background: optional, 'transparent' or a color to replace the design background
+   * - title: optional, pdf document title, the design name by default
+   * @returns {Promise<Object>} { data, blob, width, height, format, mimeType, extension, warnings } width and height
+   * are the sheet size in pixels, warnings are { object, dpi, message } of images below the minImageDPI print option
+   * and { message } about fonts that aren't embedded in the pdf
+   */
+  var exportPrint = function (options = {}) {
+    return loadOriginalImages(this).then(() => {
+      const canvas = this.canvas;
+      let formatName = options.format || 'pdf';
+      if (!printFormats.includes(formatName)) throw new Error(`print export supports pdf, png and jpeg, not ${formatName}`);
+      let format = formats[formatName];
+      let { dpi } = this.getPrintSettings();
+      const fromMM = (value) => value / mmPerInch * dpi;
+
+      let bleed = fromMM(options.bleed === undefined ? this.options.print.bleed : options.bleed);
+      let marks = options.marks === undefined ? this.options.print.marks : options.marks;
+      let printMarks = marks ? getPrintMarks(canvas.originalW, canvas.originalH, bleed, fromMM(markOffset), fromMM(markLength)) : {
+        lines: [],
+        circles: [],
+        margin: bleed
+      };
+      let margin = printMarks.margin;
+      let sheet = {
+        width: Math.round(canvas.originalW + 2 * margin),
+        height: Math.round(canvas.originalH + 2 * margin)
+      };
+      let area = {
+        left: -bleed,
+        top: -bleed,
+        width: canvas.originalW + 2 * bleed,
+        height: canvas.originalH + 2 * bleed
+      };
+      if (!format.vector && (sheet.width > maxExportSize || sheet.height > maxExportSize)) {
+        throw new Error(`the print sheet would be ${sheet.width}x${sheet.height} pixels, the maximum is ${maxExportSize}`);
+      }
+
+      let warnings = this.getLowResolutionImages().map(image => ({
+        ...image,
+        message: `An image prints at ${image.dpi} dpi, at least ${this.options.print.minImageDPI} dpi is recommended`
+      }));
+      let title = options.title || (this.currentDocument ? this.currentDocument.name : 'image');
+      let output;
+      if (format.vector) {
+        let svg = withExportCanvas(this, {
+          background: options.background,
+          vectorArea: area,
+          bleed: area
+        }, () => canvas.toSVG({
+          width: area.width,
+          height: area.height,
+          viewBox: {
+            x: area.left,
+            y: area.top,
+            width: area.width,
+            height: area.height
+          }
+        }));
+
+        // pdf points per canvas pixel at the print resolution
+        let k = 72 / dpi;
+        output = createPDF(this, svg, {
+          width: sheet.width * k,
+          height: sheet.height * k
+        }, {
+          x: (margin - bleed) * k,
+          y: (margin - bleed) * k,
+          width: area.width * k,
+          height: area.height * k
+        }, title, warnings).then(pdf => {
+          // registration color prints on every plate
+          pdf.setDrawColor(1, 1, 1, 1);
+          pdf.setLineWidth(0.25);
+          printMarks.lines.forEach(([x1, y1, x2, y2]) => pdf.line(x1 * k, y1 * k, x2 * k, y2 * k));
+          printMarks.circles.forEach(([x, y, radius]) => pdf.circle(x * k, y * k, radius * k, 'S'));
+          return pdf.output('blob');
+        });
+      } else {
+        let content = withExportCanvas(this, {
+          background: options.background,
+          bleed: area
+        }, () => {
+          let vpt = canvas.viewportTransform;
+          let zoom = canvas.getZoom();
+          return canvas.toCanvasElement(1 / zoom, {
+            left: area.left * zoom + vpt[4],
+            top: area.top * zoom + vpt[5],
+            width: area.width * zoom,
+            height: area.height * zoom
+          });
+        });
+
+        let sheetCanvas = document.createElement('canvas');
+        sheetCanvas.width = sheet.width;
+        sheetCanvas.height = sheet.height;
+        let ctx = sheetCanvas.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, sheet.width, sheet.height);
+        ctx.drawImage(content, margin - bleed, margin - bleed);
+        ctx.strokeStyle = 'black';
+        ctx.lineWidth = 0.25 / 72 * dpi;
+        printMarks.lines.forEach(([x1, y1, x2, y2]) => {
+          ctx.beginPath();
+          ctx.moveTo(x1, y1);
+          ctx.lineTo(x2, y2);
+          ctx.stroke();
+        });
+        printMarks.circles.forEach(([x, y, radius]) => {
+          ctx.beginPath();
+          ctx.arc(x, y, radius, 0, Math.PI * 2);
+          ctx.stroke();
+        });
+        let dataURL = sheetCanvas.toDataURL(format.mimeType, options.quality === undefined ? 0.92 : options.quality);
+        output = Promise.resolve(setImageResolution(dataURL, dpi));
+      }
+
+      return output.then(blob => ({
+        data: blob,
+        blob,
+        width: sheet.width,
+        height: sheet.height,
+        format: formatName,
+        mimeType: format.mimeType,
+        extension: format.extension,
+        warnings
+      }));
+    });
+  }
+
+  /**
+   * Get a file name for an exported object from its name, text or type
+   * @param {Object} object fabric object
+   * @param {Array} used file names taken so far, the new name is added
+   * @param {String} extension
+   * @returns {String}
+   */
+  const getObjectFileName = (object, used, extension) => {
+    let label = object.name || (typeof object.text === 'string' && object.text) || object.type;
+    let base = String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 40) || object.type;
+    let name = `${base}.${extension}`;
+    for (let i = 2; used.includes(name); i++) name = `${base}-${i}.${extension}`;
+    used.push(name);
+    return name;
+  }
+
+  /**
+   * Export objects as separate files bundled into a zip file with a manifest.json of their positions
+   * @param {Object} options
+   * - objects: optional, 'all' (default) top level objects, 'selection' the selected objects or an array of objects
+   * - format: 'png' (default), 'jpeg', 'webp' or 'svg'
+   * - multiplier, dpi, quality: optional, like in exportImage
+   * - background: optional, 'transparent' (default) or a color behind each object
+   * @returns {Promise<Object>} { data, blob, manifest, format, mimeType, extension } data is the zip blob
+   */
+  var exportObjects = function (options = {}) {
+    const canvas = this.canvas;
+    if (!hasZipSupport()) return Promise.reject(new Error('ZIP export needs vendor/jszip.min.js'));
+
+    let formatName = options.format || 'png';
+    if (!formats[formatName] || formats[formatName].page) return Promise.reject(new Error(`objects can't be exported as ${formatName}`));
+
+    let objects = options.objects;
+    if (objects === 'selection') {
+      let active = canvas.getActiveObject();
+      objects = !active ? [] : active.type === 'activeSelection' ? active.getObjects() : [active];
+    } else if (!Array.isArray(objects)) {
+      objects = canvas.getObjects();
+    }
+    objects = objects.filter(object => object.visible && !object.excludeFromExport);
+    if (!objects.length) return Promise.reject(new Error('there are no objects to export'));
+
+    let multiplier = options.dpi ? options.dpi / canvasDPI : (options.multiplier || 1);
+    let zip = new window.JSZip();
+    let used = ['manifest.json'];
+    let manifest = {
+      generator: 'fabric.js image editor',
+      canvas: {
+        width: canvas.originalW,
+        height: canvas.originalH
+      },
+      format: formatName,
+      multiplier,
+      objects: []
+    };
+
+    // objects are exported one after another, every export changes the canvas for a moment
+    let exported = objects.reduce((previous, object) => previous.then(() => {
+      return this.exportImage({
+        format: formatName,
+        multiplier,
+        quality: options.quality,
+        background: options.background || 'transparent',
+        area: object
+      }).then(result => {
+        let rect = getObjectRect(object);
+        let file = getObjectFileName(object, used, result.extension);
+        zip.file(file, result.blob);
+        manifest.objects.push({
+          file,
+          id: object.id,
+          name: object.name,
+          type: object.type,
+          index: canvas.getObjects().indexOf(object),
+          left: rect.left,
+          top: rect.top,
+          width: rect.width,
+          height: rect.height,
+          angle: object.angle,
+          opacity: object.opacity,
+          pixelWidth: result.width,
+          pixelHeight: result.height
+        });
+      });
+    }), Promise.resolve());
+
+    return exported.then(() => {
+      zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+      return zip.generateAsync({
+        type: 'blob',
+        mimeType: 'application/zip'
+      });
+    }).then(blob => ({
+      data: blob,
+      blob,
+      manifest,
+      format: 'zip',
+      mimeType: 'application/zip',
+      extension: 'zip'
+    }));
+  }
+
+  /**
+   * Export the design and download it as file
+   * @param {Object} options options of exportImage and fileName without extension, print: true exports with
+   * options of exportPrint, objects: 'all' or 'selection' exports a zip file with options of exportObjects
+   * @returns {Promise<Object>} result of exportImage, exportPrint or exportObjects
+   */
+  var downloadImageFile = function (options = {}) {
+    let exported = options.objects ? this.exportObjects(options) : options.print ? this.exportPrint(options) : this.exportImage(options);
+    return exported.then(result => {
+      let fileName = (options.fileName || 'image').replace(/\.[a-z0-9]+$/i, '');
+      downloadBlob(result.blob, `${fileName}.${result.extension}`);
+      this.emit('export', {
+        format: result.format,
+        data: result.data,
+        options
+      });
+      return result;
+    });
+  }
+
+  /**
+   * Open export dialog
+   * @returns {Object} jquery element of the dialog
+   */
+  var showExportDialog = function () {
+    const _self = this;
+    const canvas = this.canvas;
+    $(`.custom-modal-container[data-editor-id=${this.id}]`).remove();
+    let modal = this.openModal(`
+      <div class="export-dialog">
+        <p class="title">Export</p>
+        <div class="input-container">
+          <label>File name</label>
+          <input class="export-file-name" type="text"/>
+        </div>
+        <div class="input-container">
+          <label>Format</label>
+          <select class="export-format">
+            ${Object.keys(formats).filter(name => name !== 'pdf' || hasPDFSupport()).map(name => `<option value="${name}">${formats[name].label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="input-container export-svg">
+          <label>Fonts</label>
+          <select class="export-fonts">
+            <option value="embed">Embed used characters</option>
+            <option value="outline">Convert text to outlines</option>
+            <option value="none">Reference by name</option>
+          </select>
+        </div>
+        <div class="input-container">
+          <label>Print ready</label>
+          <input class="export-print" type="checkbox"/>
+        </div>
+        <div class="export-print">
+          <div class="input-container">
+            <label>Bleed (mm)</label>
+            <input class="export-bleed" type="number" min="0" step="0.5" value="${this.options.print.bleed}"/>
+          </div>
+          <div class="input-container">
+            <label>Crop marks</label>
+            <input class="export-marks" type="checkbox" ${this.options.print.marks ? 'checked' : ''}/>
+          </div>
+          <ul class="export-warnings"></ul>
+        </div>
+        <div class="input-container export-scale">
+          <label>Scale</label>
+          <input class="export-multiplier" type="number" min="0.1" max="10" step="0.1" value="1"/>
+        </div>
+        <div class="input-container export-scale">
+          <label>DPI</label>
+          <input class="export-dpi" type="number" min="10" max="2400" step="any" value="${canvasDPI}"/>
+        </div>
+        <div class="input-container export-quality">
+          <label>Quality</label>
+          <input class="export-quality" type="range" min="1" max="100" value="92"/>
+          <span class="export-quality-value">92</span>
+        </div>
+        <div class="input-container">
+          <label>Background</label>
+          <select class="export-background">
+            <option value="design">Design background</option>
+            <option value="transparent">Transparent</option>
+            <option value="color">Solid color</option>
+          </select>
+          <input class="export-background-color" type="color" value="#ffffff"/>
+        </div>
+        <div class="input-container export-area">
+          <label>Area</label>
+          <select class="export-area">
+            <option value="canvas">Whole canvas</option>
+            <option value="selection" ${canvas.getActiveObject() ? '' : 'disabled'}>Selection</option>
+            <option value="custom">Custom region</option>
+            ${hasZipSupport() ? `
+            <option value="objects">Each object (ZIP)</option>
+            <option value="selected-objects" ${canvas.getActiveObject() ? '' : 'disabled'}>Each selected object (ZIP)</option>
+            ` : ''}
+          </select>
+        </div>
+        <div class="export-region">
+          <input class="export-left" type="number" title="Left" value="0"/>
+          <input class="export-top" type="number" title="Top" value="0"/>
+          <input class="export-width" type="number" title="Width" min="1" value="${canvas.originalW}"/>
+          <input class="export-height" type="number" title="Height" min="1" value="${canvas.originalH}"/>
+        </div>
+        <p class="export-size"></p>
+        <div class="export-actions">
+          <button class="btn_export">Download</button>
+          <button class="btn_cancel">Cancel</button>
+        </div>
+      </div>
+    `);
+    // only the actions close the dialog
+    modal.find('.custom-modal-content').click(e => e.stopPropagation());
+    modal.find('.export-file-name').val(this.currentDocument ? this.currentDocument.name : 'image');
+
+    const getOptions = () => {
+      let format = modal.find('.export-format').val();
+      let background = modal.find('.export-background').val();
+      let area = modal.find('.export-area').val();
+      let print = modal.find('.export-print').prop('checked');
+      return {
+        fileName: modal.find('.export-file-name').val() || 'image',
+        format,
+        print,
+        fonts: format === 'svg' ? modal.find('.export-fonts').val() : undefined,
+        objects: print ? undefined : area === 'objects' ? 'all' : area === 'selected-objects' ? 'selection' : undefined,
+        bleed: Math.max(parseFloat(modal.find('.export-bleed').val()) || 0, 0),
+        marks: modal.find('.export-marks').prop('checked'),
+        dpi: parseFloat(modal.find('.export-dpi').val()) || canvasDPI,
+        quality: formats[format].quality ? parseInt(modal.find('.export-quality').val()) / 100 : undefined,
+        background: background === 'design' ? undefined : background === 'transparent' ? 'transparent' : modal.find('.export-background-color').val(),
+        area: area === 'custom' ? {
+          left: parseFloat(modal.find('.export-left').val()),
+          top: parseFloat(modal.find('.export-top').val()),
+          width: parseFloat(modal.find('.export-width').val()),
+          height: parseFloat(modal.find('.export-height').val())
+        } : area
+      };
+    }
+
+    const update = () => {
+      let print = modal.find('.export-print').prop('checked');
+      let objects = !print && ['objects', 'selected-objects'].includes(modal.find('.export-area').val());
+      modal.find('.export-format option').each(function () {
+        $(this).prop('disabled', (print && !printFormats.includes(this.value)) || (objects && !!formats[this.value].page));
+      })
+      if (modal.find('.export-format option:selected').prop('disabled')) {
+        modal.find('.export-format').val(print && hasPDFSupport() ? 'pdf' : 'png');
+      }
+
+      let options = getOptions();
+      modal.find('.export-quality').toggle(!!formats[options.format].quality);
+      modal.find('.export-svg').toggle(options.format === 'svg');
+      modal.find('.export-scale').toggle(!formats[options.format].page && !print);
+      modal.find('.export-print').toggle(print);
+      modal.find('.export-area').toggle(!print);
+      modal.find('.export-background-color').toggle(modal.find('.export-background').val() === 'color');
+      modal.find('.export-region').toggle(modal.find('.export-area').val() === 'custom' && !print);
+      modal.find('.export-quality-value').text(modal.find('.export-quality').val());
+      if (print) {
+        let { unit, dpi } = _self.getPrintSettings();
+        // pixels have no physical size, the print size is shown in mm then
+        let sizeUnit = unit === 'px' ? 'mm' : unit;
+        let size = [canvas.originalW, canvas.originalH].map(value => parseFloat(convertFromPixels(value, sizeUnit, dpi).toFixed(sizeUnit === 'in' ? 2 : 1)));
+        modal.find('.export-size').text(`${size[0]} x ${size[1]} ${sizeUnit} at ${dpi} dpi, plus ${options.bleed} mm bleed`);
+        modal.find('.export-warnings').empty().append(_self.getLowResolutionImages().map(image => {
+          return $('<li></li>').text(`An image prints at ${image.dpi} dpi, at least ${_self.options.print.minImageDPI} dpi is recommended`);
+        }));
+        return;
+      }
+      if (objects) {
+        let active = canvas.getActiveObject();
+        let count = options.objects === 'all' ? canvas.getObjects().filter(object => object.visible && !object.excludeFromExport).length :
+          !active ? 0 : active.type === 'activeSelection' ? active.size() : 1;
+        modal.find('.export-size').text(`${count} ${formats[options.format].label} file(s) in a ZIP file`);
+        return;
+      }
+      try {
+        let area = getExportArea(_self, options.area);
+        let multiplier = options.dpi / canvasDPI;
+        if (formats[options.format].page) {
+          modal.find('.export-size').text(`${Math.round(area.width * pointsPerPixel)} x ${Math.round(area.height * pointsPerPixel)} pt page`);
+        } else {
+          modal.find('.export-size').text(`${Math.round(area.width * multiplier)} x ${Math.round(area.height * multiplier)} px`);
+        }
+      } catch (error) {
+        modal.find('.export-size').text(error.message);
+      }
+    }
+
+    // scale and dpi are two ways to set the same resolution
+    modal.find('.export-multiplier').on('input', function () {
+      modal.find('.export-dpi').val(Math.round((parseFloat($(this).val()) || 0) * canvasDPI * 100) / 100);
+    })
+    modal.find('.export-dpi').on('input', function () {
+      modal.find('.export-multiplier').val(Math.round((parseFloat($(this).val()) || 0) / canvasDPI * 100) / 100);
+    })
+    modal.find('input, select').on('input change', update);
+
+    modal.find('.btn_cancel').click(() => modal.remove());
+    modal.find('.btn_export').click(() => {
+      _self.downloadImageFile(getOptions()).then(result => {
+        modal.remove();
+        Array.from(new Set((result.warnings || []).map(warning => warning.message))).forEach(message => {
+          _self.notify(message, {
+            type: 'warning'
+          });
+        })
+      }).catch(error => {
+        console.error("can't export image", error);
+        _self.notify(`Can't export: ${error.message}`, {
+          type: 'error'
+        });
+        _self.emit('error', {
+          message: "can't export image",
+          error
+        });
+      });
+    })
+
+    update();
+    return modal;
+  }
+
+  window.ImageEditor.exportFormats = formats;
+  window.ImageEditor.prototype.exportImage = exportImage;
+  window.ImageEditor.prototype.getPrintSettings = getPrintSettings;
+  window.ImageEditor.prototype.setPrintSettings = setPrintSettings;
+  window.ImageEditor.prototype.getLowResolutionImages = getLowResolutionImages;
+  window.ImageEditor.prototype.exportPrint = exportPrint;
+  window.ImageEditor.prototype.exportObjects = exportObjects;
+  window.ImageEditor.prototype.downloadImageFile = downloadImageFile;
+  window.ImageEditor.prototype.showExportDialog = showExportDialog;
+})();
+
+/**
+ * Define clean svg markup with embedded fonts
+ */
+(function () {
+  'use strict';
+  const svgNS = 'http://www.w3.org/2000/svg';
+  const xlinkNS = 'http://www.w3.org/1999/xlink';
+  const rdfNS = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+  const dcNS = 'http://purl.org/dc/elements/1.1/';
+
+  // style values fabric writes for every object that are svg defaults anyway
+  const defaultStyles = {
+    'stroke': 'none',
+    'stroke-width': '1',
+    'stroke-dasharray': 'none',
+    'stroke-linecap': 'butt',
+    'stroke-dashoffset': '0',
+    'stroke-linejoin': 'miter',
+    'stroke-miterlimit': '4',
+    'fill-rule': 'nonzero',
+    'opacity': '1'
+  };
+
+  // loaded font files by url
+  const fontFileCache = new Map();
+  // parsed fonts by url
+  const fontCache = new Map();
+
+  const hasFontSupport = () => !!(window.opentype && window.opentype.parse);
+
+  const loadFontFile = (url) => {
+    if (!fontFileCache.has(url)) {
+      let loading = fetch(url).then(response => {
+        if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+        return response.arrayBuffer();
+      });
+      loading.catch(() => fontFileCache.delete(url));
+      fontFileCache.set(url, loading);
+    }
+    return fontFileCache.get(url);
+  }
+
+  const loadFont = (url) => {
+    if (!fontCache.has(url)) {
+      let loading = loadFontFile(url).then(buffer => window.opentype.parse(buffer));
+      loading.catch(() => fontCache.delete(url));
+      fontCache.set(url, loading);
+    }
+    return fontCache.get(url);
+  }
+
+  const parseStyle = (element) => {
+    let style = {};
+    (element.getAttribute('style') || '').split(';').forEach(declaration => {
+      let index = declaration.indexOf(':');
+      if (index > 0) style[declaration.substring(0, index).trim()] = declaration.substring(index + 1).trim();
+    })
+    return style;
+  }
+
+  const writeStyle = (element, style) => {
+    let value = Object.keys(style).map(name => `${name}: ${style[name]};`).join(' ');
+    value ? element.setAttribute('style', value) : element.removeAttribute('style');
+  }
+
+  // text properties can be set on a tspan or its text element, as style or attribute
+  const getTextProperty = (element, name) => {
+    for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+      let style = parseStyle(node);
+      if (style[name]) return style[name];
+      if (node.hasAttribute(name)) return node.getAttribute(name);
+      if (node.localName === 'text') break;
+    }
+    return null;
+  }
+
+  const getFamilyName = (fontFamily) => String(fontFamily).split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+
+  /**
+   * Get the font file of a text run from the fonts option
+   * @param {Array} fonts fonts option
+   * @param {Object} run { family, bold, italic }
+   * @returns {String} url, null if the font has no file
+   */
+  const getFontURL = (fonts, run) => {
+    let name = getFamilyName(run.family).toLowerCase();
+    let font = fonts.find(font => getFamilyName(font.value).toLowerCase() === name);
+    if (!font || !font.url) return null;
+    if (typeof font.url === 'string') return font.url;
+    let key = run.bold && run.italic ? 'boldItalic' : run.bold ? 'bold' : run.italic ? 'italic' : 'normal';
+    return font.url[key] || font.url.normal || null;
+  }
+
+  const toBase64 = (buffer) => {
+    let bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  // names of opentype.js fonts are by language, some fonts have no english names
+  const getFontName = (font, key, fallback) => {
+    let names = font.names[key] || {};
+    return names.en || Object.values(names)[0] || fallback;
+  }
+
+  /**
+   * Create a font with only the glyphs of a text
+   * @param {Object} font opentype.js font
+   * @param {String} text
+   * @param {String} family family name if the font has none
+   * @returns {ArrayBuffer} otf font file
+   */
+  const subsetFont = (font, text, family) => {
+    let glyphs = [font.glyphs.get(0)];
+    Array.from(new Set(Array.from(text))).forEach(char => {
+      let glyph = font.charToGlyph(char);
+      if (!glyphs.includes(glyph)) glyphs.push(glyph);
+    })
+    let subset = new window.opentype.Font({
+      familyName: getFontName(font, 'fontFamily', family),
+      styleName: getFontName(font, 'fontSubfamily', 'Regular'),
+      unitsPerEm: font.unitsPerEm,
+      ascender: font.ascender,
+      descender: font.descender,
+      glyphs: glyphs.map((glyph, index) => new window.opentype.Glyph({
+        name: index ? glyph.name || `glyph${index}` : '.notdef',
+        unicode: glyph.unicode,
+        unicodes: glyph.unicodes,
+        advanceWidth: glyph.advanceWidth || 0,
+        path: glyph.path
+      }))
+    });
+    return subset.toArrayBuffer();
+  }
+
+  const getDefs = (doc) => {
+    let root = doc.documentElement;
+    let defs = Array.from(root.children).find(child => child.localName === 'defs');
+    if (!defs) {
+      defs = doc.createElementNS(svgNS, 'defs');
+      root.insertBefore(defs, root.firstChild);
+    }
+    return defs;
+  }
+
+  /**
+   * Put images that are used more than once into defs and reference them
+   * @param {Object} doc svg document
+   */
+  const dedupeImages = (doc) => {
+    let shared = new Map();
+    Array.from(doc.getElementsByTagName('image')).forEach(image => {
+      let href = image.getAttributeNS(xlinkNS, 'href') || image.getAttribute('href');
+      if (!href) return;
+      let key = [href, image.getAttribute('width'), image.getAttribute('height'), image.getAttribute('preserveAspectRatio')].join('|');
+      shared.has(key) ? shared.get(key).push(image) : shared.set(key, [image]);
+    })
+
+    let count = 0;
+    shared.forEach(images => {
+      if (images.length < 2) return;
+      let id = `image-${++count}`;
+      let definition = doc.createElementNS(svgNS, 'image');
+      definition.setAttribute('id', id);
+      ['width', 'height', 'preserveAspectRatio'].forEach(name => {
+        images[0].hasAttribute(name) && definition.setAttribute(name, images[0].getAttribute(name));
+      })
+      definition.setAttributeNS(xlinkNS, 'xlink:href', images[0].getAttributeNS(xlinkNS, 'href') || images[0].getAttribute('href'));
+      getDefs(doc).appendChild(definition);
+
+      images.forEach(image => {
+        let use = doc.createElementNS(svgNS, 'use');
+        Array.from(image.attributes).forEach(attribute => {
+          if (['href', 'width', 'height', 'preserveAspectRatio'].includes(attribute.localName)) return;
+          use.setAttribute(attribute.name, attribute.value);
+        })
+        use.setAttributeNS(xlinkNS, 'xlink:href', `#${id}`);
+        image.parentNode.replaceChild(use, image);
+      })
+    })
+  }
+
+  /**
+   * Remove fabric defaults, ids of editor objects and empty defs
+   * @param {Object} doc svg document
+   */
+  const removeEditorMarkup = (doc) => {
+    let root = doc.documentElement;
+    Array.from(root.children).filter(child => child.localName === 'desc').forEach(desc => desc.remove());
+
+    // ids are kept if they are referenced, by url(#id), href="#id" and the like
+    let referenced = new Set();
+    let markup = new XMLSerializer().serializeToString(root);
+    for (const [, id] of markup.matchAll(/#([^\s"'()#;,<>]+)/g)) referenced.add(id);
+    Array.from(root.querySelectorAll('[id]')).forEach(element => {
+      if (!referenced.has(element.getAttribute('id'))) element.removeAttribute('id');
+    })
+
+    Array.from(root.querySelectorAll('[style]')).forEach(element => {
+      // tspans override the style of their text
+      if (element.localName === 'tspan') return;
+      let style = parseStyle(element);
+      Object.keys(defaultStyles).forEach(name => {
+        if (style[name] === defaultStyles[name]) delete style[name];
+      })
+      writeStyle(element, style);
+    })
+
+    Array.from(root.getElementsByTagName('defs')).forEach(defs => {
+      if (!defs.children.length) defs.remove();
+    })
+  }
+
+  /**
+   * Add title, description and dublin core metadata
+   * @param {Object} doc svg document
+   * @param {Object} options { title, description, metadata }
+   */
+  const addMetadata = (doc, { title, description, metadata }) => {
+    let root = doc.documentElement;
+    let elements = [];
+    if (title) {
+      let element = doc.createElementNS(svgNS, 'title');
+      element.textContent = title;
+      elements.push(element);
+    }
+    if (description) {
+      let element = doc.createElementNS(svgNS, 'desc');
+      element.textContent = description;
+      elements.push(element);
+    }
+    if (metadata && Object.keys(metadata).length) {
+      let element = doc.createElementNS(svgNS, 'metadata');
+      let rdf = doc.createElementNS(rdfNS, 'rdf:RDF');
+      rdf.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:dc', dcNS);
+      let item = doc.createElementNS(rdfNS, 'rdf:Description');
+      item.setAttributeNS(rdfNS, 'rdf:about', '');
+      Object.keys(metadata).forEach(name => {
+        if (!/^[a-zA-Z][\w-]*$/.test(name)) throw new Error(`invalid metadata name ${name}`);
+        let term = doc.createElementNS(dcNS, `dc:${name}`);
+        term.textContent = String(metadata[name]);
+        item.appendChild(term);
+      })
+      rdf.appendChild(item);
+      element.appendChild(rdf);
+      elements.push(element);
+    }
+    elements.reverse().forEach(element => root.insertBefore(element, root.firstChild));
+  }
+
+  /**
+   * Get the text runs of svg markup with their font
+   * @param {Object} editor
+   * @param {Object} doc svg document
+   * @returns {Array} [{ text, element, family, size, bold, italic, url }] url is null if the font has no file
+   */
+  const getTextRuns = (editor, doc) => {
+    let runs = [];
+    Array.from(doc.getElementsByTagName('text')).forEach(text => {
+      let spans = Array.from(text.getElementsByTagName('tspan'));
+      (spans.length ? spans : [text]).forEach(element => {
+        let weight = getTextProperty(element, 'font-weight') || 'normal';
+        let run = {
+          text,
+          element,
+          family: getTextProperty(element, 'font-family') || '',
+          size: parseFloat(getTextProperty(element, 'font-size')) || 16,
+          bold: weight === 'bold' || weight === 'bolder' || parseInt(weight) >= 600,
+          italic: /italic|oblique/.test(getTextProperty(element, 'font-style') || '')
+        };
+        run.url = getFontURL(editor.options.fonts, run);
+        runs.push(run);
+      })
+    })
+    return runs;
+  }
+
+  /**
+   * Embed subsets of the used fonts or replace text by outlines
+   * @param {Object} editor
+   * @param {Object} doc svg document
+   * @param {String} mode 'embed' or 'outline'
+   * @param {Array} warnings messages about fonts that couldn't be used are added
+   * @returns {Promise}
+   */
+  const processFonts = (editor, doc, mode, warnings) => {
+    let texts = Array.from(doc.getElementsByTagName('text'));
+    if (!texts.length) return Promise.resolve();
+    if (!hasFontSupport()) {
+      warnings.push({ message: 'fonts are referenced by name only, load vendor/opentype.min.js to embed them' });
+      return Promise.resolve();
+    }
+
+    let runs = getTextRuns(editor, doc);
+    let missing = new Set(runs.filter(run => !run.url).map(run => getFamilyName(run.family)));
+    missing.forEach(family => warnings.push({ message: `font ${family} has no url in the fonts option and is referenced by name only` }));
+
+    let fonts = new Map();
+    let urls = Array.from(new Set(runs.filter(run => run.url).map(run => run.url)));
+    return Promise.all(urls.map(url => loadFont(url).then(font => fonts.set(url, font), error => {
+      console.error(`can't load font ${url}`, error);
+      warnings.push({ message: `font ${url} can't be loaded and is referenced by name only` });
+    }))).then(() => {
+      runs.forEach(run => run.font = fonts.get(run.url));
+      if (mode === 'outline') {
+        texts.forEach(text => {
+          let textRuns = runs.filter(run => run.text === text);
+          if (!textRuns.every(run => run.font)) return;
+          let group = doc.createElementNS(svgNS, 'g');
+          ['style', 'transform'].forEach(name => text.hasAttribute(name) && group.setAttribute(name, text.getAttribute(name)));
+          textRuns.forEach(run => {
+            let content = run.element.textContent;
+            if (!content.trim()) return;
+            let path = doc.createElementNS(svgNS, 'path');
+            let x = parseFloat(run.element.getAttribute('x')) || 0;
+            let y = parseFloat(run.element.getAttribute('y')) || 0;
+            path.setAttribute('d', run.font.getPath(content, x, y, run.size).toPathData(2));
+            if (run.element !== run.text && run.element.hasAttribute('style')) path.setAttribute('style', run.element.getAttribute('style'));
+            group.appendChild(path);
+          })
+          text.parentNode.replaceChild(group, text);
+        })
+        return;
+      }
+
+      let faces = new Map();
+      runs.filter(run => run.font).forEach(run => {
+        let key = [run.url, run.bold, run.italic].join('|');
+        if (!faces.has(key)) faces.set(key, { ...run, characters: '' });
+        faces.get(key).characters += run.element.textContent;
+      })
+      if (!faces.size) return;
+      let style = doc.createElementNS(svgNS, 'style');
+      style.setAttribute('type', 'text/css');
+      style.textContent = Array.from(faces.values()).map(face => `
+        @font-face {
+          font-family: '${getFamilyName(face.family)}';
+          font-weight: ${face.bold ? 'bold' : 'normal'};
+          font-style: ${face.italic ? 'italic' : 'normal'};
+          src: url(data:font/otf;base64,${toBase64(subsetFont(face.font, face.characters, getFamilyName(face.family)))}) format('opentype');
+        }`).join('') + '\n';
+      getDefs(doc).appendChild(style);
+    })
+  }
+
+  /**
+   * Clean svg markup of the canvas for export
+   * @param {String} svg svg markup of canvas.toSVG
+   * @param {Object} options
+   * - fonts: optional, 'embed' (default) subsets of the fonts with an url in the fonts option, 'outline' converts
+   * text to paths, 'none' references fonts by name
+   * - title, description: optional
+   * - metadata: optional, dublin core terms, e.g. { creator: 'me', rights: 'CC BY 4.0' }
+   * @returns {Promise<Object>} { svg, warnings } warnings are { message } about fonts that aren't embedded
+   */
+  var prepareSVG = function (svg, options = {}) {
+    let warnings = [];
+    let doc;
+    try {
+      doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+      removeEditorMarkup(doc);
+      dedupeImages(doc);
+      addMetadata(doc, options);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    let fonts = options.fonts || 'embed';
+    let processed = fonts === 'none' ? Promise.resolve() : processFonts(this, doc, fonts, warnings);
+    return processed.then(() => ({
+      svg: `<?xml version="1.0" encoding="UTF-8" standalone="no" ?>\n${new XMLSerializer().serializeToString(doc.documentElement)}`,
+      warnings
+    }));
+  }
+
+  /**
+   * Load the font files of the text in svg markup, jsPDF only reads TrueType fonts
+   * @param {Object} doc svg document
+   * @param {Array} warnings messages about fonts that can't be used are added
+   * @returns {Promise<Array>} [{ family, bold, italic, data }] data is the base64 font file
+   */
+  var getFontFiles = function (doc, warnings = []) {
+    let runs = getTextRuns(this, doc);
+    let missing = new Set(runs.filter(run => !run.url).map(run => getFamilyName(run.family)));
+    missing.forEach(family => warnings.push({ message: `font ${family} has no url in the fonts option and is replaced by a standard font` }));
+
+    let faces = new Map();
+    runs.filter(run => run.url).forEach(run => faces.set([run.url, run.bold, run.italic].join('|'), run));
+    return Promise.all(Array.from(faces.values(), run => loadFontFile(run.url).then(buffer => {
+      // TrueType files start with 0x00010000 or 'true', 'OTTO' and 'wOFF' are other formats
+      let signature = buffer.byteLength >= 4 ? new DataView(buffer).getUint32(0) : 0;
+      if (signature !== 0x00010000 && signature !== 0x74727565) {
+        warnings.push({ message: `font ${run.url} isn't a TrueType font and is replaced by a standard font` });
+        return null;
+      }
+      return {
+        family: getFamilyName(run.family),
+        bold: run.bold,
+        italic: run.italic,
+        data: toBase64(buffer)
+      };
+    }, error => {
+      console.error(`can't load font ${run.url}`, error);
+      warnings.push({ message: `font ${run.url} can't be loaded and is replaced by a standard font` });
+      return null;
+    }))).then(fonts => fonts.filter(font => font));
+  }
+
+  window.ImageEditor.prototype.prepareSVG = prepareSVG;
+  window.ImageEditor.prototype.getFontFiles = getFontFiles;
+})();
+
+/**
+ * Define copy/paste actions on fabric js canvas
+ */
+(function () {
+  'use strict';
+  // every further paste of the same objects is moved by this many pixels
+  const pasteOffset = 20;
+
+  // types of pasted fabric objects, activeSelection is pasted as its objects
+  const validTypes = ['rect', 'circle', 'ellipse', 'triangle', 'line', 'path', 'polygon', 'polyline', 'text', 'i-text', 'textbox', 'image', 'group', 'activeSelection']
+
+  // JSON string validator
+  const parseJSONObject = (s) => {
+    try {
+      const o = JSON.parse(s);
+      return !!o && (typeof o === 'object') && !Array.isArray(o) ? o : null
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Get the objects of copied text, copies of older versions contain a single object
+   * @param {String} text clipboard text
+   * @returns {Array} object JSON, null if the text contains no objects
+   */
+  const getCopiedObjects = (text) => {
+    let json = parseJSONObject(text)
+    if (!json) return null
+    let objects = json.format === 'image-editor/objects' && Array.isArray(json.objects) ? json.objects : [json]
+    objects = objects.filter(obj => obj && validTypes.includes(obj.type))
+    return objects.length ? objects : null
+  }
+
+  const isSVGMarkup = (text) => /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i.test(text)
+
+  const isEditingText = () => document.querySelectorAll('textarea:focus, input:focus, select:focus, [contenteditable]:focus').length > 0
+
+  // pasted objects and the objects of groups get new ids
+  const withoutId = ({ id, ...json }) => ({
+    ...json,
+    ...(json.type === 'activeSelection' ? { type: 'group' } : {}),
+    ...(Array.isArray(json.objects) ? { objects: json.objects.map(withoutId) } : {})
+  })
+
+  // the objects of a copied selection are relative to it and become canvas objects again
+  const enlivenCopies = (objects) => new Promise(resolve => {
+    fabric.util.enlivenObjects(objects.map(withoutId), (enlivened) => {
+      resolve([].concat(...enlivened.map((obj, index) => {
+        return objects[index].type === 'activeSelection' ? obj.destroy().getObjects() : [obj]
+      })))
+    })
+  })
+
+  const copyPaste = function (canvas) {
+    // the last copied text and how often it was pasted, to move repeated pastes
+    let copied = {
+      text: null,
+      pastes: 0
+    }
+    let pointer = null
+
+    canvas.on('mouse:move', (opt) => {
+      let point = canvas.getPointer(opt.e)
+      pointer = {
+        x: Math.min(Math.max(point.x, 0), canvas.originalW),
+        y: Math.min(Math.max(point.y, 0), canvas.originalH)
+      }
+    })
+
+    // pasted text, svg and images are centered at the mouse or on the canvas
+    const getPastePoint = () => pointer || {
+      x: canvas.originalW / 2,
+      y: canvas.originalH / 2
+    }
+
+    /**
+     * Copy the selected objects with canvas coordinates, other apps get a png of the selection
+     * @param {Object} e clipboard event
+     * @returns {Boolean} false if nothing is selected
+     */
+    const copy = (e) => {
+      let active = canvas.getActiveObject()
+      if (!active) return false
+      e.preventDefault()
+
+      let selected = canvas.getActiveObjects()
+      let properties = ['id', 'originalImage', ...this.options.customProperties]
+      // canvas._toObject realizes the transform of the active selection on its objects
+      let text = JSON.stringify({
+        format: 'image-editor/objects',
+        objects: canvas.getObjects().filter(obj => selected.includes(obj)).map(obj => canvas._toObject(obj, 'toObject', properties))
+      })
+      e.clipboardData.setData('text/plain', text)
+      copied = {
+        text,
+        pastes: 1
+      }
+
+      if (!navigator.clipboard || !navigator.clipboard.write || !window.ClipboardItem) return true
+      let dataURL
+      try {
+        dataURL = active.toDataURL({
+          format: 'png'
+        })
+      } catch (error) {
+        // images of other sites without cors taint the canvas, only the objects are copied then
+        console.warn("can't copy the selection as png", error)
+        return true
+      }
+      let png = fetch(dataURL).then(response => response.blob())
+      // the async clipboard replaces the text above, so it's written again with the png
+      navigator.clipboard.write([new ClipboardItem({
+        'text/plain': new Blob([text], {
+          type: 'text/plain'
+        }),
+        'image/png': png
+      })]).catch(error => console.warn("can't copy the selection as png", error))
+      return true
+    }
+
+    const pasteObjects = (objects, text) => {
+      let offset = (copied.text === text ? copied.pastes : 0) * pasteOffset
+      copied = {
+        text,
+        pastes: offset / pasteOffset + 1
+      }
+
+      return enlivenCopies(objects).then(pasted => {
+        canvas.discardActiveObject()
+        pasted.forEach(obj => {
+          obj.set({
+            left: obj.left + offset,
+            top: obj.top + offset
+          })
+          canvas.add(obj)
+          obj.setCoords()
+        })
+        canvas.setActiveObject(pasted.length > 1 ? new fabric.ActiveSelection(pasted, {
+          canvas
+        }) : pasted[0])
+        canvas.requestRenderAll()
+        canvas.trigger('object:modified')
+      })
+    }
+
+    const reportError = (error) => {
+      console.error("can't paste", error)
+      // pasted images follow the upload rules, their messages explain what's wrong
+      this.notify(['ImageFormatError', 'UploadError'].includes(error.name) ? error.message : "The clipboard content can't be pasted.", {
+        type: 'error'
+      })
+      this.emit('error', {
+        message: "can't paste",
+        error
+      })
+    }
+
+    // copy
+    this.addDomListener(document, 'copy', (e) => {
+      if (!this.isFocused() || isEditingText()) return
+      copy(e)
+    })
+
+    // cut, the first paste lands where the objects were
+    this.addDomListener(document, 'cut', (e) => {
+      if (!this.isFocused() || isEditingText()) return
+      if (!copy(e)) return
+      copied.pastes = 0
+      canvas.getActiveObjects().forEach(obj => canvas.remove(obj))
+      canvas.discardActiveObject().requestRenderAll()
+      canvas.trigger('object:modified')
+    })
+
+    // paste
+    this.addDomListener(document, 'paste', (e) => {
+      if (!this.isFocused() || isEditingText()) return
+      let text = e.clipboardData.getData('text/plain') || ''
+      let center = getPastePoint()
+
+      // copied objects, also of other tabs
+      let objects = getCopiedObjects(text)
+      if (objects) {
+        e.preventDefault()
+        pasteObjects(objects, text).catch(reportError)
+        return
+      }
+
+      // image files are uploaded one after another like dropped files
+      let files = Array.from(e.clipboardData.items || []).filter(item => item.kind === 'file' && item.type.indexOf('image') === 0)
+        .map(item => item.getAsFile()).filter(Boolean)
+      if (files.length) {
+        e.preventDefault()
+        files.reduce((previous, file, index) => previous.then(() => this.uploadImage(file, {
+          center: {
+            x: center.x + index * pasteOffset,
+            y: center.y + index * pasteOffset
+          },
+          ...(file.type === 'image/svg+xml' ? {} : {
+            width: 300
+          })
+        })).catch(reportError), Promise.resolve())
+        return
+      }
+
+      if (!text.trim()) return
+      e.preventDefault()
+      let pasted
+      if (isSVGMarkup(text)) {
+        pasted = this.uploadImage(new File([text], 'pasted.svg', {
+          type: 'image/svg+xml'
+        }), {
+          center
+        })
+      } else if (/^data:image\//.test(text.trim())) {
+        pasted = this.uploadImageFromURL(text.trim(), {
+          center,
+          width: 300
+        })
+      } else {
+        pasted = this.addText(text, {
+          center
+        })
+      }
+      pasted.then(obj => canvas.setActiveObject(obj).requestRenderAll()).catch(reportError)
+    })
+  }
+
+  window.ImageEditor.prototype.initializeCopyPaste = copyPaste;
+})();
+
+/**
+ * initialize canvas setting panel
+ */
+(function () {
+  'use strict';
+  var canvasSettings = function () {
+    const _self = this;
+
+    // set dimension section
+    (() => {
+      $(`${this.containerSelector} .toolpanel.background-panel .content`).append(`
+      <div class="canvas-size-setting">
+        <p>Canvas Size</p>
+        <div class="input-container">
+          <label>Width</label>
+          <div class="custom-number-input">
+          <button class="decrease">-</button>
+          <input class="input-width" type="number" min="100" value="${this.options.canvas.width}"/>
+          <button class="increase">+</button>
+          </div>
+        </div>
+        <div class="input-container">
+          <label>Height</label>
+          <div class="custom-number-input">
+          <button class="decrease">-</button>
+          <input class="input-height" type="number" min="100" value="${this.options.canvas.height}"/>
+          <button class="increase">+</button>
+          </div>
+        </div>
+        <div class="input-container">
+          <label>Unit</label>
+          <select class="input-unit">
+            <option value="px">Pixels</option>
+            <option value="mm">Millimeters</option>
+            <option value="in">Inches</option>
+          </select>
+        </div>
+        <div class="input-container">
+          <label>DPI</label>
+          <div class="custom-number-input">
           <button class="decrease">-</button>
-          <input type="number" min="100" id="input-height" value="480"/>
+          <input class="input-dpi" type="number" min="1" step="1" value="${this.options.print.dpi}"/>
           <button class="increase">+</button>
           </div>
         </div>
       </div>
     `);
 
+      /**
+       * Show the canvas size in the unit of the design
+       */
+      this.updateDimensionInputs = () => {
+        if (!this.canvas) return;
+        let { unit, dpi } = this.getPrintSettings();
+        let decimals = unit === 'in' ? 2 : unit === 'mm' ? 1 : 0;
+        let step = Math.pow(10, -decimals);
+        // the smallest canvas is 100px in every unit
+        let min = Math.ceil(convertFromPixels(100, unit, dpi) / step) * step;
+        ['width', 'height'].forEach(side => {
+          let value = side === 'width' ? this.canvas.originalW : this.canvas.originalH;
+          $(`${this.containerSelector} .toolpanel.background-panel .content .input-${side}`).attr({
+            min: min.toFixed(decimals),
+            step
+          }).val(parseFloat(convertFromPixels(value, unit, dpi).toFixed(decimals)));
+        })
+        $(`${this.containerSelector} .toolpanel.background-panel .content .input-unit`).val(unit);
+        $(`${this.containerSelector} .toolpanel.background-panel .content .input-dpi`).val(dpi);
+      }
+
       var setDimension = () => {
-        try {
-          let width = $(`${this.containerSelector} .toolpanel#background-panel .content #input-width`).val();
-          let height = $(`${this.containerSelector} .toolpanel#background-panel .content #input-height`).val();
-          _self.canvas.setWidth(width)
-          _self.canvas.originalW = width
-          _self.canvas.setHeight(height)
-          _self.canvas.originalH = height
-          _self.canvas.renderAll()
-          _self.canvas.trigger('object:modified')
-        } catch (_) {}
+        let { unit, dpi } = _self.getPrintSettings();
+        let width = $(`${this.containerSelector} .toolpanel.background-panel .content .input-width`).val();
+        let height = $(`${this.containerSelector} .toolpanel.background-panel .content .input-height`).val();
+        _self.setCanvasSize(Math.round(convertToPixels(width, unit, dpi)), Math.round(convertToPixels(height, unit, dpi))).catch(() => {})
       }
 
-      $(`${this.containerSelector} .toolpanel#background-panel .content #input-width`).change(setDimension)
-      $(`${this.containerSelector} .toolpanel#background-panel .content #input-height`).change(setDimension)
+      var setPrintSettings = () => {
+        let unit = $(`${this.containerSelector} .toolpanel.background-panel .content .input-unit`).val();
+        let dpi = parseFloat($(`${this.containerSelector} .toolpanel.background-panel .content .input-dpi`).val());
+        if (!(dpi > 0)) return _self.updateDimensionInputs();
+        _self.setPrintSettings({ unit, dpi });
+      }
+
+      $(`${this.containerSelector} .toolpanel.background-panel .content .input-width`).change(setDimension)
+      $(`${this.containerSelector} .toolpanel.background-panel .content .input-height`).change(setDimension)
+      $(`${this.containerSelector} .toolpanel.background-panel .content .input-unit`).change(setPrintSettings)
+      $(`${this.containerSelector} .toolpanel.background-panel .content .input-dpi`).change(setPrintSettings)
     })();
     // end set dimension section
 
     // background color
     (() => {
-      $(`${this.containerSelector} .toolpanel#background-panel .content`).append(`
+      $(`${this.containerSelector} .toolpanel.background-panel .content`).append(`
       <div class="color-settings">
         <div class="tab-container">
           <div class="tabs">
@@ -577,24 +5952,24 @@
             <div class="tab-label" data-value="gradient-fill">Gradient Fill</div>
           </div>
           <div class="tab-content" data-value="color-fill">
-            <input id="color-picker" value='black'/><br>
+            <input class="color-picker" value='black'/><br>
           </div>
           <div class="tab-content" data-value="gradient-fill">
-            <div id="gradient-picker"></div>
+            <div class="gradient-picker"></div>
 
             <div class="gradient-orientation-container">
               <div class="input-container">
                 <label>Orientation</label>
-                <select id="select-orientation">
+                <select class="select-orientation">
                   <option value="linear">Linear</option>
                   <option value="radial">Radial</option>
                 </select>
               </div>
-              <div id="angle-input-container" class="input-container">
+              <div class="input-container angle-input-container">
                 <label>Angle</label>
                 <div class="custom-number-input">
                   <button class="decrease">-</button>
-                  <input type="number" min="0" max="360" value="0" id="input-angle">
+                  <input class="input-angle" type="number" min="0" max="360" value="0">
                   <button class="increase">+</button>
                 </div>
               </div>
@@ -604,18 +5979,19 @@
       </div>
     `)
 
-      $(`${this.containerSelector} .toolpanel#background-panel .content .tab-label`).click(function () {
-        $(`${_self.containerSelector} .toolpanel#background-panel .content .tab-label`).removeClass('active');
+      $(`${this.containerSelector} .toolpanel.background-panel .content .tab-label`).click(function () {
+        $(`${_self.containerSelector} .toolpanel.background-panel .content .tab-label`).removeClass('active');
         $(this).addClass('active');
         let target = $(this).data('value');
         $(this).closest('.tab-container').find('.tab-content').hide();
         $(this).closest('.tab-container').find(`.tab-content[data-value=${target}]`).show();
 
         if (target === 'color-fill') {
-          let color = $(`${_self.containerSelector} .toolpanel#background-panel .content #color-picker`).val();
+          let color = $(`${_self.containerSelector} .toolpanel.background-panel .content .color-picker`).val();
           try {
             _self.canvas.backgroundColor = color;
             _self.canvas.renderAll();
+            _self.canvas.trigger('object:modified');
           } catch (_) {
             console.log("can't update background color")
           }
@@ -624,9 +6000,12 @@
         }
       })
 
-      $(`${this.containerSelector} .toolpanel#background-panel .content .tab-label[data-value=color-fill]`).click();
+      // the color tab is shown first, clicking it would change the background of the design
+      $(`${this.containerSelector} .toolpanel.background-panel .content .tab-label[data-value=color-fill]`).addClass('active');
+      $(`${this.containerSelector} .toolpanel.background-panel .content .tab-content`).hide();
+      $(`${this.containerSelector} .toolpanel.background-panel .content .tab-content[data-value=color-fill]`).show();
 
-      $(`${this.containerSelector} .toolpanel#background-panel .content #color-picker`).spectrum({
+      $(`${this.containerSelector} .toolpanel.background-panel .content .color-picker`).spectrum({
         flat: true,
         showPalette: false,
         showButtons: false,
@@ -638,16 +6017,17 @@
           color && (hex = color.toRgbString()); // #ff0000
           _self.canvas.backgroundColor = hex;
           _self.canvas.renderAll();
+          _self.canvas.trigger('object:modified');
         }
       });
 
       const gp = new Grapick({
-        el: `${this.containerSelector} .toolpanel#background-panel .content #gradient-picker`,
-        colorEl: '<input id="colorpicker"/>' // I'll use this for the custom color picker
+        el: `${this.containerSelector} .toolpanel.background-panel .content .gradient-picker`,
+        colorEl: '<input class="colorpicker"/>' // I'll use this for the custom color picker
       });
 
       gp.setColorPicker(handler => {
-        const el = handler.getEl().querySelector('#colorpicker');
+        const el = handler.getEl().querySelector('.colorpicker');
         $(el).spectrum({
           showPalette: false,
           showButtons: false,
@@ -668,51 +6048,94 @@
       gp.addHandler(0, 'red');
       gp.addHandler(100, 'blue');
 
-      const updateGradientFill = () => {
+      // record history unless the gradient is still being dragged
+      const updateGradientFill = (complete = true) => {
         let stops = gp.getHandlers();
-        let orientation = $(`${this.containerSelector} .toolpanel#background-panel .content .gradient-orientation-container #select-orientation`).val();
-        let angle = parseInt($(`${this.containerSelector} .toolpanel#background-panel .content .gradient-orientation-container #input-angle`).val());
-
-        let gradient = generateFabricGradientFromColorStops(stops, _self.canvas.width, _self.canvas.height, orientation, angle);
+        let orientation = $(`${this.containerSelector} .toolpanel.background-panel .content .gradient-orientation-container .select-orientation`).val();
+        let angle = parseInt($(`${this.containerSelector} .toolpanel.background-panel .content .gradient-orientation-container .input-angle`).val());
+
+        let gradient = generateFabricGradientFromColorStops(stops, _self.canvas.originalW, _self.canvas.originalH, orientation, angle);
+        // kept to save the panel settings into project files
+        gradient.editorSettings = {
+          orientation,
+          angle,
+          stops: stops.map(stop => ({
+            position: stop.position,
+            color: stop.color
+          }))
+        };
         _self.canvas.setBackgroundColor(gradient)
         _self.canvas.renderAll()
+        complete && _self.canvas.trigger('object:modified')
       }
 
+      // set while showing the settings of a loaded design
+      let showingSettings = false;
+
       // Do stuff on change of the gradient
       gp.on('change', complete => {
-        updateGradientFill();
+        showingSettings || updateGradientFill(complete);
       })
 
-      $(`${this.containerSelector} .toolpanel#background-panel .content .gradient-orientation-container #select-orientation`).change(function () {
+      $(`${this.containerSelector} .toolpanel.background-panel .content .gradient-orientation-container .select-orientation`).change(function () {
         let type = $(this).val();
         if (type === 'radial') {
-          $(this).closest('.gradient-orientation-container').find('#angle-input-container').hide();
+          $(this).closest('.gradient-orientation-container').find('.angle-input-container').hide();
         } else {
-          $(this).closest('.gradient-orientation-container').find('#angle-input-container').show();
+          $(this).closest('.gradient-orientation-container').find('.angle-input-container').show();
         }
         updateGradientFill();
       })
 
-      $(`${this.containerSelector} .toolpanel#background-panel .content .gradient-orientation-container #input-angle`).change(function () {
+      $(`${this.containerSelector} .toolpanel.background-panel .content .gradient-orientation-container .input-angle`).change(function () {
         updateGradientFill();
       })
+
+      /**
+       * Show gradient settings of a loaded design in the panel without changing the background
+       * @param {Object} settings { orientation, angle, stops: [{ position, color }] }
+       */
+      this.showBackgroundGradientSettings = (settings) => {
+        $(`${this.containerSelector} .toolpanel.background-panel .content .gradient-orientation-container .select-orientation`).val(settings.orientation);
+        $(`${this.containerSelector} .toolpanel.background-panel .content .gradient-orientation-container .input-angle`).val(settings.angle);
+        $(`${this.containerSelector} .toolpanel.background-panel .content .gradient-orientation-container .angle-input-container`).toggle(settings.orientation !== 'radial');
+        showingSettings = true;
+        gp.clear();
+        settings.stops.forEach(stop => gp.addHandler(stop.position, stop.color, 0));
+        showingSettings = false;
+        $(`${this.containerSelector} .toolpanel.background-panel .content .tab-label`).removeClass('active');
+        $(`${this.containerSelector} .toolpanel.background-panel .content .tab-label[data-value=gradient-fill]`).addClass('active');
+        $(`${this.containerSelector} .toolpanel.background-panel .content .tab-content`).hide();
+        $(`${this.containerSelector} .toolpanel.background-panel .content .tab-content[data-value=gradient-fill]`).show();
+      }
     })();
   }
 
   window.ImageEditor.prototype.initializeCanvasSettingPanel = canvasSettings;
+  // the panel replaces them, they do nothing when the background tool isn't in the toolbar
+  window.ImageEditor.prototype.updateDimensionInputs = function () {};
+  window.ImageEditor.prototype.showBackgroundGradientSettings = function () {};
+
+  window.ImageEditor.registerTool({
+    name: 'background',
+    title: 'Canvas option',
+    panelTitle: 'Canvas Settings',
+    panel: (content, editor) => editor.initializeCanvasSettingPanel(),
+    icon: `<svg height="512pt" viewBox="0 0 512 512" width="512pt"><path d="m499.953125 197.703125-39.351563-8.554687c-3.421874-10.476563-7.660156-20.695313-12.664062-30.539063l21.785156-33.886719c3.890625-6.054687 3.035156-14.003906-2.050781-19.089844l-61.304687-61.304687c-5.085938-5.085937-13.035157-5.941406-19.089844-2.050781l-33.886719 21.785156c-9.84375-5.003906-20.0625-9.242188-30.539063-12.664062l-8.554687-39.351563c-1.527344-7.03125-7.753906-12.046875-14.949219-12.046875h-86.695312c-7.195313 0-13.421875 5.015625-14.949219 12.046875l-8.554687 39.351563c-10.476563 3.421874-20.695313 7.660156-30.539063 12.664062l-33.886719-21.785156c-6.054687-3.890625-14.003906-3.035156-19.089844 2.050781l-61.304687 61.304687c-5.085937 5.085938-5.941406 13.035157-2.050781 19.089844l21.785156 33.886719c-5.003906 9.84375-9.242188 20.0625-12.664062 30.539063l-39.351563 8.554687c-7.03125 1.53125-12.046875 7.753906-12.046875 14.949219v86.695312c0 7.195313 5.015625 13.417969 12.046875 14.949219l39.351563 8.554687c3.421874 10.476563 7.660156 20.695313 12.664062 30.539063l-21.785156 33.886719c-3.890625 6.054687-3.035156 14.003906 2.050781 19.089844l61.304687 61.304687c5.085938 5.085937 13.035157 5.941406 19.089844 2.050781l33.886719-21.785156c9.84375 5.003906 20.0625 9.242188 30.539063 12.664062l8.554687 39.351563c1.527344 7.03125 7.753906 12.046875 14.949219 12.046875h86.695312c7.195313 0 13.421875-5.015625 14.949219-12.046875l8.554687-39.351563c10.476563-3.421874 20.695313-7.660156 30.539063-12.664062l33.886719 21.785156c6.054687 3.890625 14.003906 3.039063 19.089844-2.050781l61.304687-61.304687c5.085937-5.085938 5.941406-13.035157 2.050781-19.089844l-21.785156-33.886719c5.003906-9.84375 9.242188-20.0625 12.664062-30.539063l39.351563-8.554687c7.03125-1.53125 12.046875-7.753906 12.046875-14.949219v-86.695312c0-7.195313-5.015625-13.417969-12.046875-14.949219zm-152.160156 58.296875c0 50.613281-41.179688 91.792969-91.792969 91.792969s-91.792969-41.179688-91.792969-91.792969 41.179688-91.792969 91.792969-91.792969 91.792969 41.179688 91.792969 91.792969zm0 0"></path></svg>`,
+    shortcut: 'C'
+  });
 })();
 
 /**
  * Define action to draw line by mouse actions
  */
 (function () {
-  var lineDrawing = function (fabricCanvas) {
+  var lineDrawing = function (editor) {
+    const fabricCanvas = editor.canvas
     let isDrawingLine = false,
       lineToDraw, pointer, pointerPoints
 
-    fabricCanvas.on('mouse:down', (o) => {
-      if (!fabricCanvas.isDrawingLineMode) return
-
+    const onMouseDown = (o) => {
       isDrawingLine = true
       pointer = fabricCanvas.getPointer(o.e)
       pointerPoints = [pointer.x, pointer.y, pointer.x, pointer.y]
@@ -725,9 +6148,9 @@
       lineToDraw.evented = false
       lineToDraw.strokeUniform = true
       fabricCanvas.add(lineToDraw)
-    });
+    }
 
-    fabricCanvas.on('mouse:move', (o) => {
+    const onMouseMove = (o) => {
       if (!isDrawingLine) return
 
       pointer = fabricCanvas.getPointer(o.e)
@@ -760,18 +6183,33 @@
 
       fabricCanvas.renderAll()
 
-    });
+    }
 
-    fabricCanvas.on('mouse:up', () => {
+    const onMouseUp = () => {
       if (!isDrawingLine) return
 
       lineToDraw.setCoords()
       isDrawingLine = false
       fabricCanvas.trigger('object:modified')
-    });
+    }
+
+    return {
+      onMouseDown,
+      onMouseMove,
+      onMouseUp
+    }
   }
 
-  window.ImageEditor.prototype.initializeLineDrawing = lineDrawing;
+  window.ImageEditor.registerTool({
+    name: 'line',
+    title: 'Line',
+    icon: `<svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><path d="M349.091,0v124.516L124.516,349.091H0V512h162.909V387.484l224.574-224.574H512V0H349.091z M54.303,457.696v-54.303 h54.303v54.303H54.303z M457.696,108.605h-54.303V54.303h54.303V108.605z"></path></svg>`,
+    shortcut: 'L',
+    cursor: 'crosshair',
+    selectable: false,
+    tip: 'Tip: hold Shift when drawing a line for 15° angle jumps!',
+    setup: lineDrawing
+  });
 })();
 
 /**
@@ -789,7 +6227,8 @@
     return false
   }
 
-  const pathDrawing = (fabricCanvas) => {
+  const pathDrawing = function (editor) {
+    const fabricCanvas = editor.canvas
 
     let isDrawingPath = false,
       pathToDraw,
@@ -800,9 +6239,7 @@
       rememberX, rememberY
 
 
-    fabricCanvas.on('mouse:down', (o) => {
-      if (!fabricCanvas.isDrawingPathMode) return
-
+    const onMouseDown = (o) => {
       isMouseDown = true
       isDrawingPath = true
       pointer = fabricCanvas.getPointer(o.e)
@@ -845,13 +6282,11 @@
 
         return
       }
-    });
-
+    }
 
 
-    fabricCanvas.on('mouse:move', (o) => {
 
-      if (!fabricCanvas.isDrawingPathMode) return
+    const onMouseMove = (o) => {
 
       if (!isDrawingPath) return
 
@@ -966,15 +6401,9 @@
       })
       fabricCanvas.renderAll()
 
-    })
-
-    fabricCanvas.on('mouse:up', (o) => {
-      if (!fabricCanvas.isDrawingPathMode) {
-        isMouseDown = false
-        isDrawingCurve = false
-        return
-      }
+    }
 
+    const onMouseUp = (o) => {
       isMouseDown = false
 
       if (isDrawingCurve) {
@@ -1001,7 +6430,7 @@
 
       isDrawingCurve = false
 
-    })
+    }
 
     // cancel drawing, remove last line
     const cancelDrawing = () => {
@@ -1035,40 +6464,60 @@
       isDrawingPath = false
     }
 
-    // cancel drawing on esc key or outside click
-    document.addEventListener('keydown', (e) => {
-      if (!isDrawingPath) return
-
-      const key = e.which || e.keyCode;
-      if (key === 27) cancelDrawing()
-    })
-
-    document.addEventListener('mousedown', (e) => {
+    // cancel drawing on esc key (see cancel hook) or outside click
+    editor.addDomListener(document, 'mousedown', (e) => {
       if (!isDrawingPath) return
 
-      if (!document.querySelector('.canvas-container').contains(e.target)) {
+      if (!fabricCanvas.wrapperEl.contains(e.target)) {
         cancelDrawing()
       }
     })
 
+    // finish the current path when another tool is selected
+    const deactivate = () => {
+      isMouseDown = false
+      isDrawingCurve = false
+      if (isDrawingPath) cancelDrawing()
+    }
+
+    const cancel = () => {
+      if (!isDrawingPath) return false
+      cancelDrawing()
+    }
+
+    return {
+      onMouseDown,
+      onMouseMove,
+      onMouseUp,
+      deactivate,
+      cancel
+    }
   }
 
-  window.ImageEditor.prototype.initializePathDrawing = pathDrawing;
+  window.ImageEditor.registerTool({
+    name: 'path',
+    title: 'Connectable lines & curves',
+    icon: '<svg id="svg8" viewBox="28 55 140 140"><path d="m 28.386086,150.01543 v 43.10301 H 71.489092 V 178.7505 H 120.75466 V 164.38283 H 71.355237 L 71.488872,150.0086 H 57.121421 c 0,-49.247 14.367449,-63.614929 63.633239,-63.614929 v -14.36768 c -63.633239,0 -78.000906,28.735609 -78.000906,77.982609 l -14.367888,0.007 z m 14.367669,28.73507 v -14.36767 h 14.367668 v 14.36767 z" id="path840" style="stroke-width: 0.264583;"></path><path d="m 120.74975,150.00843 v 43.10301 h 43.10301 V 150.0016 l -43.10301,0.007 z m 14.36767,28.73507 v -14.36767 h 14.36767 v 14.36767 z" id="path840-1" style="stroke-width: 0.264583;"></path><path d="m 120.74975,57.658601 v 43.103009 h 43.10301 V 57.651771 l -43.10301,0.007 z m 14.36767,28.73507 v -14.36767 h 14.36767 v 14.36767 z" id="path840-1-0" style="stroke-width: 0.264583;"></path></svg>',
+    shortcut: 'P',
+    cursor: 'crosshair',
+    selectable: false,
+    tip: 'Tip: click to place points, press and pull for curves! Click outside or press Esc to cancel!',
+    setup: pathDrawing
+  });
 })();
 
 /**
  * Define action to draw text
  */
 (function () {
-  const textBoxDrawing = function (fabricCanvas) {
+  const textBoxDrawing = function (editor) {
+    const fabricCanvas = editor.canvas
 
     let isDrawingText = false,
       textboxRect, origX, origY, pointer;
 
 
-    fabricCanvas.on('mouse:down', (o) => {
-      if (!fabricCanvas.isDrawingTextMode) return;
-
+    const onMouseDown = (o) => {
       isDrawingText = true;
       pointer = fabricCanvas.getPointer(o.e);
       origX = pointer.x;
@@ -1084,10 +6533,10 @@
         transparentCorners: false
       });
       fabricCanvas.add(textboxRect);
-    });
+    }
 
 
-    fabricCanvas.on('mouse:move', (o) => {
+    const onMouseMove = (o) => {
       if (!isDrawingText) return;
 
       pointer = fabricCanvas.getPointer(o.e);
@@ -1112,10 +6561,10 @@
       });
 
       fabricCanvas.renderAll();
-    });
+    }
 
 
-    fabricCanvas.on('mouse:up', () => {
+    const onMouseUp = () => {
       if (!isDrawingText) return;
 
       isDrawingText = false;
@@ -1126,7 +6575,7 @@
         top: textboxRect.top,
         width: textboxRect.width < 80 ? 80 : textboxRect.width,
         fontSize: 18,
-        fontFamily: "'Open Sans', sans-serif"
+        fontFamily: editor.options.fonts[0].value
       });
       fabricCanvas.remove(textboxRect);
       fabricCanvas.add(textbox).setActiveObject(textbox)
@@ -1134,11 +6583,24 @@
         'mb': false
       });
       fabricCanvas.trigger('object:modified')
-    });
+    }
 
+    return {
+      onMouseDown,
+      onMouseMove,
+      onMouseUp
+    }
   }
 
-  window.ImageEditor.prototype.initializeTextBoxDrawing = textBoxDrawing;
+  window.ImageEditor.registerTool({
+    name: 'textbox',
+    title: 'Text box',
+    icon: `<svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><g><g><path d="M497,90c8.291,0,15-6.709,15-15V15c0-8.291-6.709-15-15-15h-60c-8.291,0-15,6.709-15,15v15H90V15c0-8.401-6.599-15-15-15 H15C6.599,0,0,6.599,0,15v60c0,8.399,6.599,15,15,15h15v332H15c-8.291,0-15,6.709-15,15v60c0,8.291,6.709,15,15,15h60 c8.291,0,15-6.709,15-15v-15h332v15c0,8.399,6.599,15,15,15h60c8.401,0,15-6.601,15-15v-60c0-8.401-6.599-15-15-15h-15V90H497z  M452,422h-15c-8.401,0-15,6.599-15,15v15H90v-15c0-8.291-6.709-15-15-15H60V90h15c8.401,0,15-6.601,15-15V60h332v15 c0,8.291,6.709,15,15,15h15V422z"></path></g></g><g><g><path d="M361,105H151c-8.291,0-15,6.709-15,15v60c0,6.064,3.647,11.543,9.258,13.857c5.625,2.329,12.056,1.04,16.348-3.252 L187.211,165H226v176.459l-27.48,42.221c-3.062,4.6-3.354,10.518-0.747,15.396S205.463,407,211,407h90 c5.537,0,10.62-3.047,13.228-7.925c2.608-4.878,2.314-10.796-0.747-15.396L286,341.459V165h38.789l25.605,25.605 c4.307,4.307,10.781,5.596,16.348,3.252c5.61-2.314,9.258-7.793,9.258-13.857v-60C376,111.709,369.291,105,361,105z"></path></g></g></svg>`,
+    shortcut: 'T',
+    cursor: 'crosshair',
+    selectable: false,
+    setup: textBoxDrawing
+  });
 })();
 
 /**
@@ -1148,35 +6610,34 @@
   'use strict';
 
   var freeDrawSettings = function () {
-    let width = 1;
-    let style = 'pencil';
-    let color = 'black';
+    let width = this.options.brush.width;
+    let style = this.options.brush.type;
+    let color = this.options.brush.color;
 
     const _self = this;
-    $(`${this.containerSelector} .main-panel`).append(`<div class="toolpanel" id="draw-panel"><div class="content"><p class="title">Free Draw</p></div></div>`);
 
     // set dimension section
-    $(`${this.containerSelector} .toolpanel#draw-panel .content`).append(`
+    $(`${this.containerSelector} .toolpanel.draw-panel .content`).append(`
       <div>
         <div class="input-container">
           <label>Brush Width</label>
           <div class="custom-number-input">
           <button class="decrease">-</button>
-          <input type="number" min="1" value="1" id="input-brush-width"/>
+          <input class="input-brush-width" type="number" min="1" value="${width}"/>
           <button class="increase">+</button>
           </div>
         </div>
         <div class="input-container">
           <label>Brush Type</label>
-          <select id="input-brush-type">
-            <option value="pencil" selected>Pencil</option>
-            <option value="circle">Circle</option>
-            <option value="spray">Spray</option>
+          <select class="input-brush-type">
+            <option value="pencil" ${style === 'pencil' ? 'selected' : ''}>Pencil</option>
+            <option value="circle" ${style === 'circle' ? 'selected' : ''}>Circle</option>
+            <option value="spray" ${style === 'spray' ? 'selected' : ''}>Spray</option>
           </select>
         </div>
         <div class="input-container">
           <label>Brush Color</label>
-          <input id="color-picker" value='black'/>
+          <input class="color-picker" value='${color}'/>
         </div>
       </div>
     `);
@@ -1203,26 +6664,31 @@
       } catch (_) {}
     }
 
-    $(`${this.containerSelector} .toolpanel#draw-panel .content #input-brush-width`).change(function () {
+    /**
+     * Apply current brush settings to canvas
+     */
+    this.updateBrush = updateBrush;
+
+    $(`${this.containerSelector} .toolpanel.draw-panel .content .input-brush-width`).change(function () {
       try {
         width = parseInt($(this).val());
         updateBrush();
       } catch (_) {}
     })
 
-    $(`${this.containerSelector} .toolpanel#draw-panel .content #input-brush-type`).change(function () {
+    $(`${this.containerSelector} .toolpanel.draw-panel .content .input-brush-type`).change(function () {
       style = $(this).val();
       updateBrush();
     })
 
-    $(`${this.containerSelector} .toolpanel#draw-panel .content #color-picker`).spectrum({
+    $(`${this.containerSelector} .toolpanel.draw-panel .content .color-picker`).spectrum({
       type: "color",
       showInput: "true",
       showInitial: "true",
       allowEmpty: "false",
     });
 
-    $(`${this.containerSelector} .toolpanel#draw-panel .content #color-picker`).change(function () {
+    $(`${this.containerSelector} .toolpanel.draw-panel .content .color-picker`).change(function () {
       try {
         color = $(this).val();
         updateBrush();
@@ -1231,6 +6697,22 @@
   }
 
   window.ImageEditor.prototype.initializeFreeDrawSettings = freeDrawSettings;
+  // the panel replaces it, it does nothing when the draw tool isn't in the toolbar
+  window.ImageEditor.prototype.updateBrush = function () {};
+
+  window.ImageEditor.registerTool({
+    name: 'draw',
+    title: 'Free draw',
+    panelTitle: 'Free Draw',
+    panel: (content, editor) => editor.initializeFreeDrawSettings(),
+    icon: `<svg height="512pt" viewBox="0 -3 512 512" width="512pt"><g id="surface1"><path d="M 497.171875 86.429688 C 506.734375 76.867188 512 64.152344 512 50.628906 C 512 37.105469 506.734375 24.390625 497.171875 14.828125 C 487.609375 5.265625 474.894531 0 461.371094 0 C 447.847656 0 435.132812 5.265625 425.570312 14.828125 L 198.296875 242.105469 L 269.894531 313.703125 Z M 497.171875 86.429688 " style="stroke: none; fill-rule: nonzero; fill: rgb(0, 0, 0); fill-opacity: 1;"></path><path d="M 65.839844 506.65625 C 92.171875 507.21875 130.371094 496.695312 162.925781 459.074219 C 164.984375 456.691406 166.894531 454.285156 168.664062 451.855469 C 179.460938 435.875 184.695312 418.210938 183.855469 400.152344 C 182.945312 380.5625 174.992188 362.324219 161.460938 348.796875 C 150.28125 337.613281 134.722656 331.457031 117.648438 331.457031 C 95.800781 331.457031 73.429688 341.296875 56.277344 358.449219 C 31.574219 383.152344 31.789062 404.234375 31.976562 422.839844 C 32.15625 440.921875 32.316406 456.539062 11.101562 480.644531 L 0 493.257812 C 0 493.257812 26.828125 505.820312 65.839844 506.65625 Z M 65.839844 506.65625 " style="stroke: none; fill-rule: nonzero; fill: rgb(0, 0, 0); fill-opacity: 1;"></path><path d="M 209.980469 373.621094 L 248.496094 335.101562 L 176.894531 263.503906 L 137.238281 303.160156 C 154.691406 306.710938 170.464844 315 182.859375 327.394531 C 195.746094 340.285156 205.003906 356.1875 209.980469 373.621094 Z M 209.980469 373.621094 " style="stroke: none; fill-rule: nonzero; fill: rgb(0, 0, 0); fill-opacity: 1;"></path></g></svg>`,
+    shortcut: 'B',
+    setup: (editor) => ({
+      activate: () => {
+        editor.canvas.isDrawingMode = true;
+      }
+    })
+  });
 })();
 
 /**
@@ -1314,37 +6796,25 @@
   }]
   var selectionSettings = function () {
     const _self = this;
-    $(`${this.containerSelector} .main-panel`).append(`<div class="toolpanel" id="select-panel"><div class="content"><p class="title">Selection Settings</p></div></div>`);
 
     // font section
     (() => {
-      $(`${this.containerSelector} .toolpanel#select-panel .content`).append(`
+      $(`${this.containerSelector} .toolpanel.select-panel .content`).append(`
         <div class="text-section">
           <h4>Font Style</h4>
           <div class="style">
-            <button id="bold"><svg id="Capa_1" x="0px" y="0px" viewBox="-70 -70 450 450" xml:space="preserve"><path d="M218.133,144.853c20.587-14.4,35.2-37.653,35.2-59.52C253.333,37.227,216.107,0,168,0H34.667v298.667h150.187 c44.693,0,79.147-36.267,79.147-80.853C264,185.387,245.547,157.76,218.133,144.853z M98.667,53.333h64c17.707,0,32,14.293,32,32 s-14.293,32-32,32h-64V53.333z M173.333,245.333H98.667v-64h74.667c17.707,0,32,14.293,32,32S191.04,245.333,173.333,245.333z"></path></svg></button>
-            <button id="italic"><svg id="Capa_1" x="0px" y="0px" viewBox="-70 -70 450 450" xml:space="preserve"><polygon points="106.667,0 106.667,64 153.92,64 80.747,234.667 21.333,234.667 21.333,298.667 192,298.667 192,234.667 144.747,234.667 217.92,64 277.333,64 277.333,0  "></polygon></svg></button>
-            <button id="underline"><svg id="Capa_1" x="0px" y="0px" viewBox="-70 -70 450 450" xml:space="preserve"><path d="M192,298.667c70.72,0,128-57.28,128-128V0h-53.333v170.667c0,41.28-33.387,74.667-74.667,74.667 s-74.667-33.387-74.667-74.667V0H64v170.667C64,241.387,121.28,298.667,192,298.667z"></path><rect x="42.667" y="341.333" width="298.667" height="42.667"></rect></svg></button>
-            <button id="linethrough"><svg id="Capa_1" x="0px" y="0px" viewBox="-70 -70 450 450" xml:space="preserve"><polygon points="149.333,160 234.667,160 234.667,96 341.333,96 341.333,32 42.667,32 42.667,96 149.333,96"></polygon><rect x="149.333" y="288" width="85.333" height="64"></rect><rect x="0" y="202.667" width="384" height="42.667"></rect></svg></button>
-            <button id="subscript"><svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><path d="M248.257,256l103.986-103.758c2.777-2.771,4.337-6.532,4.337-10.455c0-3.923-1.561-7.684-4.337-10.455l-49.057-48.948 c-5.765-5.753-15.098-5.753-20.863,0L178.29,186.188L74.258,82.384c-5.764-5.751-15.098-5.752-20.863,0L4.337,131.333 C1.561,134.103,0,137.865,0,141.788c0,3.923,1.561,7.684,4.337,10.455L108.324,256L4.337,359.758 C1.561,362.528,0,366.29,0,370.212c0,3.923,1.561,7.684,4.337,10.455l49.057,48.948c5.765,5.753,15.098,5.753,20.863,0 l104.033-103.804l104.032,103.804c2.883,2.876,6.657,4.315,10.432,4.315s7.549-1.438,10.432-4.315l49.056-48.948 c2.777-2.771,4.337-6.532,4.337-10.455c0-3.923-1.561-7.684-4.337-10.455L248.257,256z"></path><path d="M497.231,384.331h-44.973l35.508-31.887c14.878-13.36,20.056-34.18,13.192-53.04 c-6.874-18.89-23.565-31.044-43.561-31.717c-0.639-0.021-1.283-0.032-1.928-0.032c-31.171,0-56.531,25.318-56.531,56.439 c0,8.157,6.613,14.769,14.769,14.769c8.156,0,14.769-6.613,14.769-14.769c0-14.833,12.109-26.901,26.992-26.901 c0.316,0,0.631,0.005,0.937,0.016c11.573,0.39,15.78,9.511,16.795,12.297c2.163,5.946,1.942,14.574-5.171,20.962l-64.19,57.643 c-4.552,4.088-6.112,10.56-3.923,16.273c2.189,5.714,7.673,9.486,13.792,9.486h83.523c8.157,0,14.769-6.613,14.769-14.769 S505.387,384.331,497.231,384.331z"></path></svg></button>
-            <button id="superscript"><svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><path d="M248.257,259.854l103.986-103.758c2.777-2.771,4.337-6.532,4.337-10.455c0-3.923-1.561-7.684-4.337-10.455l-49.057-48.948 c-5.765-5.753-15.098-5.753-20.863,0L178.29,190.042L74.258,86.238c-5.764-5.751-15.099-5.752-20.863,0L4.337,135.187 C1.561,137.958,0,141.719,0,145.642s1.561,7.684,4.337,10.455l103.986,103.758L4.337,363.612C1.561,366.383,0,370.145,0,374.067 c0,3.922,1.561,7.684,4.337,10.455l49.057,48.948c5.765,5.753,15.098,5.753,20.863,0l104.033-103.804l104.032,103.804 c2.883,2.876,6.657,4.315,10.432,4.315s7.549-1.438,10.432-4.315l49.056-48.948c2.777-2.771,4.337-6.532,4.337-10.455 s-1.561-7.684-4.337-10.455L248.257,259.854z"></path><path d="M497.231,190.893h-44.973l35.508-31.887c14.878-13.36,20.056-34.18,13.192-53.04 c-6.874-18.89-23.565-31.044-43.561-31.717c-0.639-0.021-1.283-0.032-1.928-0.032c-31.171,0-56.531,25.318-56.531,56.439 c0,8.157,6.613,14.769,14.769,14.769c8.156,0,14.769-6.613,14.769-14.769c0-14.833,12.109-26.901,26.992-26.901 c0.316,0,0.631,0.005,0.937,0.016c11.573,0.39,15.78,9.511,16.795,12.297c2.163,5.946,1.942,14.574-5.171,20.962l-64.19,57.643 c-4.552,4.088-6.112,10.56-3.923,16.273c2.189,5.714,7.673,9.486,13.792,9.486h83.523c8.157,0,14.769-6.613,14.769-14.769 S505.387,190.893,497.231,190.893z"></path></svg></button>
+            <button data-name="bold"><svg id="Capa_1" x="0px" y="0px" viewBox="-70 -70 450 450" xml:space="preserve"><path d="M218.133,144.853c20.587-14.4,35.2-37.653,35.2-59.52C253.333,37.227,216.107,0,168,0H34.667v298.667h150.187 c44.693,0,79.147-36.267,79.147-80.853C264,185.387,245.547,157.76,218.133,144.853z M98.667,53.333h64c17.707,0,32,14.293,32,32 s-14.293,32-32,32h-64V53.333z M173.333,245.333H98.667v-64h74.667c17.707,0,32,14.293,32,32S191.04,245.333,173.333,245.333z"></path></svg></button>
+            <button data-name="italic"><svg id="Capa_1" x="0px" y="0px" viewBox="-70 -70 450 450" xml:space="preserve"><polygon points="106.667,0 106.667,64 153.92,64 80.747,234.667 21.333,234.667 21.333,298.667 192,298.667 192,234.667 144.747,234.667 217.92,64 277.333,64 277.333,0  "></polygon></svg></button>
+            <button data-name="underline"><svg id="Capa_1" x="0px" y="0px" viewBox="-70 -70 450 450" xml:space="preserve"><path d="M192,298.667c70.72,0,128-57.28,128-128V0h-53.333v170.667c0,41.28-33.387,74.667-74.667,74.667 s-74.667-33.387-74.667-74.667V0H64v170.667C64,241.387,121.28,298.667,192,298.667z"></path><rect x="42.667" y="341.333" width="298.667" height="42.667"></rect></svg></button>
+            <button data-name="linethrough"><svg id="Capa_1" x="0px" y="0px" viewBox="-70 -70 450 450" xml:space="preserve"><polygon points="149.333,160 234.667,160 234.667,96 341.333,96 341.333,32 42.667,32 42.667,96 149.333,96"></polygon><rect x="149.333" y="288" width="85.333" height="64"></rect><rect x="0" y="202.667" width="384" height="42.667"></rect></svg></button>
+            <button data-name="subscript"><svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><path d="M248.257,256l103.986-103.758c2.777-2.771,4.337-6.532,4.337-10.455c0-3.923-1.561-7.684-4.337-10.455l-49.057-48.948 c-5.765-5.753-15.098-5.753-20.863,0L178.29,186.188L74.258,82.384c-5.764-5.751-15.098-5.752-20.863,0L4.337,131.333 C1.561,134.103,0,137.865,0,141.788c0,3.923,1.561,7.684,4.337,10.455L108.324,256L4.337,359.758 C1.561,362.528,0,366.29,0,370.212c0,3.923,1.561,7.684,4.337,10.455l49.057,48.948c5.765,5.753,15.098,5.753,20.863,0 l104.033-103.804l104.032,103.804c2.883,2.876,6.657,4.315,10.432,4.315s7.549-1.438,10.432-4.315l49.056-48.948 c2.777-2.771,4.337-6.532,4.337-10.455c0-3.923-1.561-7.684-4.337-10.455L248.257,256z"></path><path d="M497.231,384.331h-44.973l35.508-31.887c14.878-13.36,20.056-34.18,13.192-53.04 c-6.874-18.89-23.565-31.044-43.561-31.717c-0.639-0.021-1.283-0.032-1.928-0.032c-31.171,0-56.531,25.318-56.531,56.439 c0,8.157,6.613,14.769,14.769,14.769c8.156,0,14.769-6.613,14.769-14.769c0-14.833,12.109-26.901,26.992-26.901 c0.316,0,0.631,0.005,0.937,0.016c11.573,0.39,15.78,9.511,16.795,12.297c2.163,5.946,1.942,14.574-5.171,20.962l-64.19,57.643 c-4.552,4.088-6.112,10.56-3.923,16.273c2.189,5.714,7.673,9.486,13.792,9.486h83.523c8.157,0,14.769-6.613,14.769-14.769 S505.387,384.331,497.231,384.331z"></path></svg></button>
+            <button data-name="superscript"><svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><path d="M248.257,259.854l103.986-103.758c2.777-2.771,4.337-6.532,4.337-10.455c0-3.923-1.561-7.684-4.337-10.455l-49.057-48.948 c-5.765-5.753-15.098-5.753-20.863,0L178.29,190.042L74.258,86.238c-5.764-5.751-15.099-5.752-20.863,0L4.337,135.187 C1.561,137.958,0,141.719,0,145.642s1.561,7.684,4.337,10.455l103.986,103.758L4.337,363.612C1.561,366.383,0,370.145,0,374.067 c0,3.922,1.561,7.684,4.337,10.455l49.057,48.948c5.765,5.753,15.098,5.753,20.863,0l104.033-103.804l104.032,103.804 c2.883,2.876,6.657,4.315,10.432,4.315s7.549-1.438,10.432-4.315l49.056-48.948c2.777-2.771,4.337-6.532,4.337-10.455 s-1.561-7.684-4.337-10.455L248.257,259.854z"></path><path d="M497.231,190.893h-44.973l35.508-31.887c14.878-13.36,20.056-34.18,13.192-53.04 c-6.874-18.89-23.565-31.044-43.561-31.717c-0.639-0.021-1.283-0.032-1.928-0.032c-31.171,0-56.531,25.318-56.531,56.439 c0,8.157,6.613,14.769,14.769,14.769c8.156,0,14.769-6.613,14.769-14.769c0-14.833,12.109-26.901,26.992-26.901 c0.316,0,0.631,0.005,0.937,0.016c11.573,0.39,15.78,9.511,16.795,12.297c2.163,5.946,1.942,14.574-5.171,20.962l-64.19,57.643 c-4.552,4.088-6.112,10.56-3.923,16.273c2.189,5.714,7.673,9.486,13.792,9.486h83.523c8.157,0,14.769-6.613,14.769-14.769 S505.387,190.893,497.231,190.893z"></path></svg></button>
           </div>
           <div class="family">
             <div class="input-container">
             <label>Font Family</label>
-            <select id="font-family">
+            <select class="font-family">
               <option value=""></option>
-              <option value="'Open Sans', sans-serif">Open Sans</option>
-              <option value="'Oswald', sans-serif">Oswald</option>
-              <option value="'Playfair Display', serif">Playfair Display</option>
-              <option value="'Cormorant Garamond', serif">Cormorant Garamond</option>
-              <option value="Impact, Charcoal, sans-serif">Impact</option>
-              <option value="'Lucida Console', Monaco, monospace">Lucida Console</option>
-              <option value="'Comic Sans MS', 'Comic Sans', cursive, sans-serif">Comic Sans</option>
-              <option value="'Dancing Script', cursive">Dancing Script</option>
-              <option value="'Indie Flower', cursive">Indie Flower</option>
-              <option value="'Amatic SC', cursive">Amatic SC</option>
-              <option value="'Permanent Marker', cursive">Permanent Marker</option>
             </select>
             </div>
           </div>
@@ -1352,21 +6822,21 @@
             <div class="input-container"><label>Font Size</label>
               <div class="custom-number-input">
               <button class="decrease">-</button>
-              <input type="number" min="1" value="20" id="fontSize">
+              <input type="number" min="1" value="20" data-name="fontSize">
               <button class="increase">+</button>
               </div>
             </div>
             <div class="input-container"><label>Line Height</label>
               <div class="custom-number-input">
               <button class="decrease">-</button>
-              <input type="number" min="0" max="3" value="1" step="0.1" id="lineHeight">
+              <input type="number" min="0" max="3" value="1" step="0.1" data-name="lineHeight">
               <button class="increase">+</button>
               </div>
             </div>
             <div class="input-container"><label>Letter Spacing</label>
               <div class="custom-number-input">
               <button class="decrease">-</button>
-              <input type="number" min="0" max="2000" step="100" value="0" id="charSpacing">
+              <input type="number" min="0" max="2000" step="100" value="0" data-name="charSpacing">
               <button class="increase">+</button>
               </div>
             </div>
@@ -1375,7 +6845,7 @@
           <div class="align">
             <div class="input-container">
             <label>Text Alignment</label>
-            <select id="text-align">
+            <select class="text-align">
               <option value="left">Left</option>
               <option value="center">Center</option>
               <option value="right">Right</option>
@@ -1386,14 +6856,14 @@
           <div class="color">
             <div class="input-container">
             <label>Text Color</label>
-            <input id="color-picker" value="black">
+            <input class="color-picker" value="black">
             </div>
           </div>
           <hr>
         </div>
       `);
-      $(`${this.containerSelector} .toolpanel#select-panel .style button`).click(function () {
-        let type = $(this).attr('id');
+      $(`${this.containerSelector} .toolpanel.select-panel .style button`).click(function () {
+        let type = $(this).attr('data-name');
         switch (type) {
           case 'bold':
             setActiveFontStyle(_self.activeSelection, 'fontWeight', getActiveFontStyle(_self.activeSelection, 'fontWeight') === 'bold' ? '' : 'bold')
@@ -1431,32 +6901,37 @@
         _self.canvas.renderAll(), _self.canvas.trigger('object:modified');
       })
 
-      $(`${this.containerSelector} .toolpanel#select-panel .family #font-family`).change(function () {
+      // font names come from the options, they are set as text instead of markup
+      $(`${this.containerSelector} .toolpanel.select-panel .family .font-family`).append(
+        this.options.fonts.map(font => $('<option/>').val(font.value).text(font.label))
+      );
+
+      $(`${this.containerSelector} .toolpanel.select-panel .family .font-family`).change(function () {
         let family = $(this).val();
         setActiveFontStyle(_self.activeSelection, 'fontFamily', family)
         _self.canvas.renderAll(), _self.canvas.trigger('object:modified');
       })
 
-      $(`${this.containerSelector} .toolpanel#select-panel .sizes input`).change(function () {
+      $(`${this.containerSelector} .toolpanel.select-panel .sizes input`).change(function () {
         let value = parseFloat($(this).val());
-        let type = $(this).attr('id');
+        let type = $(this).attr('data-name');
         setActiveFontStyle(_self.activeSelection, type, value);
         _self.canvas.renderAll(), _self.canvas.trigger('object:modified');
       })
 
-      $(`${this.containerSelector} .toolpanel#select-panel .align #text-align`).change(function () {
+      $(`${this.containerSelector} .toolpanel.select-panel .align .text-align`).change(function () {
         let mode = $(this).val();
         setActiveFontStyle(_self.activeSelection, 'textAlign', mode);
         _self.canvas.renderAll(), _self.canvas.trigger('object:modified');
       })
 
-      $(`${this.containerSelector} .toolpanel#select-panel .color #color-picker`).spectrum({
+      $(`${this.containerSelector} .toolpanel.select-panel .color .color-picker`).spectrum({
         type: "color",
         showInput: "true",
         allowEmpty: "false"
       });
 
-      $(`${this.containerSelector} .toolpanel#select-panel .color #color-picker`).change(function () {
+      $(`${this.containerSelector} .toolpanel.select-panel .color .color-picker`).change(function () {
         let color = $(this).val();
         setActiveFontStyle(_self.activeSelection, 'fill', color)
         _self.canvas.renderAll(), _self.canvas.trigger('object:modified');
@@ -1466,24 +6941,24 @@
 
     // border section
     (() => {
-      $(`${this.containerSelector} .toolpanel#select-panel .content`).append(`
+      $(`${this.containerSelector} .toolpanel.select-panel .content`).append(`
         <div class="border-section">
           <h4>Border</h4>
           <div class="input-container"><label>Width</label>
             <div class="custom-number-input">
             <button class="decrease">-</button>
-            <input type="number" min="1" value="1" id="input-border-width">
+            <input class="input-border-width" type="number" min="1" value="1">
             <button class="increase">+</button>
             </div>
           </div>
-          <div class="input-container"><label>Style</label><select id="input-border-style">${BorderStyleList.map(item => `<option value='${JSON.stringify(item.value)}'>${item.label}</option>`)}</select></div>
-          <div class="input-container"><label>Corner Type</label><select id="input-corner-type"><option value="miter" selected>Square</option><option value="round">Round</option></select></div>
-          <div class="input-container"><label>Color</label><input id="color-picker" value="black"></div>
+          <div class="input-container"><label>Style</label><select class="input-border-style">${BorderStyleList.map(item => `<option value='${JSON.stringify(item.value)}'>${item.label}</option>`)}</select></div>
+          <div class="input-container"><label>Corner Type</label><select class="input-corner-type"><option value="miter" selected>Square</option><option value="round">Round</option></select></div>
+          <div class="input-container"><label>Color</label><input class="color-picker" value="black"></div>
           <hr>
         </div>
       `);
 
-      $(`${this.containerSelector} .toolpanel#select-panel .border-section #color-picker`).spectrum({
+      $(`${this.containerSelector} .toolpanel.select-panel .border-section .color-picker`).spectrum({
         showButtons: false,
         type: "color",
         showInput: "true",
@@ -1496,7 +6971,7 @@
         }
       });
 
-      $(`${this.containerSelector} .toolpanel#select-panel .border-section #input-border-width`).change(function () {
+      $(`${this.containerSelector} .toolpanel.select-panel .border-section .input-border-width`).change(function () {
         let width = parseInt($(this).val());
         _self.canvas.getActiveObjects().forEach(obj => obj.set({
           strokeUniform: true,
@@ -1505,7 +6980,7 @@
         _self.canvas.renderAll(), _self.canvas.trigger('object:modified')
       })
 
-      $(`${this.containerSelector} .toolpanel#select-panel .border-section #input-border-style`).change(function () {
+      $(`${this.containerSelector} .toolpanel.select-panel .border-section .input-border-style`).change(function () {
         try {
           let style = JSON.parse($(this).val());
           _self.canvas.getActiveObjects().forEach(obj => obj.set({
@@ -1517,7 +6992,7 @@
         } catch (_) {}
       })
 
-      $(`${this.containerSelector} .toolpanel#select-panel .border-section #input-corner-type`).change(function () {
+      $(`${this.containerSelector} .toolpanel.select-panel .border-section .input-corner-type`).change(function () {
         let corner = $(this).val();
         _self.canvas.getActiveObjects().forEach(obj => obj.set('strokeLineJoin', corner))
         _self.canvas.renderAll(), _self.canvas.trigger('object:modified')
@@ -1527,7 +7002,7 @@
 
     // fill color section
     (() => {
-      $(`${this.containerSelector} .toolpanel#select-panel .content`).append(`
+      $(`${this.containerSelector} .toolpanel.select-panel .content`).append(`
         <div class="fill-section">
           <div class="tab-container">
           <div class="tabs">
@@ -1535,23 +7010,23 @@
             <div class="tab-label" data-value="gradient-fill">Gradient Fill</div>
           </div>
           <div class="tab-content" data-value="color-fill">
-            <input id="color-picker" value='black'/><br>
+            <input class="color-picker" value='black'/><br>
           </div>
           <div class="tab-content" data-value="gradient-fill">
-            <div id="gradient-picker"></div>
+            <div class="gradient-picker"></div>
             <div class="gradient-orientation-container">
               <div class="input-container">
                 <label>Orientation</label>
-                <select id="select-orientation">
+                <select class="select-orientation">
                   <option value="linear">Linear</option>
                   <option value="radial">Radial</option>
                 </select>
               </div>
-              <div id="angle-input-container" class="input-container">
+              <div class="input-container angle-input-container">
                 <label>Angle</label>
                 <div class="custom-number-input">
                   <button class="decrease">-</button>
-                  <input type="number" min="0" max="360" value="0" id="input-angle">
+                  <input class="input-angle" type="number" min="0" max="360" value="0">
                   <button class="increase">+</button>
                 </div>
               </div>
@@ -1561,14 +7036,14 @@
         </div>
       `);
 
-      $(`${this.containerSelector} .toolpanel#select-panel .content .tab-label`).click(function () {
-        $(`${_self.containerSelector} .toolpanel#select-panel .content .tab-label`).removeClass('active');
+      $(`${this.containerSelector} .toolpanel.select-panel .content .tab-label`).click(function () {
+        $(`${_self.containerSelector} .toolpanel.select-panel .content .tab-label`).removeClass('active');
         $(this).addClass('active');
         let target = $(this).data('value');
         $(this).closest('.tab-container').find('.tab-content').hide();
         $(this).closest('.tab-container').find(`.tab-content[data-value=${target}]`).show();
         if (target === 'color-fill') {
-          let color = $(`${_self.containerSelector} .toolpanel#select-panel .fill-section #color-picker`).val();
+          let color = $(`${_self.containerSelector} .toolpanel.select-panel .fill-section .color-picker`).val();
           try {
             _self.canvas.getActiveObjects().forEach(obj => obj.set('fill', color))
             _self.canvas.renderAll(), _self.canvas.trigger('object:modified')
@@ -1580,9 +7055,9 @@
         }
       })
 
-      $(`${_self.containerSelector} .toolpanel#select-panel .content .tab-label[data-value=color-fill]`).click();
+      $(`${_self.containerSelector} .toolpanel.select-panel .content .tab-label[data-value=color-fill]`).click();
 
-      $(`${this.containerSelector} .toolpanel#select-panel .fill-section #color-picker`).spectrum({
+      $(`${this.containerSelector} .toolpanel.select-panel .fill-section .color-picker`).spectrum({
         flat: true,
         showPalette: false,
         showButtons: false,
@@ -1598,12 +7073,12 @@
       });
 
       const gp = new Grapick({
-        el: `${this.containerSelector} .toolpanel#select-panel .fill-section #gradient-picker`,
-        colorEl: '<input id="colorpicker"/>'
+        el: `${this.containerSelector} .toolpanel.select-panel .fill-section .gradient-picker`,
+        colorEl: '<input class="colorpicker"/>'
       });
 
       gp.setColorPicker(handler => {
-        const el = handler.getEl().querySelector('#colorpicker');
+        const el = handler.getEl().querySelector('.colorpicker');
         $(el).spectrum({
           showPalette: false,
           showButtons: false,
@@ -1621,32 +7096,33 @@
       gp.addHandler(0, 'red');
       gp.addHandler(100, 'blue');
 
-      const updateGradientFill = () => {
+      // record history unless the gradient is still being dragged
+      const updateGradientFill = (complete = true) => {
         let stops = gp.getHandlers();
-        let orientation = $(`${this.containerSelector} .toolpanel#select-panel .content .gradient-orientation-container #select-orientation`).val();
-        let angle = parseInt($(`${this.containerSelector} .toolpanel#select-panel .content .gradient-orientation-container #input-angle`).val());
+        let orientation = $(`${this.containerSelector} .toolpanel.select-panel .content .gradient-orientation-container .select-orientation`).val();
+        let angle = parseInt($(`${this.containerSelector} .toolpanel.select-panel .content .gradient-orientation-container .input-angle`).val());
 
         let gradient = generateFabricGradientFromColorStops(stops, _self.activeSelection.width, _self.activeSelection.height, orientation, angle);
         _self.activeSelection.set('fill', gradient);
         _self.canvas.renderAll()
+        complete && _self.canvas.trigger('object:modified')
       }
 
       gp.on('change', complete => {
-        updateGradientFill();
+        updateGradientFill(complete);
       })
 
-      $(`${this.containerSelector} .toolpanel#select-panel .content .gradient-orientation-container #select-orientation`).change(function () {
+      $(`${this.containerSelector} .toolpanel.select-panel .content .gradient-orientation-container .select-orientation`).change(function () {
         let type = $(this).val();
-        console.log('orientation', type)
         if (type === 'radial') {
-          $(this).closest('.gradient-orientation-container').find('#angle-input-container').hide();
+          $(this).closest('.gradient-orientation-container').find('.angle-input-container').hide();
         } else {
-          $(this).closest('.gradient-orientation-container').find('#angle-input-container').show();
+          $(this).closest('.gradient-orientation-container').find('.angle-input-container').show();
         }
         updateGradientFill();
       })
 
-      $(`${this.containerSelector} .toolpanel#select-panel .content .gradient-orientation-container #input-angle`).change(function () {
+      $(`${this.containerSelector} .toolpanel.select-panel .content .gradient-orientation-container .input-angle`).change(function () {
         updateGradientFill();
       })
 
@@ -1659,7 +7135,7 @@
       AlignmentButtonList.forEach(item => {
         buttons += `<button data-pos="${item.pos}">${item.icon}</button>`
       })
-      $(`${this.containerSelector} .toolpanel#select-panel .content`).append(`
+      $(`${this.containerSelector} .toolpanel.select-panel .content`).append(`
         <div class="alignment-section">
           <h4>Alignment</h4>
           ${buttons}
@@ -1667,7 +7143,7 @@
         </div>
       `);
 
-      $(`${this.containerSelector} .toolpanel#select-panel .alignment-section button`).click(function () {
+      $(`${this.containerSelector} .toolpanel.select-panel .alignment-section button`).click(function () {
         let pos = $(this).data('pos');
         alignObject(_self.canvas, _self.activeSelection, pos);
       })
@@ -1676,38 +7152,38 @@
 
     // object options section
     (() => {
-      $(`${this.containerSelector} .toolpanel#select-panel .content`).append(`
+      $(`${this.containerSelector} .toolpanel.select-panel .content`).append(`
         <div class="object-options">
           <h4>Object Options</h4>
-          <button id="flip-h"><svg width="512" height="512" enable-background="new 0 0 16 16" viewBox="0 0 16 20" xml:space="preserve"><g transform="matrix(0 1.5365 1.5385 0 -5.0769 1.5495)"><rect x="5" y="8" width="1" height="1"></rect><rect x="7" y="8" width="1" height="1"></rect><rect x="9" y="8" width="1" height="1"></rect><rect x="1" y="8" width="1" height="1"></rect><rect x="3" y="8" width="1" height="1"></rect><path d="M 1,2 5.5,6 10,2 Z M 7.37,3 5.5,4.662 3.63,3 Z"></path><polygon points="10 15 5.5 11 1 15"></polygon></g></svg></button>
-          <button id="flip-v"><svg width="512" height="512" enable-background="new 0 0 16 16" viewBox="0 0 16 20" xml:space="preserve"><g transform="matrix(1.5365 0 0 1.5385 -.45052 -3.0769)"><rect x="5" y="8" width="1" height="1"></rect><rect x="7" y="8" width="1" height="1"></rect><rect x="9" y="8" width="1" height="1"></rect><rect x="1" y="8" width="1" height="1"></rect><rect x="3" y="8" width="1" height="1"></rect><path d="M 1,2 5.5,6 10,2 Z M 7.37,3 5.5,4.662 3.63,3 Z"></path><polygon points="5.5 11 1 15 10 15"></polygon></g></svg></button>
-          <button id="bring-fwd"><svg x="0px" y="0px" viewBox="0 0 1000 1000" enable-background="new 0 0 1000 1000" xml:space="preserve"><g><path d="M10,10h686v686H10V10 M990,304v686H304V794h98v98h490V402h-98v-98H990z"></path></g></svg></button>
-          <button id="bring-back"><svg enable-background="new 0 0 1000 1000" viewBox="0 0 1e3 1e3" xml:space="preserve"><path d="m990 990h-686v-686h686v686m-980-294v-686h686v680h-98v-582h-490v490h200v98z"></path><rect x="108.44" y="108" width="490" height="490" fill="#fff"></rect></svg></button>
-          <button id="duplicate"><svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><g><g><g><path d="M42.667,256c0-59.52,35.093-110.827,85.547-134.827V75.2C53.653,101.44,0,172.48,0,256s53.653,154.56,128.213,180.8 v-45.973C77.76,366.827,42.667,315.52,42.667,256z"></path><path d="M320,64c-105.92,0-192,86.08-192,192s86.08,192,192,192s192-86.08,192-192S425.92,64,320,64z M320,405.333 c-82.347,0-149.333-66.987-149.333-149.333S237.653,106.667,320,106.667S469.333,173.653,469.333,256 S402.347,405.333,320,405.333z"></path><polygon points="341.333,170.667 298.667,170.667 298.667,234.667 234.667,234.667 234.667,277.333 298.667,277.333 298.667,341.333 341.333,341.333 341.333,277.333 405.333,277.333 405.333,234.667 341.333,234.667  "></polygon></g></g></g></svg></button>
-          <button id="delete"><svg id="Layer_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><g><g><path d="M425.298,51.358h-91.455V16.696c0-9.22-7.475-16.696-16.696-16.696H194.855c-9.22,0-16.696,7.475-16.696,16.696v34.662 H86.704c-9.22,0-16.696,7.475-16.696,16.696v51.357c0,9.22,7.475,16.696,16.696,16.696h5.072l15.26,359.906 c0.378,8.937,7.735,15.988,16.68,15.988h264.568c8.946,0,16.302-7.051,16.68-15.989l15.259-359.906h5.073 c9.22,0,16.696-7.475,16.696-16.696V68.054C441.994,58.832,434.519,51.358,425.298,51.358z M211.551,33.391h88.9v17.967h-88.9 V33.391z M372.283,478.609H139.719l-14.522-342.502h261.606L372.283,478.609z M408.602,102.715c-15.17,0-296.114,0-305.202,0 V84.749h305.202V102.715z"></path></g></g><g><g><path d="M188.835,187.304c-9.22,0-16.696,7.475-16.696,16.696v206.714c0,9.22,7.475,16.696,16.696,16.696 c9.22,0,16.696-7.475,16.696-16.696V204C205.53,194.779,198.055,187.304,188.835,187.304z"></path></g></g><g><g><path d="M255.998,187.304c-9.22,0-16.696,7.475-16.696,16.696v206.714c0,9.22,7.474,16.696,16.696,16.696 c9.22,0,16.696-7.475,16.696-16.696V204C272.693,194.779,265.218,187.304,255.998,187.304z"></path></g></g><g><g><path d="M323.161,187.304c-9.22,0-16.696,7.475-16.696,16.696v206.714c0,9.22,7.475,16.696,16.696,16.696 s16.696-7.475,16.696-16.696V204C339.857,194.779,332.382,187.304,323.161,187.304z"></path></g></g></svg></button>
-          <button id="group"><svg width="248" height="249" viewBox="0 0 248 249"><g><rect fill="none" id="canvas_background" height="251" width="250" y="-1" x="-1"></rect><g display="none" overflow="visible" y="0" x="0" height="100%" width="100%" id="canvasGrid"><rect fill="url(#gridpattern)" stroke-width="0" y="0" x="0" height="100%" width="100%"></rect></g></g><g><rect id="svg_1" height="213.999997" width="213.999997" y="18.040149" x="16.8611" stroke-width="14" stroke="#000" fill="none"></rect><ellipse ry="39.5" rx="39.5" id="svg_2" cy="87.605177" cx="90.239139" stroke-opacity="null" stroke-width="5" stroke="#000" fill="#000000"></ellipse><rect id="svg_3" height="61.636373" width="61.636373" y="135.606293" x="133.750604" stroke-opacity="null" stroke-width="5" stroke="#000" fill="#000000"></rect><rect id="svg_4" height="26.016205" width="26.016205" y="4.813006" x="3.999997" stroke-opacity="null" stroke-width="8" stroke="#000" fill="#000000"></rect><rect id="svg_5" height="26.016205" width="26.016205" y="3.999999" x="217.820703" stroke-opacity="null" stroke-width="8" stroke="#000" fill="#000000"></rect><rect id="svg_7" height="26.016205" width="26.016205" y="218.633712" x="3.999997" stroke-opacity="null" stroke-width="8" stroke="#000" fill="#000000"></rect><rect id="svg_8" height="26.016205" width="26.016205" y="218.633712" x="217.820694" stroke-opacity="null" stroke-width="8" stroke="#000" fill="#000000"></rect></g></svg></button>
-          <button id="ungroup"><svg width="247.99999999999997" height="248.99999999999997" viewBox="0 0 248 249"><g><rect fill="none" id="canvas_background" height="251" width="250" y="-1" x="-1"></rect><g display="none" overflow="visible" y="0" x="0" height="100%" width="100%" id="canvasGrid"><rect fill="url(#gridpattern)" stroke-width="0" y="0" x="0" height="100%" width="100%"></rect></g></g><g><rect stroke-dasharray="20" id="svg_1" height="213.999997" width="213.999997" y="18.040149" x="16.8611" stroke-width="16" stroke="#000" fill="none"></rect><ellipse ry="39.5" rx="39.5" id="svg_2" cy="87.605177" cx="90.239139" stroke-opacity="null" stroke-width="5" stroke="#000" fill="#000000"></ellipse><rect id="svg_3" height="61.636373" width="61.636373" y="135.606293" x="133.750604" stroke-opacity="null" stroke-width="5" stroke="#000" fill="#000000"></rect></g></svg></button>
+          <button class="flip-h"><svg width="512" height="512" enable-background="new 0 0 16 16" viewBox="0 0 16 20" xml:space="preserve"><g transform="matrix(0 1.5365 1.5385 0 -5.0769 1.5495)"><rect x="5" y="8" width="1" height="1"></rect><rect x="7" y="8" width="1" height="1"></rect><rect x="9" y="8" width="1" height="1"></rect><rect x="1" y="8" width="1" height="1"></rect><rect x="3" y="8" width="1" height="1"></rect><path d="M 1,2 5.5,6 10,2 Z M 7.37,3 5.5,4.662 3.63,3 Z"></path><polygon points="10 15 5.5 11 1 15"></polygon></g></svg></button>
+          <button class="flip-v"><svg width="512" height="512" enable-background="new 0 0 16 16" viewBox="0 0 16 20" xml:space="preserve"><g transform="matrix(1.5365 0 0 1.5385 -.45052 -3.0769)"><rect x="5" y="8" width="1" height="1"></rect><rect x="7" y="8" width="1" height="1"></rect><rect x="9" y="8" width="1" height="1"></rect><rect x="1" y="8" width="1" height="1"></rect><rect x="3" y="8" width="1" height="1"></rect><path d="M 1,2 5.5,6 10,2 Z M 7.37,3 5.5,4.662 3.63,3 Z"></path><polygon points="5.5 11 1 15 10 15"></polygon></g></svg></button>
+          <button class="bring-fwd"><svg x="0px" y="0px" viewBox="0 0 1000 1000" enable-background="new 0 0 1000 1000" xml:space="preserve"><g><path d="M10,10h686v686H10V10 M990,304v686H304V794h98v98h490V402h-98v-98H990z"></path></g></svg></button>
+          <button class="bring-back"><svg enable-background="new 0 0 1000 1000" viewBox="0 0 1e3 1e3" xml:space="preserve"><path d="m990 990h-686v-686h686v686m-980-294v-686h686v680h-98v-582h-490v490h200v98z"></path><rect x="108.44" y="108" width="490" height="490" fill="#fff"></rect></svg></button>
+          <button class="duplicate"><svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><g><g><g><path d="M42.667,256c0-59.52,35.093-110.827,85.547-134.827V75.2C53.653,101.44,0,172.48,0,256s53.653,154.56,128.213,180.8 v-45.973C77.76,366.827,42.667,315.52,42.667,256z"></path><path d="M320,64c-105.92,0-192,86.08-192,192s86.08,192,192,192s192-86.08,192-192S425.92,64,320,64z M320,405.333 c-82.347,0-149.333-66.987-149.333-149.333S237.653,106.667,320,106.667S469.333,173.653,469.333,256 S402.347,405.333,320,405.333z"></path><polygon points="341.333,170.667 298.667,170.667 298.667,234.667 234.667,234.667 234.667,277.333 298.667,277.333 298.667,341.333 341.333,341.333 341.333,277.333 405.333,277.333 405.333,234.667 341.333,234.667  "></polygon></g></g></g></svg></button>
+          <button class="delete"><svg id="Layer_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><g><g><path d="M425.298,51.358h-91.455V16.696c0-9.22-7.475-16.696-16.696-16.696H194.855c-9.22,0-16.696,7.475-16.696,16.696v34.662 H86.704c-9.22,0-16.696,7.475-16.696,16.696v51.357c0,9.22,7.475,16.696,16.696,16.696h5.072l15.26,359.906 c0.378,8.937,7.735,15.988,16.68,15.988h264.568c8.946,0,16.302-7.051,16.68-15.989l15.259-359.906h5.073 c9.22,0,16.696-7.475,16.696-16.696V68.054C441.994,58.832,434.519,51.358,425.298,51.358z M211.551,33.391h88.9v17.967h-88.9 V33.391z M372.283,478.609H139.719l-14.522-342.502h261.606L372.283,478.609z M408.602,102.715c-15.17,0-296.114,0-305.202,0 V84.749h305.202V102.715z"></path></g></g><g><g><path d="M188.835,187.304c-9.22,0-16.696,7.475-16.696,16.696v206.714c0,9.22,7.475,16.696,16.696,16.696 c9.22,0,16.696-7.475,16.696-16.696V204C205.53,194.779,198.055,187.304,188.835,187.304z"></path></g></g><g><g><path d="M255.998,187.304c-9.22,0-16.696,7.475-16.696,16.696v206.714c0,9.22,7.474,16.696,16.696,16.696 c9.22,0,16.696-7.475,16.696-16.696V204C272.693,194.779,265.218,187.304,255.998,187.304z"></path></g></g><g><g><path d="M323.161,187.304c-9.22,0-16.696,7.475-16.696,16.696v206.714c0,9.22,7.475,16.696,16.696,16.696 s16.696-7.475,16.696-16.696V204C339.857,194.779,332.382,187.304,323.161,187.304z"></path></g></g></svg></button>
+          <button class="group"><svg width="248" height="249" viewBox="0 0 248 249"><g><rect fill="none" id="canvas_background" height="251" width="250" y="-1" x="-1"></rect><g display="none" overflow="visible" y="0" x="0" height="100%" width="100%" id="canvasGrid"><rect fill="url(#gridpattern)" stroke-width="0" y="0" x="0" height="100%" width="100%"></rect></g></g><g><rect id="svg_1" height="213.999997" width="213.999997" y="18.040149" x="16.8611" stroke-width="14" stroke="#000" fill="none"></rect><ellipse ry="39.5" rx="39.5" id="svg_2" cy="87.605177" cx="90.239139" stroke-opacity="null" stroke-width="5" stroke="#000" fill="#000000"></ellipse><rect id="svg_3" height="61.636373" width="61.636373" y="135.606293" x="133.750604" stroke-opacity="null" stroke-width="5" stroke="#000" fill="#000000"></rect><rect id="svg_4" height="26.016205" width="26.016205" y="4.813006" x="3.999997" stroke-opacity="null" stroke-width="8" stroke="#000" fill="#000000"></rect><rect id="svg_5" height="26.016205" width="26.016205" y="3.999999" x="217.820703" stroke-opacity="null" stroke-width="8" stroke="#000" fill="#000000"></rect><rect id="svg_7" height="26.016205" width="26.016205" y="218.633712" x="3.999997" stroke-opacity="null" stroke-width="8" stroke="#000" fill="#000000"></rect><rect id="svg_8" height="26.016205" width="26.016205" y="218.633712" x="217.820694" stroke-opacity="null" stroke-width="8" stroke="#000" fill="#000000"></rect></g></svg></button>
+          <button class="ungroup"><svg width="247.99999999999997" height="248.99999999999997" viewBox="0 0 248 249"><g><rect fill="none" id="canvas_background" height="251" width="250" y="-1" x="-1"></rect><g display="none" overflow="visible" y="0" x="0" height="100%" width="100%" id="canvasGrid"><rect fill="url(#gridpattern)" stroke-width="0" y="0" x="0" height="100%" width="100%"></rect></g></g><g><rect stroke-dasharray="20" id="svg_1" height="213.999997" width="213.999997" y="18.040149" x="16.8611" stroke-width="16" stroke="#000" fill="none"></rect><ellipse ry="39.5" rx="39.5" id="svg_2" cy="87.605177" cx="90.239139" stroke-opacity="null" stroke-width="5" stroke="#000" fill="#000000"></ellipse><rect id="svg_3" height="61.636373" width="61.636373" y="135.606293" x="133.750604" stroke-opacity="null" stroke-width="5" stroke="#000" fill="#000000"></rect></g></svg></button>
           <hr>
         </div>
       `);
 
-      $(`${this.containerSelector} .toolpanel#select-panel .object-options #flip-h`).click(() => {
+      $(`${this.containerSelector} .toolpanel.select-panel .object-options .flip-h`).click(() => {
         this.activeSelection.set('flipX', !this.activeSelection.flipX);
         this.canvas.renderAll(), this.canvas.trigger('object:modified');
       })
-      $(`${this.containerSelector} .toolpanel#select-panel .object-options #flip-v`).click(() => {
+      $(`${this.containerSelector} .toolpanel.select-panel .object-options .flip-v`).click(() => {
         this.activeSelection.set('flipY', !this.activeSelection.flipY);
         this.canvas.renderAll(), this.canvas.trigger('object:modified');
       })
-      $(`${this.containerSelector} .toolpanel#select-panel .object-options #bring-fwd`).click(() => {
+      $(`${this.containerSelector} .toolpanel.select-panel .object-options .bring-fwd`).click(() => {
         this.canvas.bringForward(this.activeSelection)
         this.canvas.renderAll(), this.canvas.trigger('object:modified');
       })
-      $(`${this.containerSelector} .toolpanel#select-panel .object-options #bring-back`).click(() => {
+      $(`${this.containerSelector} .toolpanel.select-panel .object-options .bring-back`).click(() => {
         this.canvas.sendBackwards(this.activeSelection)
         this.canvas.renderAll(), this.canvas.trigger('object:modified');
       })
-      $(`${this.containerSelector} .toolpanel#select-panel .object-options #duplicate`).click(() => {
+      $(`${this.containerSelector} .toolpanel.select-panel .object-options .duplicate`).click(() => {
         let clonedObjects = []
         let activeObjects = this.canvas.getActiveObjects()
         activeObjects.forEach(obj => {
@@ -1734,16 +7210,16 @@
 
         this.canvas.requestRenderAll(), this.canvas.trigger('object:modified')
       })
-      $(`${this.containerSelector} .toolpanel#select-panel .object-options #delete`).click(() => {
+      $(`${this.containerSelector} .toolpanel.select-panel .object-options .delete`).click(() => {
         this.canvas.getActiveObjects().forEach(obj => this.canvas.remove(obj))
         this.canvas.discardActiveObject().requestRenderAll(), this.canvas.trigger('object:modified');
       })
-      $(`${this.containerSelector} .toolpanel#select-panel .object-options #group`).click(() => {
+      $(`${this.containerSelector} .toolpanel.select-panel .object-options .group`).click(() => {
         if (this.activeSelection.type !== 'activeSelection') return;
         this.canvas.getActiveObject().toGroup()
         this.canvas.requestRenderAll(), this.canvas.trigger('object:modified')
       })
-      $(`${this.containerSelector} .toolpanel#select-panel .object-options #ungroup`).click(() => {
+      $(`${this.containerSelector} .toolpanel.select-panel .object-options .ungroup`).click(() => {
         if (this.activeSelection.type !== 'group') return;
         this.canvas.getActiveObject().toActiveSelection()
         this.canvas.requestRenderAll(), this.canvas.trigger('object:modified');
@@ -1753,29 +7229,29 @@
 
     // effect section
     (() => {
-      $(`${this.containerSelector} .toolpanel#select-panel .content`).append(`
+      $(`${this.containerSelector} .toolpanel.select-panel .content`).append(`
         <div class="effect-section">
           <h4>Effect</h4>
-          <div class="input-container"><label>Opacity</label><input id="opacity" type="range" min="0" max="1" value="1" step="0.01"></div>
-          <div class="input-container"><label>Blur</label><input class="effect" id="blur" type="range" min="0" max="100" value="50"></div>
-          <div class="input-container"><label>Brightness</label><input class="effect" id="brightness" type="range" min="0" max="100" value="50"></div>
-          <div class="input-container"><label>Saturation</label><input class="effect" id="saturation" type="range" min="0" max="100" value="50"></div>
+          <div class="input-container"><label>Opacity</label><input class="opacity" type="range" min="0" max="1" value="1" step="0.01"></div>
+          <div class="input-container"><label>Blur</label><input class="effect" data-name="blur" type="range" min="0" max="100" value="50"></div>
+          <div class="input-container"><label>Brightness</label><input class="effect" data-name="brightness" type="range" min="0" max="100" value="50"></div>
+          <div class="input-container"><label>Saturation</label><input class="effect" data-name="saturation" type="range" min="0" max="100" value="50"></div>
           <h5>Gamma</h5>
-          <div class="input-container"><label>Red</label><input class="effect" id="gamma.r" type="range" min="0" max="100" value="50"></div>
-          <div class="input-container"><label>Green</label><input class="effect" id="gamma.g" type="range" min="0" max="100" value="50"></div>
-          <div class="input-container"><label>Blue</label><input class="effect" id="gamma.b" type="range" min="0" max="100" value="50"></div>
+          <div class="input-container"><label>Red</label><input class="effect" data-name="gamma.r" type="range" min="0" max="100" value="50"></div>
+          <div class="input-container"><label>Green</label><input class="effect" data-name="gamma.g" type="range" min="0" max="100" value="50"></div>
+          <div class="input-container"><label>Blue</label><input class="effect" data-name="gamma.b" type="range" min="0" max="100" value="50"></div>
           <hr>
         </div>
       `);
 
-      $(`${this.containerSelector} .toolpanel#select-panel .effect-section #opacity`).change(function () {
+      $(`${this.containerSelector} .toolpanel.select-panel .effect-section .opacity`).change(function () {
         let opacity = parseFloat($(this).val());
         _self.activeSelection.set('opacity', opacity)
         _self.canvas.renderAll(), _self.canvas.trigger('object:modified')
       })
 
-      $(`${this.containerSelector} .toolpanel#select-panel .effect-section .effect`).change(function () {
-        let effect = $(this).attr('id');
+      $(`${this.containerSelector} .toolpanel.select-panel .effect-section .effect`).change(function () {
+        let effect = $(this).attr('data-name');
         let value = parseFloat($(this).val());
         let currentEffect = getCurrentEffect(_self.activeSelection);
         _self.activeSelection.filters = getUpdatedFilter(currentEffect, effect, value);
@@ -1787,6 +7263,15 @@
   }
 
   window.ImageEditor.prototype.initializeSelectionSettings = selectionSettings;
+
+  window.ImageEditor.registerTool({
+    name: 'select',
+    title: 'Select/move object',
+    panelTitle: 'Selection Settings',
+    panel: (content, editor) => editor.initializeSelectionSettings(),
+    icon: `<svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><g><g><path d="M423.547,323.115l-320-320c-3.051-3.051-7.637-3.947-11.627-2.304s-6.592,5.547-6.592,9.856V480 c0,4.501,2.837,8.533,7.083,10.048c4.224,1.536,8.981,0.192,11.84-3.285l85.205-104.128l56.853,123.179 c1.792,3.883,5.653,6.187,9.685,6.187c1.408,0,2.837-0.277,4.203-0.875l74.667-32c2.645-1.131,4.736-3.285,5.76-5.973 c1.024-2.688,0.939-5.675-0.277-8.299l-57.024-123.52h132.672c4.309,0,8.213-2.603,9.856-6.592 C427.515,330.752,426.598,326.187,423.547,323.115z"></path></g></g></svg>`,
+    shortcut: 'V'
+  });
 })();
 
 /**
@@ -1837,39 +7322,36 @@
 
     let ShapeList = defaultShapes;
     if (Array.isArray(this.shapes) && this.shapes.length) ShapeList = this.shapes;
-    $(`${this.containerSelector} .main-panel`).append(`<div class="toolpanel" id="shapes-panel"><div class="content"><p class="title">Shapes</p></div></div>`);
 
     ShapeList.forEach(svg => {
-      $(`${this.containerSelector} .toolpanel#shapes-panel .content`).append(`<div class="button">${svg}</div>`)
+      $(`${this.containerSelector} .toolpanel.shapes-panel .content`).append(`<div class="button">${svg}</div>`)
     })
 
-    $(`${this.containerSelector} .toolpanel#shapes-panel .content .button`).click(function () {
+    $(`${this.containerSelector} .toolpanel.shapes-panel .content .button`).click(function () {
       let svg = $(this).html();
 
-      try {
-        fabric.loadSVGFromString(
-          svg,
-          (objects, options) => {
-            var obj = fabric.util.groupSVGElements(objects, options)
-            obj.strokeUniform = true
-            obj.strokeLineJoin = 'miter'
-            obj.scaleToWidth(100)
-            obj.scaleToHeight(100)
-            obj.set({
-              left: 0,
-              top: 0
-            })
-            _self.canvas.add(obj).renderAll()
-            _self.canvas.trigger('object:modified')
-          }
-        )
-      } catch (_) {
+      _self.addShape(svg, {
+        left: 0,
+        top: 0
+      }).catch(error => {
         console.error("can't add shape");
-      }
+        _self.emit('error', {
+          message: "can't add shape",
+          error
+        });
+      })
     })
   }
 
   window.ImageEditor.prototype.initializeShapes = shapes;
+
+  window.ImageEditor.registerTool({
+    name: 'shapes',
+    title: 'Shapes',
+    panel: (content, editor) => editor.initializeShapes(),
+    icon: `<svg id="Capa_1" x="0px" y="0px" viewBox="0 0 490.927 490.927" xml:space="preserve"><path d="M336.738,178.502c-12.645,0-24.852,1.693-36.627,4.582L202.57,11.786c-5.869-10.321-22.84-10.321-28.709,0L2.163,313.311 c-2.906,5.105-2.889,11.385,0.078,16.466c2.953,5.088,8.389,8.216,14.275,8.216l166.314,0.009 c2.818,82.551,70.688,148.88,153.906,148.88c85.012,0,154.19-69.167,154.19-154.186S421.749,178.502,336.738,178.502z  M44.917,304.964l143.299-251.63L331.515,304.97L44.917,304.964z"></path></svg>`,
+    shortcut: 'S'
+  });
 })();
 
 /**
@@ -1888,17 +7370,17 @@
     ]
     const _self = this;
     $(`${this.containerSelector} .canvas-holder .content`).append(`
-    <div id="tip-container">${defaultTips[parseInt(Math.random() * defaultTips.length)]}</div>`)
+    <div class="tip-container">${defaultTips[parseInt(Math.random() * defaultTips.length)]}</div>`)
     this.hideTip = function () {
-      $(`${_self.containerSelector} .canvas-holder .content #tip-container`).hide();
+      $(`${_self.containerSelector} .canvas-holder .content .tip-container`).hide();
     }
 
     this.showTip = function () {
-      $(`${_self.containerSelector} .canvas-holder .content #tip-container`).show();
+      $(`${_self.containerSelector} .canvas-holder .content .tip-container`).show();
     }
 
     this.updateTip = function (str) {
-      typeof str === 'string' && $(`${_self.containerSelector} .canvas-holder .content #tip-container`).html(str);
+      typeof str === 'string' && $(`${_self.containerSelector} .canvas-holder .content .tip-container`).html(str);
     }
   }
 
@@ -1906,44 +7388,70 @@
 })();
 
 /**
- * Initialize toolbar
+ * Define history panel listing undo/redo steps
  */
 (function () {
   'use strict';
-  var defaultButtons = [{
-    name: 'select',
-    title: 'Select/move object (V)',
-    icon: `<svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><g><g><path d="M423.547,323.115l-320-320c-3.051-3.051-7.637-3.947-11.627-2.304s-6.592,5.547-6.592,9.856V480 c0,4.501,2.837,8.533,7.083,10.048c4.224,1.536,8.981,0.192,11.84-3.285l85.205-104.128l56.853,123.179 c1.792,3.883,5.653,6.187,9.685,6.187c1.408,0,2.837-0.277,4.203-0.875l74.667-32c2.645-1.131,4.736-3.285,5.76-5.973 c1.024-2.688,0.939-5.675-0.277-8.299l-57.024-123.52h132.672c4.309,0,8.213-2.603,9.856-6.592 C427.515,330.752,426.598,326.187,423.547,323.115z"></path></g></g></svg>`
-  }, {
-    name: 'shapes',
-    title: 'Shapes',
-    icon: `<svg id="Capa_1" x="0px" y="0px" viewBox="0 0 490.927 490.927" xml:space="preserve"><path d="M336.738,178.502c-12.645,0-24.852,1.693-36.627,4.582L202.57,11.786c-5.869-10.321-22.84-10.321-28.709,0L2.163,313.311 c-2.906,5.105-2.889,11.385,0.078,16.466c2.953,5.088,8.389,8.216,14.275,8.216l166.314,0.009 c2.818,82.551,70.688,148.88,153.906,148.88c85.012,0,154.19-69.167,154.19-154.186S421.749,178.502,336.738,178.502z  M44.917,304.964l143.299-251.63L331.515,304.97L44.917,304.964z"></path></svg>`
-  }, {
-    name: 'draw',
-    title: 'Free draw',
-    icon: `<svg height="512pt" viewBox="0 -3 512 512" width="512pt"><g id="surface1"><path d="M 497.171875 86.429688 C 506.734375 76.867188 512 64.152344 512 50.628906 C 512 37.105469 506.734375 24.390625 497.171875 14.828125 C 487.609375 5.265625 474.894531 0 461.371094 0 C 447.847656 0 435.132812 5.265625 425.570312 14.828125 L 198.296875 242.105469 L 269.894531 313.703125 Z M 497.171875 86.429688 " style="stroke: none; fill-rule: nonzero; fill: rgb(0, 0, 0); fill-opacity: 1;"></path><path d="M 65.839844 506.65625 C 92.171875 507.21875 130.371094 496.695312 162.925781 459.074219 C 164.984375 456.691406 166.894531 454.285156 168.664062 451.855469 C 179.460938 435.875 184.695312 418.210938 183.855469 400.152344 C 182.945312 380.5625 174.992188 362.324219 161.460938 348.796875 C 150.28125 337.613281 134.722656 331.457031 117.648438 331.457031 C 95.800781 331.457031 73.429688 341.296875 56.277344 358.449219 C 31.574219 383.152344 31.789062 404.234375 31.976562 422.839844 C 32.15625 440.921875 32.316406 456.539062 11.101562 480.644531 L 0 493.257812 C 0 493.257812 26.828125 505.820312 65.839844 506.65625 Z M 65.839844 506.65625 " style="stroke: none; fill-rule: nonzero; fill: rgb(0, 0, 0); fill-opacity: 1;"></path><path d="M 209.980469 373.621094 L 248.496094 335.101562 L 176.894531 263.503906 L 137.238281 303.160156 C 154.691406 306.710938 170.464844 315 182.859375 327.394531 C 195.746094 340.285156 205.003906 356.1875 209.980469 373.621094 Z M 209.980469 373.621094 " style="stroke: none; fill-rule: nonzero; fill: rgb(0, 0, 0); fill-opacity: 1;"></path></g></svg>`
-  }, {
-    name: 'line',
-    title: 'Line',
-    icon: `<svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><path d="M349.091,0v124.516L124.516,349.091H0V512h162.909V387.484l224.574-224.574H512V0H349.091z M54.303,457.696v-54.303 h54.303v54.303H54.303z M457.696,108.605h-54.303V54.303h54.303V108.605z"></path></svg>`
-  }, {
-    name: 'path',
-    title: 'Connectable lines & curves',
-    icon: '<svg id="svg8" viewBox="28 55 140 140"><path d="m 28.386086,150.01543 v 43.10301 H 71.489092 V 178.7505 H 120.75466 V 164.38283 H 71.355237 L 71.488872,150.0086 H 57.121421 c 0,-49.247 14.367449,-63.614929 63.633239,-63.614929 v -14.36768 c -63.633239,0 -78.000906,28.735609 -78.000906,77.982609 l -14.367888,0.007 z m 14.367669,28.73507 v -14.36767 h 14.367668 v 14.36767 z" id="path840" style="stroke-width: 0.264583;"></path><path d="m 120.74975,150.00843 v 43.10301 h 43.10301 V 150.0016 l -43.10301,0.007 z m 14.36767,28.73507 v -14.36767 h 14.36767 v 14.36767 z" id="path840-1" style="stroke-width: 0.264583;"></path><path d="m 120.74975,57.658601 v 43.103009 h 43.10301 V 57.651771 l -43.10301,0.007 z m 14.36767,28.73507 v -14.36767 h 14.36767 v 14.36767 z" id="path840-1-0" style="stroke-width: 0.264583;"></path></svg>'
-  }, {
-    name: 'textbox',
-    title: 'Text box',
-    icon: `<svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><g><g><path d="M497,90c8.291,0,15-6.709,15-15V15c0-8.291-6.709-15-15-15h-60c-8.291,0-15,6.709-15,15v15H90V15c0-8.401-6.599-15-15-15 H15C6.599,0,0,6.599,0,15v60c0,8.399,6.599,15,15,15h15v332H15c-8.291,0-15,6.709-15,15v60c0,8.291,6.709,15,15,15h60 c8.291,0,15-6.709,15-15v-15h332v15c0,8.399,6.599,15,15,15h60c8.401,0,15-6.601,15-15v-60c0-8.401-6.599-15-15-15h-15V90H497z  M452,422h-15c-8.401,0-15,6.599-15,15v15H90v-15c0-8.291-6.709-15-15-15H60V90h15c8.401,0,15-6.601,15-15V60h332v15 c0,8.291,6.709,15,15,15h15V422z"></path></g></g><g><g><path d="M361,105H151c-8.291,0-15,6.709-15,15v60c0,6.064,3.647,11.543,9.258,13.857c5.625,2.329,12.056,1.04,16.348-3.252 L187.211,165H226v176.459l-27.48,42.221c-3.062,4.6-3.354,10.518-0.747,15.396S205.463,407,211,407h90 c5.537,0,10.62-3.047,13.228-7.925c2.608-4.878,2.314-10.796-0.747-15.396L286,341.459V165h38.789l25.605,25.605 c4.307,4.307,10.781,5.596,16.348,3.252c5.61-2.314,9.258-7.793,9.258-13.857v-60C376,111.709,369.291,105,361,105z"></path></g></g></svg>`
-  }, {
-    name: 'upload',
-    title: 'Upload image',
-    icon: `<svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><path d="M412.907,214.08C398.4,140.693,333.653,85.333,256,85.333c-61.653,0-115.093,34.987-141.867,86.08 C50.027,178.347,0,232.64,0,298.667c0,70.72,57.28,128,128,128h277.333C464.213,426.667,512,378.88,512,320 C512,263.68,468.16,218.027,412.907,214.08z M298.667,277.333v85.333h-85.333v-85.333h-64L256,170.667l106.667,106.667H298.667z"></path></svg>`
-  }, {
-    name: 'background',
-    title: 'Canvas option',
-    icon: `<svg height="512pt" viewBox="0 0 512 512" width="512pt"><path d="m499.953125 197.703125-39.351563-8.554687c-3.421874-10.476563-7.660156-20.695313-12.664062-30.539063l21.785156-33.886719c3.890625-6.054687 3.035156-14.003906-2.050781-19.089844l-61.304687-61.304687c-5.085938-5.085937-13.035157-5.941406-19.089844-2.050781l-33.886719 21.785156c-9.84375-5.003906-20.0625-9.242188-30.539063-12.664062l-8.554687-39.351563c-1.527344-7.03125-7.753906-12.046875-14.949219-12.046875h-86.695312c-7.195313 0-13.421875 5.015625-14.949219 12.046875l-8.554687 39.351563c-10.476563 3.421874-20.695313 7.660156-30.539063 12.664062l-33.886719-21.785156c-6.054687-3.890625-14.003906-3.035156-19.089844 2.050781l-61.304687 61.304687c-5.085937 5.085938-5.941406 13.035157-2.050781 19.089844l21.785156 33.886719c-5.003906 9.84375-9.242188 20.0625-12.664062 30.539063l-39.351563 8.554687c-7.03125 1.53125-12.046875 7.753906-12.046875 14.949219v86.695312c0 7.195313 5.015625 13.417969 12.046875 14.949219l39.351563 8.554687c3.421874 10.476563 7.660156 20.695313 12.664062 30.539063l-21.785156 33.886719c-3.890625 6.054687-3.035156 14.003906 2.050781 19.089844l61.304687 61.304687c5.085938 5.085937 13.035157 5.941406 19.089844 2.050781l33.886719-21.785156c9.84375 5.003906 20.0625 9.242188 30.539063 12.664062l8.554687 39.351563c1.527344 7.03125 7.753906 12.046875 14.949219 12.046875h86.695312c7.195313 0 13.421875-5.015625 14.949219-12.046875l8.554687-39.351563c10.476563-3.421874 20.695313-7.660156 30.539063-12.664062l33.886719 21.785156c6.054687 3.890625 14.003906 3.039063 19.089844-2.050781l61.304687-61.304687c5.085937-5.085938 5.941406-13.035157 2.050781-19.089844l-21.785156-33.886719c5.003906-9.84375 9.242188-20.0625 12.664062-30.539063l39.351563-8.554687c7.03125-1.53125 12.046875-7.753906 12.046875-14.949219v-86.695312c0-7.195313-5.015625-13.417969-12.046875-14.949219zm-152.160156 58.296875c0 50.613281-41.179688 91.792969-91.792969 91.792969s-91.792969-41.179688-91.792969-91.792969 41.179688-91.792969 91.792969-91.792969 91.792969 41.179688 91.792969 91.792969zm0 0"></path></svg>`
-  }]
 
+  var historyPanel = function () {
+    const _self = this;
+    $(`${this.containerSelector} .main-panel`).append(`
+      <div class="history-panel">
+        <p class="title">History</p>
+        <div class="history-list"></div>
+        <div class="history-actions"><button class="btn_clear-history">Clear history</button></div>
+      </div>
+    `);
+    const panel = $(`${this.containerSelector} .main-panel .history-panel`);
+
+    // labels can come from recordHistory and transactions of other code
+    const escape = (text) => $('<div/>').text(text).html();
+
+    const render = () => {
+      let { position, entries, branches } = this.getHistory();
+      let items = [{ label: 'Initial state' }, ...entries].map((entry, index) => {
+        let state = index === position ? 'current' : index > position ? 'undone' : '';
+        let item = `<div class="history-item ${state}" data-position="${index}">${escape(entry.label)}</div>`;
+        branches.forEach((branch, branchIndex) => {
+          if (branch.at !== index) return;
+          item += `<div class="history-branch" data-branch="${branchIndex}" title="Switch to this branch">${escape(branch.label)} (${branch.length} ${branch.length > 1 ? 'steps' : 'step'})</div>`;
+        })
+        return item;
+      });
+      panel.find('.history-list').html(items.join(''));
+    }
+
+    panel.find('.history-list').on('click', '.history-item', function () {
+      _self.jumpToHistory(parseInt($(this).attr('data-position')));
+    })
+    panel.find('.history-list').on('click', '.history-branch', function () {
+      _self.switchHistoryBranch(parseInt($(this).attr('data-branch')));
+    })
+    panel.find('.btn_clear-history').click(() => {
+      if (window.confirm('This will remove all undo/redo steps! Are you sure?')) this.resetHistory();
+    })
+
+    this.on('historyChange', () => panel.hasClass('visible') && render());
+
+    /**
+     * Show or hide history panel
+     * @param {Boolean} visible optional, toggles the panel if not given
+     */
+    this.toggleHistoryPanel = (visible = !panel.hasClass('visible')) => {
+      panel.toggleClass('visible', visible);
+      $(`${this.containerSelector} .toolbar .extended-buttons button[data-name="history"]`).toggleClass('active', visible);
+      visible && render();
+    }
+  }
+
+  window.ImageEditor.prototype.initializeHistoryPanel = historyPanel;
+})();
+
+/**
+ * Initialize toolbar
+ */
+(function () {
+  'use strict';
   const defaultExtendedButtons = [{
     name: 'undo',
     title: 'Undo',
@@ -1952,10 +7460,26 @@
     name: 'redo',
     title: 'Redo',
     icon: `<svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512.011 512.011" xml:space="preserve" style="transform: scale(-1, 1);"><path d="M511.136,286.255C502.08,194.863,419.84,128.015,328,128.015H192v-80c0-6.144-3.52-11.744-9.056-14.432             c-5.568-2.656-12.128-1.952-16.928,1.92l-160,128C2.208,166.575,0,171.151,0,176.015s2.208,9.44,5.984,12.512l160,128             c2.912,2.304,6.464,3.488,10.016,3.488c2.368,0,4.736-0.512,6.944-1.568c5.536-2.688,9.056-8.288,9.056-14.432v-80h139.392             c41.856,0,80,30.08,84.192,71.712c4.832,47.872-32.704,88.288-79.584,88.288H208c-8.832,0-16,7.168-16,16v64             c0,8.832,7.168,16,16,16h128C438.816,480.015,521.472,391.151,511.136,286.255z"></path></svg>`
+  }, {
+    name: 'history',
+    title: 'History',
+    icon: `<svg viewBox="0 0 512 512"><path d="M256,0C156.6,0,70.9,57.4,29.4,140.9L0,111.5V224h112.5l-44.9-44.9C101.2,106.3,172.7,53.3,256,53.3 c111.9,0,202.7,90.7,202.7,202.7S367.9,458.7,256,458.7c-85.1,0-157.9-52.5-187.9-126.9l-49.4,20C56.6,446.4,148.8,512,256,512 c141.4,0,256-114.6,256-256S397.4,0,256,0z M234.7,128v138.9l106.4,106.4l37.7-37.7l-90.8-90.8V128H234.7z"></path></svg>`
+  }, {
+    name: 'documents',
+    title: 'Designs',
+    icon: `<svg viewBox="0 0 512 512"><path d="M464,128H272l-64-64H48C21.5,64,0,85.5,0,112v288c0,26.5,21.5,48,48,48h416c26.5,0,48-21.5,48-48V176 C512,149.5,490.5,128,464,128z"></path></svg>`
   }, {
     name: 'save',
     title: 'Save',
     icon: `<svg id="Capa_1" x="0px" y="0px" width="128px" height="128px" viewBox="0 0 490.434 490.433" xml:space="preserve"><g><path d="M472.003,58.36l-13.132-11.282c-21.798-18.732-54.554-16.644-73.799,4.697L165.39,295.359l-66.312-57.112 c-21.775-18.753-54.536-16.707-73.804,4.611l-11.611,12.848c-9.416,10.413-14.305,24.149-13.595,38.18 c0.717,14.023,6.973,27.188,17.402,36.6l121.553,111.311c10.524,9.883,24.628,15.037,39.044,14.272 c14.416-0.763,27.894-7.386,37.311-18.329l262.245-304.71c9.162-10.646,13.717-24.494,12.661-38.496 C489.229,80.522,482.655,67.512,472.003,58.36z"></path></g></svg>`
+  }, {
+    name: 'open-file',
+    title: 'Open file',
+    icon: `<svg viewBox="0 0 512 512"><path d="M48,448h368c17.7,0,33.3-11.6,38.3-28.6L512,224H96L34.7,432.1C38.8,441.5,42.8,448,48,448z M96,192h352v-16 c0-26.5-21.5-48-48-48H240l-64-64H48C21.5,64,0,85.5,0,112v280.6L57.4,217C62.4,202.2,78.4,192,96,192z"></path></svg>`
+  }, {
+    name: 'save-file',
+    title: 'Save as file',
+    icon: `<svg viewBox="0 0 512 512"><path d="M320,0H96C69.5,0,48,21.5,48,48v416c0,26.5,21.5,48,48,48h320c26.5,0,48-21.5,48-48V144L320,0z M256,416L160,320h64V224h64 v96h64L256,416z M304,160V32l128,128H304z"></path></svg>`
   }, {
     name: 'download',
     title: 'Download',
@@ -1968,37 +7492,37 @@
 
   var toolbar = function () {
     const _self = this;
-    let buttons = [];
     let extendedButtons = [];
     if (Array.isArray(this.buttons) && this.buttons.length) {
-      defaultButtons.forEach(item => {
-        if (this.buttons.includes(item.name)) buttons.push(item);
-      });
       defaultExtendedButtons.forEach(item => {
         if (this.buttons.includes(item.name)) extendedButtons.push(item);
       })
     } else {
-      buttons = defaultButtons;
       extendedButtons = defaultExtendedButtons;
     }
 
     try {
-      this.containerEl.append(`<div class="toolbar" id="toolbar"><div class="main-buttons"></div><div class="extended-buttons"></div></div>`);
+      this.containerEl.append(`<div class="toolbar"><div class="main-buttons"></div><div class="extended-buttons"></div></div>`);
 
-      // main buttons
-      (() => {
-        buttons.forEach(item => {
-          $(`${this.containerSelector} #toolbar .main-buttons`).append(`<button id="${item.name}">${item.icon}</button>`);
-        })
+      /**
+       * Add toolbar button of a tool
+       * @param {Object} tool tool definition
+       */
+      this.addToolButton = (tool) => {
+        let button = $('<button/>').attr({ 'data-name': tool.name, title: tool.title || '' }).html(tool.icon);
+        $(`${this.containerSelector} .toolbar .main-buttons`).append(button);
 
-        $(`${this.containerSelector} #toolbar .main-buttons button`).click(function () {
-          let id = $(this).attr('id');
+        button.click(function () {
+          let id = $(this).attr('data-name');
 
-          $(`${_self.containerSelector} #toolbar button`).removeClass('active');
-          $(`${_self.containerSelector} #toolbar button#${id}`).addClass('active');
+          $(`${_self.containerSelector} .toolbar button`).removeClass('active');
+          $(`${_self.containerSelector} .toolbar button[data-name="${id}"]`).addClass('active');
           _self.setActiveTool(id);
         })
-      })();
+      }
+
+      // main buttons
+      this.toolDefinitions.forEach(tool => this.addToolButton(tool));
 
       // zoom
       (() => {
@@ -2008,13 +7532,13 @@
         )
         $(`${this.containerSelector} .floating-zoom-level-container`).append(`
           <label>Zoom</label>
-          <select id="input-zoom-level">
-            ${[0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 2.5, 3].map((item => 
+          <select class="input-zoom-level">
+            ${this.options.zoom.levels.map((item => 
               `<option value="${item}" ${item === currentZoomLevel ? 'selected':''}>${item*100}%</option>`
               ))}
           </select>
         `);
-        $(`${this.containerSelector} .floating-zoom-level-container #input-zoom-level`).change(function () {
+        $(`${this.containerSelector} .floating-zoom-level-container .input-zoom-level`).change(function () {
           let zoom = parseFloat($(this).val());
           typeof _self.applyZoom === 'function' && _self.applyZoom(zoom)
         })
@@ -2022,47 +7546,67 @@
       // extended buttons
       (() => {
         extendedButtons.forEach(item => {
-          $(`${this.containerSelector} #toolbar .extended-buttons`).append(`<button id="${item.name}">${item.icon}</button>`);
+          $(`${this.containerSelector} .toolbar .extended-buttons`).append(`<button data-name="${item.name}">${item.icon}</button>`);
         })
 
-        $(`${this.containerSelector} #toolbar .extended-buttons button`).click(function () {
-          let id = $(this).attr('id');
+        $(`${this.containerSelector} .toolbar .extended-buttons button`).click(function () {
+          let id = $(this).attr('data-name');
           if (id === 'save') {
-            if (window.confirm('The current canvas will be saved in your local! Are you sure?')) {
-              saveInBrowser.save('canvasEditor', _self.canvas.toJSON());
+            let name = _self.currentDocument ? null : window.prompt('Design name', 'Untitled design');
+            if (_self.currentDocument || name) {
+              _self.saveDocument(name).catch(error => {
+                if (error && error.name === 'ConflictError' && window.confirm('This design was changed somewhere else. Overwrite those changes?')) {
+                  return _self.saveDocument(name, { overwrite: true });
+                }
+                throw error;
+              }).catch(error => _self.reportStorageError("can't save document", error));
             }
+          } else if (id === 'documents') {
+            _self.showDocumentManager();
+          } else if (id === 'open-file') {
+            let input = $('<input type="file" accept=".json,application/json"/>');
+            input.change(function () {
+              this.files[0] && _self.openProjectFile(this.files[0]).catch(error => {
+                console.error("can't open project file", error);
+                _self.notify(`Can't open ${this.files[0].name}: ${error.message}`, {
+                  type: 'error'
+                });
+                _self.emit('error', {
+                  message: "can't open project file",
+                  error
+                });
+              });
+            });
+            input.click();
+          } else if (id === 'save-file') {
+            _self.saveProjectFile().catch(error => {
+              console.error("can't save project file", error);
+              _self.notify(`Can't save the project file: ${error.message}`, {
+                type: 'error'
+              });
+              _self.emit('error', {
+                message: "can't save project file",
+                error
+              });
+            });
           } else if (id === 'clear') {
             if (window.confirm('This will clear the canvas! Are you sure?')) {
-              _self.canvas.clear(), saveInBrowser.remove('canvasEditor');
+              _self.canvas.clear();
+              _self.canvas.trigger('object:modified');
             }
           } else if (id === 'download') {
-            $('body').append(`<div class="custom-modal-container">
-              <div class="custom-modal-content">
-                <div class="button-download" id="svg">Download as SVG</div>
-                <div class="button-download" id="png">Download as PNG</div>
-                <div class="button-download" id="jpg">Download as JPG</div>
-              </div>
-            </div>`)
-
-            $(".custom-modal-container").click(function () {
-              $(this).remove();
-            })
-
-            $(".custom-modal-container .button-download").click(function (e) {
-              let type = $(this).attr('id');
-              if (type === 'svg') downloadSVG(_self.canvas.toSVG());
-              else if (type === 'png') downloadImage(_self.canvas.toDataURL())
-              else if (type === 'jpg') downloadImage(_self.canvas.toDataURL({
-                format: 'jpeg'
-              }), 'jpg', 'image/jpeg');
-            })
-
+            _self.showExportDialog();
           } else if (id === 'undo') _self.undo();
           else if (id === 'redo') _self.redo();
+          else if (id === 'history') _self.toggleHistoryPanel();
         })
       })()
-    } catch (_) {
+    } catch (error) {
       console.error("can't create toolbar");
+      this.emit('error', {
+        message: "can't create toolbar",
+        error
+      });
     }
   }
 
@@ -2073,39 +7617,73 @@
  * Define action to upload, drag & drop images into canvas
  */
 (function () {
+  // every further image of a drop is moved by this many pixels
+  const dropOffset = 20;
+
   var upload = function (canvas) {
     const _self = this;
+    const uploadFormats = this.getUploadFormats();
     this.openDragDropPanel = function () {
-      console.log('open drag drop panel')
-      $('body').append(`<div class="custom-modal-container">
-        <div class="custom-modal-content">
-          <div class="drag-drop-input">
-            <div>Drag & drop files<br>or click to browse.<br>JPG, PNG or SVG only!</div>
-          </div>
+      let modal = _self.openModal(`
+        <div class="drag-drop-input">
+          <div>Drag & drop files<br>or click to browse.<br>${joinList(uploadFormats.map(format => format.label))}</div>
         </div>
-      </div>`)
-      $('.custom-modal-container').click(function () {
-        $(this).remove()
-      })
+        <form class="upload-url">
+          <input type="text" placeholder="https://example.com/image.png" spellcheck="false">
+          <button type="submit">Insert from URL</button>
+          <div class="upload-url-status"><progress hidden></progress><span></span></div>
+        </form>
+      `)
+
+      // the link form keeps the modal open while the image loads
+      modal.find('.upload-url').click(e => e.stopPropagation());
+      modal.find('.upload-url').on('submit', function (event) {
+        event.preventDefault();
+        let form = $(this);
+        let url = form.find('input').val().trim();
+        if (!url) return;
+
+        const setStatus = (text, loading, error) => {
+          form.find('input, button').prop('disabled', loading);
+          form.find('progress').prop('hidden', !loading);
+          form.find('.upload-url-status span').text(text).toggleClass('error', !!error);
+        }
+        const messages = {
+          loading: 'Loading image…',
+          proxy: 'The site blocks other sites, loading the image through the proxy…'
+        }
+        _self.uploadImageFromURL(url, {
+          left: 0,
+          top: 0,
+          width: 300,
+          onProgress: step => setStatus(messages[step], true)
+        }).then(() => modal.remove()).catch(error => {
+          console.error("can't upload image", error);
+          setStatus(error.name === 'UploadError' ? error.message : `${window.ImageEditor.getURLName(url)} can't be uploaded.`, false, true);
+          _self.emit('error', {
+            message: "can't upload image",
+            error
+          });
+        });
+      });
 
-      $('.drag-drop-input').click(function () {
-        console.log('click drag drop')
-        $(`${_self.containerSelector} #btn-image-upload`).click();
+      modal.find('.drag-drop-input').click(function () {
+        $(`${_self.containerSelector} .btn-image-upload`).click();
       })
 
-      $(".drag-drop-input").on("dragover", function (event) {
+      modal.find('.drag-drop-input').on("dragover", function (event) {
         event.preventDefault();
         event.stopPropagation();
         $(this).addClass('dragging');
       });
 
-      $(".drag-drop-input").on("dragleave", function (event) {
+      modal.find('.drag-drop-input').on("dragleave", function (event) {
         event.preventDefault();
         event.stopPropagation();
         $(this).removeClass('dragging');
       });
 
-      $(".drag-drop-input").on("drop", function (event) {
+      modal.find('.drag-drop-input').on("drop", function (event) {
         event.preventDefault();
         event.stopPropagation();
         $(this).removeClass('dragging');
@@ -2113,144 +7691,198 @@
           if (event.originalEvent.dataTransfer.files.length) {
             let files = event.originalEvent.dataTransfer.files
             processFiles(files);
-            $('.custom-modal-container').remove();
+            modal.remove();
           }
         }
       });
     }
 
-    const processFiles = (files) => {
-      if (files.length === 0) return;
-      const allowedTypes = ['image/jpeg', 'image/png', 'image/svg+xml']
-
-      for (let file of files) {
-        // check type
-        if (!allowedTypes.includes(file.type)) continue
-
-        let reader = new FileReader()
-
-        // handle svg
-        if (file.type === 'image/svg+xml') {
-          reader.onload = (f) => {
-            fabric.loadSVGFromString(f.target.result, (objects, options) => {
-              let obj = fabric.util.groupSVGElements(objects, options)
-              obj.set({
-                left: 0,
-                top: 0
-              }).setCoords()
-              canvas.add(obj)
-
-              canvas.renderAll()
-              canvas.trigger('object:modified')
-            })
+    /**
+     * Upload files one after another, so that the image count of the upload rules includes the files before
+     * @param {Array} sources files or urls of dropped images
+     * @param {Object} point optional, canvas point the first image is centered at, the next ones are moved a bit
+     */
+    const processFiles = (sources, point) => {
+      if (sources.length === 0) return;
+
+      Array.from(sources).reduce((previous, source, index) => previous.then(() => {
+        let name = typeof source === 'string' ? window.ImageEditor.getURLName(source) : source.name;
+        // svg files keep their size, images are scaled to 300px
+        let opts = point ? {
+          center: {
+            x: point.x + index * dropOffset,
+            y: point.y + index * dropOffset
           }
-          reader.readAsText(file)
-          continue
+        } : {
+          left: 0,
+          top: 0
         }
+        if (!/\.svg$/i.test(name) && source.type !== 'image/svg+xml') opts.width = 300
 
-        // handle image, read file, add to canvas
-        reader.onload = (f) => {
-          fabric.Image.fromURL(f.target.result, (img) => {
-            img.set({
-              left: 0,
-              top: 0
-            })
-            img.scaleToHeight(300)
-            img.scaleToWidth(300)
-            canvas.add(img)
-
-            canvas.renderAll()
-            canvas.trigger('object:modified')
-          })
-        }
+        return uploadSource(source, opts).catch(error => reportError(source, error))
+      }), Promise.resolve());
+    }
 
-        reader.readAsDataURL(file)
-      }
+    /**
+     * Replace an image by a dropped file
+     * @param {Object} source file or url of a dropped image
+     * @param {Object} image fabric image
+     */
+    const replaceImage = (source, image) => {
+      uploadSource(source, {
+        replace: image
+      }).catch(error => reportError(source, error));
     }
 
-    this.containerEl.append(`<input id="btn-image-upload" type="file" accept="image/*" multiple hidden>`);
-    document.querySelector(`${this.containerSelector} #btn-image-upload`).addEventListener('change', function (e) {
+    // urls are loaded so that exports keep working, see uploadImageFromURL
+    const uploadSource = (source, opts) => {
+      return typeof source === 'string' ? _self.uploadImageFromURL(source, opts) : _self.uploadImage(source, opts);
+    }
+
+    const reportError = (source, error) => {
+      console.error("can't upload image", error);
+      // files that can't be used or break an upload rule are explained, other errors are unexpected
+      let name = typeof source === 'string' ? window.ImageEditor.getURLName(source) : source.name;
+      _self.notify(['ImageFormatError', 'UploadError'].includes(error.name) ? error.message : `${name} can't be uploaded.`, {
+        type: 'error'
+      });
+      _self.emit('error', {
+        message: "can't upload image",
+        error
+      });
+    }
+
+    // the file dialog offers the allowed formats only, dropped files are checked by uploadImage
+    let accept = this.options.upload.allowedTypes.length ? uploadFormats.map(format => format.mimeType).join(',') : 'image/*';
+    this.containerEl.append(`<input class="btn-image-upload" type="file" accept="${accept}" multiple hidden>`);
+    document.querySelector(`${this.containerSelector} .btn-image-upload`).addEventListener('change', function (e) {
       if (e.target.files.length === 0) return;
       processFiles(e.target.files)
     })
-  }
-
-  window.ImageEditor.prototype.initializeUpload = upload;
-})();
-
-/**
- * Define action to zoom in/out by mouse+key events
- */
-// keyboard shortcuts and zoom calculations
-const minZoom = 0.05
-const maxZoom = 3
-
-// zoom with key
-const zoomWithKeys = (e, canvas, applyZoom) => {
-  const key = e.which || e.keyCode
-
-  // ctr -: zoom out
-  if (key === 189 && e.ctrlKey) {
-    e.preventDefault()
-    if (canvas.getZoom() === minZoom) return
 
-    let updatedZoom = parseInt(canvas.getZoom() * 100)
-
-    // 25% jumps
-    if ((updatedZoom % 25) !== 0) {
-      while ((updatedZoom % 25) !== 0) {
-        updatedZoom = updatedZoom - 1
-      }
-    } else {
-      updatedZoom = updatedZoom - 25
+    // drop files and images of other pages onto the canvas
+    const holder = $(`${this.containerSelector} .canvas-holder`);
+    const overlay = $('<div class="drop-overlay"><div class="drop-message"></div></div>');
+    $(`${this.containerSelector} .main-panel`).append(overlay);
+    let dropTarget = null;
+
+    const getDropPoint = (e) => {
+      canvas.calcOffset();
+      let point = canvas.getPointer(e);
+      return {
+        x: Math.min(Math.max(point.x, 0), canvas.originalW),
+        y: Math.min(Math.max(point.y, 0), canvas.originalH)
+      };
     }
 
-    updatedZoom = updatedZoom / 100
-    updatedZoom = (updatedZoom <= 0) ? minZoom : updatedZoom
-
-    applyZoom(updatedZoom)
-  }
+    // the top image under the point
+    const findImage = (point) => {
+      return canvas.getObjects().slice().reverse().find(object => {
+        return object.type === 'image' && object.visible && object.selectable && object.containsPoint(new fabric.Point(point.x, point.y), null, true);
+      }) || null;
+    }
 
+    const showDropTarget = (image) => {
+      overlay.addClass('visible');
+      overlay.find('.drop-message').text(image ? 'Drop to replace the image or add a new one' : 'Drop to add images');
+      if (image === dropTarget) return;
+      dropTarget = image;
+      canvas.clearContext(canvas.contextTop);
+      if (image) image._renderControls(canvas.contextTop, {
+        hasControls: false
+      });
+    }
 
-  // ctr +: zoom in
-  if (key === 187 && e.ctrlKey) {
-    e.preventDefault()
-    if (canvas.getZoom() === maxZoom) return
+    const hideDropTarget = () => {
+      overlay.removeClass('visible');
+      dropTarget = null;
+      canvas.clearContext(canvas.contextTop);
+    }
 
-    let updatedZoom = parseInt(canvas.getZoom() * 100)
+    // other drags like selected text are left to the browser
+    const isImageDrag = (e) => {
+      let types = Array.from(e.dataTransfer ? e.dataTransfer.types : []);
+      return types.includes('Files') || types.includes('text/uri-list');
+    }
 
-    // 25% jumps
-    if ((updatedZoom % 25) !== 0) {
-      while ((updatedZoom % 25) !== 0) {
-        updatedZoom = updatedZoom + 1
-      }
-    } else {
-      updatedZoom = updatedZoom + 25
+    const getDroppedUrls = (dataTransfer) => {
+      // images in links give the link in the uri list, the image is in the html
+      let html = dataTransfer.getData('text/html');
+      let image = html && new DOMParser().parseFromString(html, 'text/html').querySelector('img[src]');
+      if (image && /^(https?:|data:image\/)/.test(image.getAttribute('src'))) return [image.getAttribute('src')];
+      return dataTransfer.getData('text/uri-list').split(/\r?\n/).filter(url => url && !url.startsWith('#'));
     }
 
-    updatedZoom = updatedZoom / 100
-    updatedZoom = (updatedZoom > maxZoom) ? maxZoom : updatedZoom
+    holder.on('dragover', (e) => {
+      if (!isImageDrag(e.originalEvent)) return;
+      e.preventDefault();
+      e.originalEvent.dataTransfer.dropEffect = 'copy';
+      showDropTarget(findImage(getDropPoint(e.originalEvent)));
+    });
+
+    holder.on('dragleave', (e) => {
+      if (!holder[0].contains(e.originalEvent.relatedTarget)) hideDropTarget();
+    });
 
-    applyZoom(updatedZoom)
+    holder.on('drop', (e) => {
+      if (!isImageDrag(e.originalEvent)) return;
+      e.preventDefault();
+      let dataTransfer = e.originalEvent.dataTransfer;
+      let point = getDropPoint(e.originalEvent);
+      let image = findImage(point);
+      hideDropTarget();
+
+      let sources = dataTransfer.files.length ? Array.from(dataTransfer.files) : getDroppedUrls(dataTransfer);
+      if (!image || sources.length !== 1) return processFiles(sources, point);
+
+      let modal = _self.openModal(`
+        <div class="replace-prompt">
+          <p class="title">Replace image?</p>
+          <p>The image keeps its position, size and effects.</p>
+          <button class="btn_replace-image">Replace</button>
+          <button class="btn_add-image">Add as new image</button>
+        </div>
+      `);
+      // nothing is added when the dialog is closed without a choice
+      modal.find('.custom-modal-content').click(event => event.stopPropagation());
+      modal.find('.btn_replace-image').click(() => {
+        modal.remove();
+        replaceImage(sources[0], image);
+      });
+      modal.find('.btn_add-image').click(() => {
+        modal.remove();
+        processFiles(sources, point);
+      });
+    });
   }
 
+  window.ImageEditor.prototype.initializeUpload = upload;
 
-  // ctr 0: reset
-  if ((key === 96 || key === 48 || key === 192) && e.ctrlKey) {
-    e.preventDefault()
-    applyZoom(1)
-  }
-}
+  window.ImageEditor.registerTool({
+    name: 'upload',
+    title: 'Upload image',
+    icon: `<svg id="Capa_1" x="0px" y="0px" viewBox="0 0 512 512" xml:space="preserve"><path d="M412.907,214.08C398.4,140.693,333.653,85.333,256,85.333c-61.653,0-115.093,34.987-141.867,86.08 C50.027,178.347,0,232.64,0,298.667c0,70.72,57.28,128,128,128h277.333C464.213,426.667,512,378.88,512,320 C512,263.68,468.16,218.027,412.907,214.08z M298.667,277.333v85.333h-85.333v-85.333h-64L256,170.667l106.667,106.667H298.667z"></path></svg>`,
+    shortcut: 'U',
+    setup: (editor) => ({
+      activate: () => editor.openDragDropPanel()
+    })
+  });
+})();
+
+/**
+ * Define action to zoom in/out by mouse+key events
+ */
+// zoom calculations
 
 // zoom with mouse
-const zoomWithMouse = (e, canvas, applyZoom) => {
+const zoomWithMouse = (e, canvas, applyZoom, zoomOptions) => {
   if (!e.ctrlKey) return
   e.preventDefault()
 
   let updatedZoom = canvas.getZoom().toFixed(2)
-  let zoomAmount = (e.deltaY > 0) ? -5 : 5
+  let zoomAmount = Math.round(zoomOptions.wheelStep * 100) * ((e.deltaY > 0) ? -1 : 1)
   updatedZoom = ((updatedZoom * 100) + zoomAmount) / 100
-  if (updatedZoom < minZoom || updatedZoom > maxZoom) return
+  if (updatedZoom < zoomOptions.min || updatedZoom > zoomOptions.max) return
 
   applyZoom(updatedZoom)
 }
@@ -2321,6 +7953,14 @@ const generateFabricGradientFromColorStops = (handlers, width, height, orientati
   return bgGradient
 }
 
+/**
+ * Create a unique id for canvas objects
+ * @returns {String}
+ */
+const createObjectId = () => {
+  return 'obj-' + Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 8)
+}
+
 const getRealBBox = async (obj) => {
 
   let tempCanv, ctx, w, h;
@@ -2414,6 +8054,7 @@ const getRealBBox = async (obj) => {
   }
 
   let data = await getImageData(obj.toDataURL());
+  tempCanv.remove();
 
   return scanPixels(data);
 
@@ -2649,28 +8290,56 @@ const setActiveFontStyle = (activeSelection, styleName, value) => {
   }
 }
 
-const downloadImage = (data, extension = 'png', mimeType = 'image/png') => {
-  const imageData = data.toString().replace(/^data:image\/(png|jpeg|jpg);base64,/, '');
-  const byteCharacters = atob(imageData);
-  const byteNumbers = new Array(byteCharacters.length);
-  for (let i = 0; i < byteCharacters.length; i += 1) {
-    byteNumbers[i] = byteCharacters.charCodeAt(i);
-  }
-  const byteArray = new Uint8Array(byteNumbers);
-  const file = new Blob([byteArray], {
-    type: mimeType + ';base64'
-  });
-  const fileURL = window.URL.createObjectURL(file);
+/**
+ * Convert a length in a physical unit into canvas pixels
+ * @param {Number} value length
+ * @param {String} unit 'px', 'mm' or 'in'
+ * @param {Number} dpi canvas pixels per inch
+ * @returns {Number}
+ */
+const convertToPixels = (value, unit, dpi) => {
+  if (unit === 'in') return value * dpi;
+  if (unit === 'mm') return value / 25.4 * dpi;
+  return Number(value);
+}
+
+/**
+ * Convert canvas pixels into a length in a physical unit
+ * @param {Number} value length in pixels
+ * @param {String} unit 'px', 'mm' or 'in'
+ * @param {Number} dpi canvas pixels per inch
+ * @returns {Number}
+ */
+const convertFromPixels = (value, unit, dpi) => {
+  if (unit === 'in') return value / dpi;
+  if (unit === 'mm') return value / dpi * 25.4;
+  return Number(value);
+}
+
+/**
+ * Join items into a readable list, e.g. 'JPG, PNG or SVG'
+ * @param {Array} items strings
+ * @returns {String}
+ */
+const joinList = (items) => {
+  if (items.length < 2) return items.join('');
+  return `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}`;
+}
 
-  // IE doesn't allow using a blob object directly as link href
-  // instead it is necessary to use msSaveOrOpenBlob
+/**
+ * Download a blob as file
+ * @param {Blob} blob file content
+ * @param {String} fileName name of the downloaded file
+ */
+const downloadBlob = (blob, fileName) => {
   if (window.navigator && window.navigator.msSaveOrOpenBlob) {
-    window.navigator.msSaveOrOpenBlob(file);
+    window.navigator.msSaveOrOpenBlob(blob, fileName);
     return;
   }
+  const fileURL = window.URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = fileURL;
-  link.download = 'image.' + extension;
+  link.download = fileName;
   link.dispatchEvent(new MouseEvent('click'));
   setTimeout(() => {
     // for Firefox it is necessary to delay revoking the ObjectURL
@@ -2678,20 +8347,6 @@ const downloadImage = (data, extension = 'png', mimeType = 'image/png') => {
   }, 60);
 }
 
-
-const downloadSVG = (SVGmarkup) => {
-  const url = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(SVGmarkup);
-
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = 'image.svg';
-  link.dispatchEvent(new MouseEvent('click'));
-  setTimeout(() => {
-    // for Firefox it is necessary to delay revoking the ObjectURL
-    window.URL.revokeObjectURL(url);
-  }, 60);
-}
-
 /**
  * Define utils to save/load canvas status with local storage
  */
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEditor, createEditor } = require('./helpers/editor');
+
+const labels = (editor) => Array.from(editor.getHistory().entries, entry => entry.label);
+
+// image elements get the size of their file name, e.g. photo-400x200.png
+const imageSize = (src) => {
+  let match = /(\d+)x(\d+)/.exec(src);
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+const createImage = (window, src) => new Promise(resolve => {
+  const image = new window.Image();
+  image.onload = () => resolve(image);
+  image.src = src;
+});
+
+test('addText adds a text box centered on the canvas', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window, { fonts: ['Georgia', 'Arial'] });
+  const text = await editor.addText('hello', { fill: 'red' });
+  assert.strictEqual(text.type, 'textbox');
+  assert.strictEqual(text.width, 200);
+  assert.strictEqual(text.fill, 'red');
+  assert.strictEqual(text.fontFamily, 'Georgia');
+  assert.strictEqual(text.getCenterPoint().x, 400);
+
+  const placed = await editor.addText('placed', { left: 10, top: 20, width: 80 });
+  assert.deepStrictEqual([placed.left, placed.top, placed.width], [10, 20, 80]);
+  assert.deepStrictEqual(labels(editor), ['Added text', 'Added text']);
+  await editor.undo();
+  assert.deepStrictEqual(Array.from(editor.canvas.getObjects()), [text]);
+});
+
+test('addImage scales images and rejects unknown sources', async () => {
+  const window = loadEditor({ images: imageSize });
+  const editor = await createEditor(window);
+  const image = await editor.addImage('https://example.com/photo-400x200.png', { width: 100, center: { x: 50, y: 60 } });
+  assert.strictEqual(image.type, 'image');
+  assert.strictEqual(image.getScaledWidth(), 100);
+  assert.strictEqual(image.getScaledHeight(), 50);
+  assert.deepStrictEqual([image.left, image.top], [0, 35]);
+
+  const element = await createImage(window, 'logo-50x50.png');
+  const logo = await editor.addImage(element, { height: 10, angle: 0, opacity: 0.5 });
+  assert.strictEqual(logo.getScaledHeight(), 10);
+  assert.strictEqual(logo.opacity, 0.5);
+  assert.deepStrictEqual(labels(editor), ['Added image', 'Added image']);
+
+  const error = await editor.addImage(42).catch(error => error);
+  assert.strictEqual(error.name, 'TypeError');
+  const broken = await editor.addImage('https://example.com/missing.png').catch(error => error);
+  assert.ok(/can't load image/.test(broken.message));
+  assert.strictEqual(editor.canvas.getObjects().length, 2);
+});
+
+test('addShape adds svg markup as a shape of 100 pixels', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const shape = await editor.addShape('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 50 25"><rect width="50" height="25" fill="#00f" stroke-width="0"/></svg>', { opacity: 0.5 });
+  assert.strictEqual(shape.type, 'rect');
+  assert.strictEqual(Math.round(shape.getScaledHeight()), 100);
+  assert.strictEqual(shape.opacity, 0.5);
+  assert.strictEqual(shape.strokeUniform, true);
+  assert.deepStrictEqual(labels(editor), ['Added shape']);
+
+  await assert.rejects(editor.addShape('<svg xmlns="http://www.w3.org/2000/svg"></svg>'));
+});
+
+test('replaceImage fits the new picture into the image and keeps its place', async () => {
+  const window = loadEditor({ images: imageSize });
+  const editor = await createEditor(window);
+  const image = await editor.addImage('photo-200x100.png', { left: 10, top: 10, angle: 30, originalImage: { src: 'photo-4000x2000.png', width: 4000, height: 2000 } });
+  const center = image.getCenterPoint();
+
+  const replaced = await editor.replaceImage(image.id, 'square-50x50.png', { name: 'square' });
+  assert.strictEqual(replaced, image);
+  assert.strictEqual(image.getSrc(), 'square-50x50.png');
+  assert.deepStrictEqual([image.getScaledWidth(), image.getScaledHeight()], [100, 100]);
+  assert.deepStrictEqual(image.getCenterPoint(), center);
+  assert.strictEqual(image.angle, 30);
+  assert.strictEqual(image.originalImage, null);
+  assert.strictEqual(image.name, 'square');
+  assert.deepStrictEqual(labels(editor), ['Added image', 'Replaced image']);
+
+  const text = await editor.addText('not an image');
+  assert.ok(/not found/.test((await editor.replaceImage(text, 'square-50x50.png').catch(error => error)).message));
+  assert.ok(/not found/.test((await editor.replaceImage('missing', 'square-50x50.png').catch(error => error)).message));
+});
+
+test('setCanvasSize sets the size at zoom level 1 and removeObject removes by id', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  editor.applyZoom(2);
+  await editor.setCanvasSize('400', 300);
+  assert.deepStrictEqual([editor.canvas.originalW, editor.canvas.originalH], [400, 300]);
+  assert.deepStrictEqual([editor.canvas.getWidth(), editor.canvas.getHeight()], [800, 600]);
+  await assert.rejects(editor.setCanvasSize(0, 300), /positive/);
+  assert.deepStrictEqual(labels(editor), ['Resized canvas']);
+
+  const text = await editor.addText('hello');
+  assert.strictEqual(await editor.removeObject(text.id), text);
+  assert.strictEqual(editor.canvas.getObjects().length, 0);
+  await assert.rejects(editor.removeObject(text.id), /not found/);
+});
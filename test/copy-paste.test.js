@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEditor, createEditor, sleep } = require('./helpers/editor');
+
+/**
+ * Dispatch a clipboard event with clipboardData keeping text
+ */
+const clipboardEvent = (window, type, text = '') => {
+  const data = { 'text/plain': text };
+  const event = new window.Event(type, { bubbles: true, cancelable: true });
+  event.clipboardData = {
+    items: [],
+    getData: (format) => data[format] || '',
+    setData: (format, value) => data[format] = value
+  };
+  window.document.dispatchEvent(event);
+  return data;
+}
+
+test('pasted objects and the objects of pasted groups get new ids', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const text = JSON.stringify({
+    format: 'image-editor/objects',
+    objects: [{
+      type: 'group',
+      id: 'group-1',
+      left: 10,
+      top: 10,
+      objects: [{ type: 'rect', id: 'rect-1', width: 10, height: 10 }, { type: 'circle', id: 'circle-1', radius: 5 }]
+    }]
+  });
+
+  clipboardEvent(window, 'paste', text);
+  await sleep(50);
+  const [group] = editor.canvas.getObjects();
+  assert.strictEqual(group.type, 'group');
+  assert.notStrictEqual(group.id, 'group-1');
+  assert.deepStrictEqual(Array.from(group.getObjects(), object => object.id).filter(id => id), []);
+});
+
+test('a selection that can\'t be drawn as png is copied as objects', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const written = [];
+  Object.defineProperty(window.navigator, 'clipboard', { value: { write: (items) => written.push(items) } });
+  window.ClipboardItem = class {};
+  const text = await editor.addText('copy me');
+  editor.canvas.setActiveObject(text);
+  text.toDataURL = () => {
+    throw Object.assign(new Error('tainted canvas'), { name: 'SecurityError' });
+  };
+
+  const errors = [];
+  window.addEventListener('error', (event) => errors.push(event.error));
+  const data = clipboardEvent(window, 'copy');
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(JSON.parse(data['text/plain']).objects[0].text, 'copy me');
+  assert.strictEqual(written.length, 0);
+});
+
+test('the images of pasted svg markup count against maxImages', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window, { upload: { maxImages: 1 } });
+  const errors = [];
+  editor.on('error', (event) => errors.push(event.error));
+
+  clipboardEvent(window, 'paste', `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+    <image xlink:href="a.png" width="10" height="10"/><image xlink:href="b.png" width="10" height="10"/>
+  </svg>`);
+  await sleep(50);
+  assert.strictEqual(editor.canvas.getObjects().length, 0);
+  assert.deepStrictEqual(errors.map(error => [error.name, error.rule]), [['UploadError', 'maxImages']]);
+});
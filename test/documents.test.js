@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEditor, createEditor, sleep } = require('./helpers/editor');
+
+const names = (documents) => Array.from(documents, doc => doc.name);
+
+test('designs are saved, renamed, duplicated and deleted', async () => {
+  const window = loadEditor({ indexedDB: true });
+  const editor = await createEditor(window);
+  await editor.addText('hello');
+  assert.strictEqual(editor.documentModified, true);
+  const poster = await editor.saveDocument('Poster');
+  assert.strictEqual(editor.documentModified, false);
+  assert.strictEqual(editor.currentDocument.id, poster.id);
+  assert.ok(poster.thumbnail.startsWith('data:image/'));
+  assert.deepStrictEqual([poster.width, poster.height], [800, 600]);
+
+  await sleep(5);
+  const copy = await editor.duplicateDocument(poster.id);
+  assert.strictEqual(copy.name, 'Poster (copy)');
+  assert.strictEqual((await editor.storage.get(copy.id)).state.objects[0].text, 'hello');
+
+  await editor.renameDocument(poster.id, '  Flyer ');
+  assert.strictEqual(editor.currentDocument.name, 'Flyer');
+  await assert.rejects(editor.renameDocument(poster.id, ' '));
+
+  // most recently modified first
+  let documents = await editor.listDocuments();
+  assert.deepStrictEqual(names(documents), ['Poster (copy)', 'Flyer']);
+  assert.deepStrictEqual(Array.from(documents, doc => doc.current), [false, true]);
+
+  // the deleted current design stays on the canvas as a new unsaved design
+  await editor.deleteDocument(poster.id);
+  assert.deepStrictEqual(names(await editor.listDocuments()), ['Poster (copy)']);
+  assert.strictEqual(editor.currentDocument, null);
+  assert.strictEqual(editor.canvas.getObjects().length, 1);
+  await assert.rejects(editor.deleteDocument(poster.id));
+});
+
+test('switching designs keeps unsaved changes as drafts', async () => {
+  const window = loadEditor({ indexedDB: true });
+  const editor = await createEditor(window);
+  await editor.addText('first');
+  const first = await editor.saveDocument('First');
+  await editor.addText('unsaved');
+
+  const second = await editor.createDocument('Second');
+  assert.strictEqual(editor.currentDocument.id, second.id);
+  assert.strictEqual(editor.canvas.getObjects().length, 0);
+  let documents = await editor.listDocuments();
+  assert.strictEqual(documents.find(doc => doc.id === first.id).hasDraft, true);
+
+  await editor.openDocument(first.id);
+  assert.deepStrictEqual(Array.from(editor.canvas.getObjects(), object => object.text), ['first', 'unsaved']);
+  assert.strictEqual(editor.documentModified, true);
+  // the saved state is unchanged
+  assert.strictEqual((await editor.storage.get(first.id)).state.objects.length, 1);
+});
+
+test('the document manager lists designs and opens them', async () => {
+  const window = loadEditor({ indexedDB: true });
+  const editor = await createEditor(window);
+  await editor.addText('poster');
+  const poster = await editor.saveDocument('<b>Poster</b>');
+  await editor.createDocument('Empty');
+
+  const modal = editor.showDocumentManager();
+  await sleep(20);
+  const items = Array.from(modal[0].querySelectorAll('.document-item'));
+  assert.deepStrictEqual(items.map(item => item.querySelector('.document-name').textContent), ['Empty', '<b>Poster</b>']);
+  assert.ok(items[0].classList.contains('current'));
+  assert.ok(items[1].querySelector('.document-thumbnail img'));
+
+  items[1].querySelector('button[data-action="open"]').click();
+  await sleep(20);
+  assert.strictEqual(editor.currentDocument.id, poster.id);
+  assert.strictEqual(editor.canvas.getObjects()[0].text, 'poster');
+  assert.strictEqual(window.document.querySelector('.document-manager'), null);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEditor, createEditor } = require('./helpers/editor');
+
+const addContainer = (window, id) => {
+  const container = window.document.createElement('div');
+  container.id = id;
+  window.document.body.appendChild(container);
+}
+
+test('editors on one page have no clashing ids', async () => {
+  const window = loadEditor();
+  addContainer(window, 'second-editor');
+  const first = await createEditor(window);
+  const second = new window.ImageEditor('#second-editor', { autosave: { enabled: false } });
+  await second.ready;
+
+  const ids = Array.from(window.document.querySelectorAll('[id]'), element => element.id)
+    // ids inside the svg icons of the original markup aren't referenced
+    .filter(id => !window.document.getElementById(id).closest('svg'));
+  assert.deepStrictEqual(ids.filter((id, index) => ids.indexOf(id) !== index), []);
+
+  window.document.querySelector('#second-editor .toolbar button[data-name="draw"]').click();
+  assert.strictEqual(second.activeTool, 'draw');
+  assert.notStrictEqual(first.activeTool, 'draw');
+  assert.ok(window.document.querySelector('#second-editor .toolpanel.draw-panel').classList.contains('visible'));
+  assert.ok(!window.document.querySelector('#image-editor-container .toolpanel.draw-panel').classList.contains('visible'));
+});
+
+test('destroy removes the editor markup and pending notifications', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  editor.notify('Saved');
+  assert.strictEqual(editor.notificationTimers.size, 1);
+
+  editor.destroy();
+  assert.strictEqual(editor.notificationTimers.size, 0);
+  assert.strictEqual(window.document.querySelector('#image-editor-container').children.length, 0);
+});
+
+test('tool titles and font names are shown as text', async () => {
+  const window = loadEditor();
+  window.ImageEditor.registerTool({ name: 'stamp', title: 'Stamp "big" <b>', icon: '<svg></svg>', panel: '<p>stamps</p>' });
+  const editor = await createEditor(window, { fonts: [{ value: 'Sans" onclick="x', label: '<i>Sans</i>' }] });
+
+  const button = window.document.querySelector('.toolbar button[data-name="stamp"]');
+  assert.strictEqual(button.getAttribute('title'), 'Stamp "big" <b>');
+  assert.strictEqual(window.document.querySelector('.toolpanel.stamp-panel .title').textContent, 'Stamp "big" <b>');
+
+  const option = window.document.querySelector('.toolpanel.select-panel .font-family option:last-child');
+  assert.strictEqual(option.value, 'Sans" onclick="x');
+  assert.strictEqual(option.textContent, '<i>Sans</i>');
+  assert.strictEqual(option.getAttribute('onclick'), null);
+  assert.strictEqual(editor.tools.stamp.name, 'stamp');
+});
+
+test('the shortcut help shows tool titles as text', async () => {
+  const window = loadEditor();
+  window.ImageEditor.registerTool({ name: 'stamp', title: '<img src=x onerror="x()">Stamp', icon: '<svg></svg>', shortcut: 'K' });
+  const editor = await createEditor(window);
+
+  const modal = editor.showShortcutHelp();
+  const row = Array.from(modal[0].querySelectorAll('tr')).find(tr => tr.cells[0].textContent === '<img src=x onerror="x()">Stamp');
+  assert.ok(row);
+  assert.strictEqual(row.cells[1].querySelector('kbd').textContent, 'K');
+  assert.strictEqual(modal[0].querySelector('img'), null);
+});
+
+test('built-in panels are tool panels left of the canvas', async () => {
+  const window = loadEditor();
+  await createEditor(window, { buttons: ['select', 'draw'] });
+
+  const children = Array.from(window.document.querySelector('.main-panel').children, element => element.className);
+  assert.deepStrictEqual(children.slice(0, 3), ['toolpanel select-panel', 'toolpanel draw-panel', 'canvas-holder']);
+  assert.strictEqual(window.document.querySelector('.toolpanel.select-panel .title').textContent, 'Selection Settings');
+  assert.strictEqual(window.document.querySelector('.toolpanel.background-panel'), null);
+  assert.strictEqual(window.document.querySelector('.toolpanel.shapes-panel'), null);
+});
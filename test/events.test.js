@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEditor, createEditor } = require('./helpers/editor');
+
+test('handlers run in the order they were added until they are removed', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const calls = [];
+  const first = (payload) => calls.push(['first', payload.value]);
+  const second = () => calls.push(['second']);
+  const third = () => calls.push(['third']);
+
+  assert.strictEqual(editor.on('custom', first).on('custom', second).once('custom', third), editor);
+  editor.emit('custom', { value: 1 });
+  editor.emit('custom', { value: 2 });
+  assert.deepStrictEqual(calls, [['first', 1], ['second'], ['third'], ['first', 2], ['second']]);
+
+  calls.length = 0;
+  editor.off('custom', first);
+  editor.emit('custom', { value: 3 });
+  assert.deepStrictEqual(calls, [['second']]);
+
+  calls.length = 0;
+  editor.off('custom');
+  editor.emit('custom', { value: 4 });
+  assert.deepStrictEqual(calls, []);
+});
+
+test('once handlers can be removed before they run and failing handlers don\'t stop the others', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const calls = [];
+  const handler = () => calls.push('once');
+  editor.once('custom', handler);
+  editor.off('custom', handler);
+  editor.on('custom', () => {
+    throw new Error('handler failed');
+  });
+  editor.on('custom', () => calls.push('after'));
+
+  editor.emit('custom', {});
+  assert.deepStrictEqual(calls, ['after']);
+  assert.throws(() => editor.on('custom', 'handler'), window.TypeError);
+});
+
+test('editor actions fire their events', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const events = [];
+  ['change', 'selectionChange', 'toolChange', 'historyChange'].forEach(name => editor.on(name, (payload) => events.push([name, payload])));
+
+  const text = await editor.addText('hello');
+  const payload = (name) => events.find(event => event[0] === name)[1];
+  assert.deepStrictEqual(events.map(([name]) => name).sort(), ['change', 'historyChange']);
+  assert.strictEqual(payload('change').target, text);
+  assert.strictEqual(payload('change').state.objects[0].text, 'hello');
+  assert.deepStrictEqual({ ...payload('historyChange') }, { canUndo: true, canRedo: false, undoSize: 1, redoSize: 0 });
+
+  editor.setActiveTool('select');
+  events.length = 0;
+  editor.setActiveTool('draw');
+  editor.setActiveTool('draw');
+  assert.deepStrictEqual(events.map(([name, data]) => [name, { ...data }]), [['toolChange', { tool: 'draw', previousTool: 'select' }]]);
+
+  events.length = 0;
+  editor.canvas.setActiveObject(text);
+  editor.canvas.fire('selection:created', { target: text });
+  assert.strictEqual(payload('selectionChange').selection, text);
+  assert.deepStrictEqual(Array.from(payload('selectionChange').objects), [text]);
+});
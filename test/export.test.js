@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadEditor, createEditor } = require('./helpers/editor');
+
+const fontFiles = {
+  '/fonts/Oswald-Regular.ttf': [0, 1, 0, 0, 0, 10],
+  '/fonts/Lato-Regular.woff': Array.from(Buffer.from('wOFF0000', 'latin1'))
+};
+
+/**
+ * Load the editor with jsPDF and svg2pdf stubs recording the added fonts and the text drawn by svg2pdf
+ */
+const setup = () => {
+  const window = loadEditor();
+  const added = [];
+  window.fetch = (url) => Promise.resolve(fontFiles[url] ? {
+    ok: true,
+    arrayBuffer: () => Promise.resolve(new Uint8Array(fontFiles[url]).buffer)
+  } : { ok: false, status: 404 });
+  window.jspdf = {
+    jsPDF: class {
+      setProperties() {}
+      addFileToVFS(file, data) {
+        added.push({ file, data });
+      }
+      addFont(file, family, style) {
+        added.find(font => font.file === file).font = [family, style];
+      }
+      output() {
+        return new window.Blob(['%PDF']);
+      }
+    }
+  };
+  window.svg2pdf = { svg2pdf: () => Promise.resolve() };
+  return { window, added };
+}
+
+test('fonts with a TrueType file are added to the pdf', async () => {
+  const { window, added } = setup();
+  const editor = await createEditor(window, {
+    fonts: [
+      { label: 'Oswald', value: "'Oswald', sans-serif", url: '/fonts/Oswald-Regular.ttf' },
+      { label: 'Lato', value: "'Lato', sans-serif", url: '/fonts/Lato-Regular.woff' },
+      'Arial'
+    ]
+  });
+  await editor.addText('title', { fontFamily: "'Oswald', sans-serif" });
+  await editor.addText('body', { fontFamily: "'Lato', sans-serif" });
+  await editor.addText('note', { fontFamily: 'Arial' });
+
+  const { warnings } = await editor.exportImage({ format: 'pdf' });
+  assert.deepStrictEqual(added.map(font => font.font), [['Oswald', 'normal']]);
+  assert.strictEqual(added[0].file, 'Oswald-normal.ttf');
+  assert.strictEqual(added[0].data, Buffer.from(fontFiles['/fonts/Oswald-Regular.ttf']).toString('base64'));
+  assert.deepStrictEqual(Array.from(warnings, warning => warning.message), [
+    'font Arial has no url in the fonts option and is replaced by a standard font',
+    "font /fonts/Lato-Regular.woff isn't a TrueType font and is replaced by a standard font"
+  ]);
+});
+
+test('svg exports keep only referenced ids', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const { svg } = await editor.prepareSVG(`<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+    <defs><clipPath id="clip"><rect width="5" height="5"/></clipPath><linearGradient id="fade"/></defs>
+    <g id="object-1" clip-path="url(#clip)"><rect id="rect-2" fill="url(#fade)"/><use id="copy" xlink:href="#rect-2"/></g>
+  </svg>`, { fonts: 'none' });
+  const doc = new window.DOMParser().parseFromString(svg, 'image/svg+xml');
+  assert.deepStrictEqual(Array.from(doc.querySelectorAll('[id]'), element => element.id), ['clip', 'fade', 'rect-2']);
+});
+
+test('the default fonts are embedded from the bundled files', async () => {
+  const { window, added } = setup();
+  const requested = [];
+  window.fetch = (url) => {
+    requested.push(url);
+    return Promise.resolve({
+      ok: true,
+      arrayBuffer: () => Promise.resolve(new Uint8Array(fs.readFileSync(path.join(__dirname, '..', url))).buffer)
+    });
+  };
+  const editor = await createEditor(window);
+  await editor.addText('title', { fontFamily: "'Open Sans', sans-serif", fontWeight: 'bold' });
+
+  await editor.exportImage({ format: 'pdf' });
+  assert.deepStrictEqual(requested, ['./vendor/fonts/OpenSans-Bold.ttf']);
+  assert.deepStrictEqual(added.map(font => font.font), [['Open Sans', 'bold']]);
+  window.ImageEditor.defaultOptions.fonts.filter(font => font.url).forEach(font => {
+    Object.values(font.url).forEach(url => assert.ok(fs.existsSync(path.join(__dirname, '..', url)), url));
+  });
+});
+
+/**
+ * Record the viewport and size fabric renders exported images with
+ */
+const recordRenders = (canvas) => {
+  const renders = [];
+  const renderCanvas = canvas.renderCanvas;
+  canvas.renderCanvas = function (ctx, objects) {
+    // toCanvasElement renders without interaction
+    if (!this.interactive) renders.push({ vpt: Array.from(this.viewportTransform), width: this.width, height: this.height });
+    return renderCanvas.call(this, ctx, objects);
+  };
+  return renders;
+}
+
+test('image exports are the same at every zoom level', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const renders = recordRenders(editor.canvas);
+  const area = { left: 100, top: 50, width: 200, height: 100 };
+
+  const exported = await editor.exportImage({ area, multiplier: 2 });
+  editor.applyZoom(0.5);
+  editor.canvas.relativePan({ x: 30, y: -20 });
+  const zoomed = await editor.exportImage({ area, multiplier: 2 });
+  const byDPI = await editor.exportImage({ area, dpi: 192 });
+
+  assert.deepStrictEqual([exported.width, exported.height], [400, 200]);
+  assert.deepStrictEqual([zoomed.width, zoomed.height, byDPI.width, byDPI.height], [400, 200, 400, 200]);
+  // the area's top left corner is the origin of the image at twice the canvas size
+  renders.forEach(render => assert.deepStrictEqual(render, { vpt: [2, 0, 0, 2, -200, -100], width: 400, height: 200 }));
+  assert.strictEqual(renders.length, 3);
+});
+
+test('the export area is the canvas, the selection, an object or a region', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const text = await editor.addText('hello', { left: 10, top: 20, width: 100 });
+  const other = await editor.addText('other', { left: 300, top: 200, width: 50 });
+
+  const canvas = await editor.exportImage({ format: 'svg', fonts: 'none' });
+  assert.deepStrictEqual([canvas.width, canvas.height], [800, 600]);
+  assert.ok(canvas.data.includes('viewBox="0 0 800 600"'));
+
+  await assert.rejects(editor.exportImage({ area: 'selection' }), /no selection/);
+  await assert.rejects(editor.exportImage({ area: { left: 0, top: 0, width: 0, height: 10 } }), /positive width/);
+
+  editor.canvas.setActiveObject(text);
+  const rect = text.getBoundingRect(true, true);
+  const selection = await editor.exportImage({ format: 'svg', fonts: 'none', area: 'selection', multiplier: 2 });
+  assert.deepStrictEqual([selection.width, selection.height], [Math.round(rect.width * 2), Math.round(rect.height * 2)]);
+  assert.ok(selection.data.includes('hello'));
+  assert.ok(!selection.data.includes('other'));
+
+  const object = await editor.exportImage({ format: 'svg', fonts: 'none', area: other });
+  assert.ok(object.data.includes('other'));
+  assert.ok(!object.data.includes('hello'));
+
+  // the jpeg background is white instead of transparent
+  const encoded = [];
+  window.HTMLCanvasElement.prototype.toDataURL = (type, quality) => {
+    encoded.push([type, quality, editor.canvas.backgroundColor]);
+    return 'data:image/jpeg;base64,AAAA';
+  };
+  const region = await editor.exportImage({ format: 'jpeg', area: { left: 0, top: 0, width: 50, height: 40 }, quality: 0.5 });
+  assert.deepStrictEqual([region.width, region.height, region.mimeType], [50, 40, 'image/jpeg']);
+  assert.deepStrictEqual(encoded, [['image/jpeg', 0.5, 'white']]);
+  assert.strictEqual(editor.canvas.backgroundColor, '');
+});
+
+test('objects are exported into a zip file with a manifest of their positions', async () => {
+  const window = loadEditor({ vendor: ['jszip.min.js'] });
+  const editor = await createEditor(window, { customProperties: ['name'] });
+  const logo = await editor.addText('Logo', { left: 10, top: 20, width: 100, name: 'Brand logo' });
+  const title = await editor.addText('Spring sale!', { left: 200, top: 100, width: 150, angle: 90, opacity: 0.5 });
+  const copy = await editor.addText('Logo', { left: 400, top: 300, width: 80, name: 'Brand logo' });
+
+  const { blob, manifest, extension } = await editor.exportObjects({ format: 'svg', multiplier: 2 });
+  assert.strictEqual(extension, 'zip');
+  assert.deepStrictEqual({ ...manifest.canvas }, { width: 800, height: 600 });
+  assert.deepStrictEqual([manifest.format, manifest.multiplier], ['svg', 2]);
+  assert.deepStrictEqual(Array.from(manifest.objects, object => [object.file, object.id, object.name, object.index]), [
+    ['brand-logo.svg', logo.id, 'Brand logo', 0],
+    ['spring-sale.svg', title.id, undefined, 1],
+    ['brand-logo-2.svg', copy.id, 'Brand logo', 2]
+  ]);
+  const rect = title.getBoundingRect(true, true);
+  const entry = manifest.objects[1];
+  assert.deepStrictEqual([entry.left, entry.top, entry.width, entry.height], [rect.left, rect.top, rect.width, rect.height]);
+  assert.deepStrictEqual([entry.angle, entry.opacity, entry.type], [90, 0.5, 'textbox']);
+  assert.deepStrictEqual([entry.pixelWidth, entry.pixelHeight], [Math.round(rect.width * 2), Math.round(rect.height * 2)]);
+
+  const zip = await window.JSZip.loadAsync(blob);
+  assert.deepStrictEqual(Object.keys(zip.files).sort(), ['brand-logo-2.svg', 'brand-logo.svg', 'manifest.json', 'spring-sale.svg']);
+  assert.deepStrictEqual(JSON.parse(await zip.file('manifest.json').async('string')), JSON.parse(JSON.stringify(manifest)));
+  const svg = await zip.file('spring-sale.svg').async('string');
+  assert.ok(svg.includes('Spring'));
+  assert.ok(!svg.includes('Logo'));
+});
+
+test('only the selected objects are exported with the selection option', async () => {
+  const window = loadEditor({ vendor: ['jszip.min.js'] });
+  const editor = await createEditor(window);
+  await assert.rejects(editor.exportObjects({ objects: 'selection' }), /no objects/);
+  await assert.rejects(editor.exportObjects({ format: 'pdf' }), /can't be exported as pdf/);
+
+  const first = await editor.addText('first');
+  await editor.addText('second');
+  const third = await editor.addText('third', { left: 500, top: 400 });
+  const rect = third.getBoundingRect(true, true);
+  editor.canvas.setActiveObject(new window.fabric.ActiveSelection([first, third], { canvas: editor.canvas }));
+
+  const { manifest } = await editor.exportObjects({ objects: 'selection' });
+  assert.deepStrictEqual(Array.from(manifest.objects, object => object.file), ['first.png', 'third.png']);
+  assert.deepStrictEqual(Array.from(manifest.objects, object => object.index), [0, 2]);
+  // positions are on the canvas, not in the selection
+  assert.deepStrictEqual([manifest.objects[1].left, manifest.objects[1].top], [rect.left, rect.top]);
+});
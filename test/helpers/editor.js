@@ -0,0 +1,150 @@
+/**
+ * Load the editor scripts into jsdom like index.html does, the 2d context is stubbed so rendering isn't tested
+ */
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..', '..');
+
+const quietConsole = {
+  log: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {}
+};
+
+/**
+ * Image element loading every src, its size comes from the images option of loadEditor, null fails to load
+ */
+const createFakeImage = (size) => class FakeImage {
+  set src(src) {
+    this._src = src;
+    let loaded = size(src);
+    if (!loaded) {
+      setTimeout(() => this.onerror && this.onerror(new Error('broken image')), 1);
+      return;
+    }
+    this.naturalWidth = this.width = loaded.width;
+    this.naturalHeight = this.height = loaded.height;
+    setTimeout(() => this.onload && this.onload(), 1);
+  }
+
+  get src() {
+    return this._src;
+  }
+}
+
+/**
+ * Create a window with the editor loaded
+ * @param {Object} options
+ * - vendor: file names of vendor/ scripts loaded before the editor
+ * - indexedDB: true to provide IndexedDB with fake-indexeddb
+ * - images: optional, function (src) => { width, height } or null for a broken image, images load without decoding
+ * - platform: optional, navigator.platform seen by the editor, e.g. 'MacIntel'
+ * @returns {Object} window
+ */
+const loadEditor = (options = {}) => {
+  const dom = new JSDOM('<!DOCTYPE html><html><body><div id="image-editor-container"></div></body></html>', {
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    url: 'http://localhost/'
+  });
+  const window = dom.window;
+
+  const context = new Proxy({}, {
+    get: (target, key) => {
+      if (key in target) return target[key];
+      if (key === 'measureText') return (text) => ({ width: String(text).length * 7 });
+      if (key === 'getImageData' || key === 'createImageData') {
+        return (x, y, width = 1, height = 1) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) });
+      }
+      if (key === 'canvas') return undefined;
+      return () => context;
+    }
+  });
+  window.HTMLCanvasElement.prototype.getContext = () => context;
+  window.HTMLCanvasElement.prototype.toDataURL = () => 'data:image/png;base64,AAAA';
+  window.console = quietConsole;
+  if (options.platform) Object.defineProperty(window.navigator, 'platform', { value: options.platform });
+  window.setImmediate = setImmediate;
+  window.TextEncoder = TextEncoder;
+  window.TextDecoder = TextDecoder;
+  if (options.indexedDB) {
+    const fakeIndexedDB = require('fake-indexeddb');
+    window.indexedDB = new fakeIndexedDB.IDBFactory();
+    window.IDBKeyRange = fakeIndexedDB.IDBKeyRange;
+    // blobs of jsdom don't survive the structured clone of fake-indexeddb
+    window.Blob = Blob;
+    window.FileReader = class FileReader {
+      readAsDataURL(blob) {
+        blob.arrayBuffer().then(buffer => {
+          this.result = `data:${blob.type};base64,${Buffer.from(buffer).toString('base64')}`;
+          this.onload();
+        }, error => {
+          this.error = error;
+          this.onerror();
+        });
+      }
+    };
+  }
+
+  const run = (file) => window.eval(fs.readFileSync(file, 'utf8'));
+  run(require.resolve('jquery/dist/jquery.js'));
+  window.eval(`
+    jQuery.fn.outerHTML = function () { return jQuery('<div />').append(this.eq(0).clone()).html(); };
+    Number.prototype.countDecimals = function () {
+      if (Math.floor(this.valueOf()) === this.valueOf()) return 0;
+      return this.toString().split('.')[1].length || 0;
+    };
+    jQuery.fn.spectrum = function () { return this; };
+    window.Grapick = function () {
+      const picker = new Proxy({}, { get: (target, key) => key === 'getHandlers' ? () => [] : key === 'getColorValue' ? () => '' : () => picker });
+      return picker;
+    };
+  `);
+  run(require.resolve('fabric/dist/fabric.js'));
+  run(path.join(root, 'vendor', 'undo-redo-stack.js'));
+  (options.vendor || []).forEach(name => run(path.join(root, 'vendor', name)));
+
+  if (options.images) {
+    const FakeImage = createFakeImage(options.images);
+    window.Image = FakeImage;
+    window.HTMLImageElement = FakeImage;
+    window.fabric.util.loadImage = (url, callback, context, crossOrigin) => {
+      let image = new FakeImage();
+      image.crossOrigin = crossOrigin;
+      image.onload = () => callback.call(context, image);
+      image.onerror = () => callback.call(context, null, true);
+      image.src = url;
+    };
+  }
+
+  run(path.join(root, 'lib', 'core.js'));
+  return window;
+}
+
+/**
+ * Create an editor and wait until it has loaded the stored design
+ * @param {Object} window window of loadEditor
+ * @param {Object} options editor options, autosave is disabled unless it's given
+ * @returns {Promise<Object>} the editor
+ */
+const createEditor = (window, options = {}) => {
+  const editor = new window.ImageEditor('#image-editor-container', {
+    autosave: {
+      enabled: false
+    },
+    ...options
+  });
+  return editor.ready;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  loadEditor,
+  createEditor,
+  sleep
+};
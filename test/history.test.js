@@ -0,0 +1,290 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEditor, createEditor } = require('./helpers/editor');
+
+// arrays of the editor window have another Array prototype
+const labels = (editor) => Array.from(editor.getHistory().entries, entry => entry.label);
+
+const change = (editor, object, properties) => {
+  object.set(properties);
+  editor.canvas.trigger('object:modified', {
+    target: object
+  });
+}
+
+test('undo and redo patch the changed object in place', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const text = await editor.addText('hello', { left: 50, top: 50 });
+  change(editor, text, { left: 200, fill: 'red' });
+
+  assert.deepStrictEqual(labels(editor), ['Added text', 'Changed fill']);
+  assert.strictEqual(await editor.undo(), true);
+  assert.strictEqual(editor.canvas.getObjects()[0], text);
+  assert.strictEqual(text.left, 50);
+  assert.notStrictEqual(text.fill, 'red');
+
+  await editor.redo();
+  assert.strictEqual(editor.canvas.getObjects()[0], text);
+  assert.strictEqual(text.left, 200);
+  assert.strictEqual(text.fill, 'red');
+  assert.strictEqual(await editor.redo(), false);
+});
+
+test('undo removes properties the change added', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window, { customProperties: ['name'], history: { depth: 100, maxBytes: 1e9, coalesceWindow: 0 } });
+  const text = await editor.addText('hello');
+  change(editor, text, { name: 'title' });
+  await editor.undo();
+  assert.strictEqual(text.name, undefined);
+  assert.ok(!('name' in text.toObject(['name'])));
+  await editor.redo();
+  assert.strictEqual(text.name, 'title');
+
+  // objects with a new gradient are recreated
+  const heading = await editor.addText('heading');
+  // fabric clones only arrays of its own window
+  const gradient = (color) => new window.fabric.Gradient(window.JSON.parse(JSON.stringify({
+    type: 'linear',
+    coords: { x1: 0, y1: 0, x2: 10, y2: 0 },
+    colorStops: [{ offset: 0, color }, { offset: 1, color: 'blue' }]
+  })));
+  change(editor, heading, { fill: gradient('red') });
+  change(editor, heading, { name: 'heading', fill: gradient('green') });
+  await editor.undo();
+  assert.notStrictEqual(editor.getObjectById(heading.id), heading);
+  assert.strictEqual(editor.getObjectById(heading.id).name, undefined);
+});
+
+test('removed objects come back on undo', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const text = await editor.addText('hello');
+  await editor.removeObject(text.id);
+  assert.strictEqual(editor.canvas.getObjects().length, 0);
+
+  await editor.undo();
+  assert.deepStrictEqual(Array.from(editor.canvas.getObjects(), object => [object.id, object.text]), [[text.id, 'hello']]);
+});
+
+test('steps store property diffs and share image sources', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window, { history: { depth: 100, maxBytes: 1e9, coalesceWindow: 0 } });
+  const image = new window.fabric.Image(window.document.createElement('img'), { left: 0, top: 0 });
+  image.getSrc = () => 'data:image/png;base64,' + 'A'.repeat(5000);
+  editor.canvas.add(image);
+  editor.canvas.trigger('object:modified', { target: image });
+  for (let i = 1; i <= 3; i++) change(editor, image, { left: i * 10, angle: i });
+
+  let entries = editor.getHistory().entries;
+  assert.strictEqual(entries.length, 4);
+  assert.strictEqual(editor.historyState.assets.size, 1);
+  entries.slice(1).forEach(entry => assert.ok(entry.size < 1000, `step of ${entry.size} bytes contains the image`));
+});
+
+test('history keeps at most depth steps', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window, { history: { depth: 3, maxBytes: 1e9, coalesceWindow: 0 } });
+  const text = await editor.addText('hello');
+  for (let i = 1; i <= 5; i++) change(editor, text, { angle: i * 10 });
+
+  assert.strictEqual(editor.getHistory().entries.length, 3);
+  await editor.undo();
+  await editor.undo();
+  await editor.undo();
+  assert.strictEqual(text.angle, 20);
+  assert.strictEqual(await editor.undo(), false);
+});
+
+test('bursts of the same change are merged into one step', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const text = await editor.addText('hello', { left: 50, top: 50 });
+  editor.canvas.setActiveObject(text);
+  const key = (name) => window.document.dispatchEvent(new window.KeyboardEvent('keydown', { key: name, bubbles: true }));
+  for (let i = 0; i < 10; i++) key('ArrowRight');
+  key('ArrowDown');
+  for (let i = 0; i < 5; i++) change(editor, text, { fill: `#00000${i}` });
+
+  assert.deepStrictEqual(labels(editor), ['Added text', 'Moved text', 'Changed fill']);
+  await editor.undo();
+  await editor.undo();
+  assert.deepStrictEqual([text.left, text.top], [50, 50]);
+});
+
+test('changes of a different kind are not merged', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const text = await editor.addText('hello');
+  change(editor, text, { fill: 'red' });
+  change(editor, text, { angle: 45 });
+
+  assert.deepStrictEqual(labels(editor), ['Added text', 'Changed fill', 'Rotated text']);
+});
+
+test('a transaction is undone as one step', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const text = await editor.addText('hello', { left: 50 });
+  await editor.historyTransaction(async () => {
+    await editor.addText('a');
+    await editor.addText('b');
+    change(editor, text, { left: 0 });
+  }, 'Applied template');
+
+  assert.deepStrictEqual(labels(editor), ['Added text', 'Applied template']);
+  await editor.undo();
+  assert.strictEqual(editor.canvas.getObjects().length, 1);
+  assert.strictEqual(text.left, 50);
+});
+
+test('nested transactions record when the outer one ends', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  editor.beginHistoryTransaction('Outer');
+  editor.beginHistoryTransaction('Inner');
+  await editor.addText('a');
+  await editor.endHistoryTransaction();
+  assert.strictEqual(editor.getHistory().entries.length, 0);
+  await editor.addText('b');
+  await editor.endHistoryTransaction();
+
+  assert.deepStrictEqual(labels(editor), ['Outer']);
+});
+
+test('a change after undo keeps the undone steps as a branch', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const text = await editor.addText('hello');
+  change(editor, text, { fill: 'red' });
+  await editor.undo();
+  change(editor, text, { angle: 30 });
+
+  let history = editor.getHistory();
+  assert.deepStrictEqual(labels(editor), ['Added text', 'Rotated text']);
+  assert.deepStrictEqual(Array.from(history.branches, branch => [branch.at, branch.label]), [[1, 'Changed fill']]);
+
+  await editor.switchHistoryBranch(0);
+  assert.strictEqual(text.fill, 'red');
+  assert.strictEqual(text.angle, 0);
+  await editor.jumpToHistory(1);
+  assert.notStrictEqual(text.fill, 'red');
+});
+
+test('canvas size and background are undoable', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  await editor.setCanvasSize(400, 300);
+  await editor.setBackground('#ff0000');
+  await editor.undo();
+  assert.strictEqual(editor.canvas.backgroundColor, '');
+  await editor.undo();
+  assert.deepStrictEqual([editor.canvas.originalW, editor.canvas.originalH], [800, 600]);
+});
+
+test('gradient fills and print settings are undoable', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  await editor.setBackground({ type: 'linear', angle: 90, colorStops: [{ offset: 0, color: 'red' }, { offset: 1, color: 'blue' }] });
+  assert.strictEqual(editor.canvas.backgroundColor.type, 'linear');
+
+  // the gradient of the selection panel
+  const text = await editor.addText('hello', { fill: 'black' });
+  editor.canvas.setActiveObject(text);
+  editor.setActiveSelection(text);
+  window.jQuery('.toolpanel.select-panel .select-orientation').val('radial').change();
+  assert.strictEqual(text.fill.type, 'radial');
+
+  editor.setPrintSettings({ unit: 'mm', dpi: 150 });
+  assert.deepStrictEqual(labels(editor), ['Changed background', 'Added text', 'Changed fill', 'Changed print size']);
+
+  await editor.undo();
+  assert.deepStrictEqual({ ...editor.getPrintSettings() }, { unit: 'px', dpi: 300 });
+  await editor.undo();
+  assert.strictEqual(editor.getObjectById(text.id).fill, 'black');
+  await editor.undo();
+  await editor.undo();
+  assert.strictEqual(editor.canvas.backgroundColor, '');
+
+  await editor.redo();
+  assert.strictEqual(editor.canvas.backgroundColor.type, 'linear');
+  await editor.redo();
+  await editor.redo();
+  assert.strictEqual(editor.getObjectById(text.id).fill.type, 'radial');
+  await editor.redo();
+  assert.deepStrictEqual({ ...editor.getPrintSettings() }, { unit: 'mm', dpi: 150 });
+});
+
+test('a change serializes only the modified objects', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window, { history: { depth: 100, maxBytes: 1e9, coalesceWindow: 0 } });
+  const first = await editor.addText('first');
+  const second = await editor.addText('second');
+  let serialized = [];
+  [first, second].forEach(object => {
+    const toObject = object.toObject;
+    object.toObject = function (...args) {
+      serialized.push(this.text);
+      return toObject.apply(this, args);
+    };
+  });
+
+  change(editor, second, { angle: 10 });
+  assert.deepStrictEqual(serialized, ['second']);
+  serialized = [];
+  await editor.undo();
+  assert.deepStrictEqual(serialized, ['second']);
+  assert.strictEqual(second.angle, 0);
+});
+
+test('objects moved in an active selection are recorded at their canvas position', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const a = await editor.addText('a', { left: 10, top: 10 });
+  const b = await editor.addText('b', { left: 100, top: 10 });
+  const selection = new window.fabric.ActiveSelection([a, b], { canvas: editor.canvas });
+  editor.canvas.setActiveObject(selection);
+  change(editor, selection, { left: selection.left + 50 });
+
+  assert.strictEqual(labels(editor).pop(), 'Moved 2 objects');
+  editor.canvas.discardActiveObject();
+  assert.deepStrictEqual([a.left, b.left], [60, 150]);
+  await editor.undo();
+  assert.deepStrictEqual([a.left, b.left], [10, 100]);
+});
+
+test('the state of the change event is built when it is read', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const text = await editor.addText('hello');
+  let payload = null;
+  editor.on('change', event => payload = event);
+  const getCanvasJSON = editor.getCanvasJSON;
+  let calls = 0;
+  editor.getCanvasJSON = () => {
+    calls++;
+    return getCanvasJSON();
+  };
+
+  change(editor, text, { fill: 'red' });
+  assert.strictEqual(payload.target, text);
+  assert.strictEqual(calls, 0);
+  assert.strictEqual(payload.state.objects[0].fill, 'red');
+  assert.strictEqual(payload.state, payload.state);
+  assert.strictEqual(calls, 1);
+});
+
+test('the history panel shows labels as text', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  await editor.addText('hello');
+  editor.beginHistoryTransaction('<img src=x onerror=alert(1)>');
+  await editor.addText('b');
+  await editor.endHistoryTransaction();
+  editor.toggleHistoryPanel(true);
+
+  const items = window.document.querySelectorAll('.history-panel .history-item');
+  assert.strictEqual(items[items.length - 1].textContent, '<img src=x onerror=alert(1)>');
+  assert.strictEqual(window.document.querySelector('.history-panel img'), null);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEditor } = require('./helpers/editor');
+
+const bytes = (...parts) => parts.flatMap(part => typeof part === 'string' ? Array.from(Buffer.from(part, 'latin1')) : part);
+
+// 2x1 jpeg with EXIF orientation 6, shown as 1x2 when the orientation is applied
+const rotatedJPEG = bytes(
+  [0xff, 0xd8, 0xff, 0xe1, 0, 34], 'Exif\0\0', 'II', [0x2a, 0, 8, 0, 0, 0],
+  [1, 0, 0x12, 0x01, 3, 0, 1, 0, 0, 0, 6, 0, 0, 0, 0, 0, 0, 0],
+  [0xff, 0xda, 0, 2]
+);
+
+/**
+ * Load the editor with images that decode to 40x30 unless their data contains 'broken',
+ * the orientation probe of the editor decodes to 2x1 like in browsers that don't apply EXIF orientation
+ */
+const setup = () => {
+  const window = loadEditor({
+    images: (src) => {
+      let data = src.startsWith('data:') ? Buffer.from(src.split(',')[1], 'base64').toString('latin1') : '';
+      if (data.includes('broken')) return null;
+      if (data.includes('Exif')) return { width: 2, height: 1 };
+      return { width: 40, height: 30 };
+    }
+  });
+  const drawn = [];
+  window.HTMLCanvasElement.prototype.toDataURL = function (type = 'image/png') {
+    drawn.push({ type, width: this.width, height: this.height });
+    return `data:${type};base64,AAAA`;
+  };
+  const file = (content, name, type = '') => new window.File([new Uint8Array(content)], name, { type });
+  return { read: window.ImageEditor.readImageFile, file, drawn };
+}
+
+const rejection = (promise) => promise.then(() => assert.fail('the file was accepted'), error => error);
+
+test('formats browsers can\'t open are rejected with an explanation', async () => {
+  const { read, file } = setup();
+  const heic = await rejection(read(file(bytes([0, 0, 0, 0x18], 'ftypheic', [0, 0]), 'IMG_1.HEIC')));
+  assert.strictEqual(heic.name, 'ImageFormatError');
+  assert.strictEqual(heic.format, 'heic');
+  assert.match(heic.message, /^IMG_1\.HEIC is a HEIC photo/);
+
+  const pdf = await rejection(read(file(bytes('%PDF-1.4'), 'doc.pdf', 'application/pdf')));
+  assert.strictEqual(pdf.format, 'pdf');
+
+  const text = await rejection(read(file(bytes('hello world'), 'notes.txt', 'text/plain')));
+  assert.strictEqual(text.name, 'ImageFormatError');
+  assert.strictEqual(text.format, null);
+  assert.match(text.message, /supported formats are JPG, PNG, GIF, WebP, BMP, ICO or SVG/);
+});
+
+test('the format comes from the content, not the file type', async () => {
+  const { read, file } = setup();
+  const svg = await read(file(bytes('<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg"></svg>'), 'a.svg'));
+  assert.strictEqual(svg.format, 'svg');
+  assert.match(svg.svg, /<svg/);
+
+  const webp = await read(file(bytes('RIFF', [0, 0, 0, 0], 'WEBPVP8 '), 'photo.png', 'image/png'));
+  assert.strictEqual(webp.format, 'webp');
+  assert.match(webp.url, /^data:image\/webp;/);
+
+  const png = await read(file(bytes([0x89], 'PNG', [0x0d, 0x0a]), 'image'));
+  assert.strictEqual(png.format, 'png');
+  assert.match(png.url, /^data:image\/png;/);
+});
+
+test('GIF, BMP and ICO files are converted to PNG', async () => {
+  const { read, file, drawn } = setup();
+  for (const [content, format] of [[bytes('GIF89a'), 'gif'], [bytes('BM....'), 'bmp'], [[0, 0, 1, 0, 1, 0], 'ico']]) {
+    drawn.length = 0;
+    const image = await read(file(content, `image.${format}`));
+    assert.strictEqual(image.format, format);
+    assert.deepStrictEqual(drawn.map(canvas => canvas.type), ['image/png']);
+    assert.strictEqual(image.url, 'data:image/png;base64,AAAA');
+  }
+});
+
+test('JPG photos are turned by their EXIF orientation', async () => {
+  const { read, file, drawn } = setup();
+  const image = await read(file(rotatedJPEG, 'photo.jpg', 'image/jpeg'));
+  assert.strictEqual(image.format, 'jpeg');
+  // the last canvas is the turned photo, 2x1 becomes 1x2
+  assert.deepStrictEqual(drawn[drawn.length - 1], { type: 'image/jpeg', width: 1, height: 2 });
+});
+
+test('damaged images are rejected', async () => {
+  const { read, file } = setup();
+  const error = await rejection(read(file(bytes([0x89], 'PNG', 'broken'), 'bad.png', 'image/png')));
+  assert.strictEqual(error.name, 'ImageFormatError');
+  assert.match(error.message, /^bad\.png can't be opened, the PNG file is damaged/);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEditor, createEditor } = require('./helpers/editor');
+
+const mm = (value, dpi) => value / 25.4 * dpi;
+
+// png with an IHDR and an IEND chunk, the checksums aren't read
+const emptyPNG = () => {
+  const bytes = Buffer.alloc(8 + 25 + 12);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(bytes);
+  bytes.writeUInt32BE(13, 8);
+  bytes.write('IHDR', 12, 'latin1');
+  bytes.writeUInt32BE(0, 33);
+  bytes.write('IEND', 37, 'latin1');
+  return `data:image/png;base64,${bytes.toString('base64')}`;
+}
+
+// blobs of jsdom have no arrayBuffer()
+const readBlob = (window, blob) => new Promise(resolve => {
+  const reader = new window.FileReader();
+  reader.onload = () => resolve(Buffer.from(reader.result));
+  reader.readAsArrayBuffer(blob);
+});
+
+/**
+ * Record the lines, circles and images drawn on the print sheet, the sheet is the canvas encoded to png
+ */
+const recordSheet = (window) => {
+  const drawn = new Map();
+  const sheet = {};
+  window.HTMLCanvasElement.prototype.getContext = function () {
+    const calls = drawn.get(this) || [];
+    drawn.set(this, calls);
+    const context = new Proxy({}, {
+      get: (target, key) => {
+        if (key in target) return target[key];
+        if (key === 'measureText') return (text) => ({ width: String(text).length * 7 });
+        if (key === 'canvas') return undefined;
+        return (...args) => {
+          calls.push([key, ...args]);
+          return context;
+        };
+      }
+    });
+    return context;
+  };
+  window.HTMLCanvasElement.prototype.toDataURL = function () {
+    let calls = drawn.get(this) || [];
+    let lines = [];
+    calls.forEach(([name, ...args], index) => {
+      if (name === 'moveTo' && calls[index + 1][0] === 'lineTo') lines.push([...args, ...calls[index + 1].slice(1)]);
+    });
+    Object.assign(sheet, {
+      width: this.width,
+      height: this.height,
+      lines,
+      circles: calls.filter(([name]) => name === 'arc').map(([, x, y, radius]) => [x, y, radius]),
+      images: calls.filter(([name]) => name === 'drawImage').map(([, image, x, y]) => ({ x, y, width: image.width, height: image.height }))
+    });
+    return emptyPNG();
+  };
+  return sheet;
+}
+
+test('the print sheet has the bleed around the design and the marks outside of it', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window, { print: { unit: 'mm', dpi: 300, bleed: 3, marks: true, minImageDPI: 150 } });
+  const sheet = recordSheet(window);
+  const { width, height, mimeType } = await editor.exportPrint({ format: 'png' });
+
+  const bleed = mm(3, 300);
+  const margin = bleed + mm(2 + 5, 300);
+  assert.strictEqual(mimeType, 'image/png');
+  assert.deepStrictEqual([width, height], [Math.round(800 + 2 * margin), Math.round(600 + 2 * margin)]);
+  assert.deepStrictEqual([sheet.width, sheet.height], [width, height]);
+
+  // the design with its bleed is drawn where the bleed box starts
+  const [content] = sheet.images;
+  assert.deepStrictEqual([content.x, content.y], [margin - bleed, margin - bleed]);
+  assert.deepStrictEqual([content.width, content.height], [Math.floor(800 + 2 * bleed), Math.floor(600 + 2 * bleed)]);
+
+  // 8 crop marks and a cross in each of the 4 registration marks
+  assert.strictEqual(sheet.lines.length, 16);
+  assert.strictEqual(sheet.circles.length, 4);
+  const box = { left: margin - bleed, top: margin - bleed, right: margin + 800 + bleed, bottom: margin + 600 + bleed };
+  const outside = (x, y) => x <= box.left || x >= box.right || y <= box.top || y >= box.bottom;
+  sheet.lines.forEach(([x1, y1, x2, y2]) => {
+    assert.ok(outside(x1, y1) && outside(x2, y2) && outside((x1 + x2) / 2, (y1 + y2) / 2), `line ${[x1, y1, x2, y2]} is inside the bleed`);
+    // the sheet size is rounded to whole pixels
+    assert.ok(Math.min(x1, x2) > -0.5 && Math.max(x1, x2) < width + 0.5 && Math.min(y1, y2) > -0.5 && Math.max(y1, y2) < height + 0.5);
+  });
+  // crop marks continue the trim box edges
+  const cropLines = sheet.lines.slice(0, 8);
+  assert.ok(cropLines.every(([x1, y1, x2, y2]) => (y1 === y2 && [margin, margin + 600].includes(y1)) || (x1 === x2 && [margin, margin + 800].includes(x1))));
+});
+
+test('print pngs have the print resolution and no marks if they are turned off', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  editor.setPrintSettings({ unit: 'in', dpi: 150 });
+  const sheet = recordSheet(window);
+  const { blob, width, height } = await editor.exportPrint({ format: 'png', bleed: 0, marks: false });
+
+  assert.deepStrictEqual([width, height], [800, 600]);
+  assert.deepStrictEqual([sheet.lines, sheet.circles], [[], []]);
+
+  // the pHYs chunk follows the IHDR chunk with the dpi in pixels per meter
+  const bytes = await readBlob(window, blob);
+  assert.strictEqual(bytes.toString('latin1', 37, 41), 'pHYs');
+  assert.strictEqual(bytes.readUInt32BE(41), Math.round(150 / 25.4 * 1000));
+  assert.strictEqual(bytes.readUInt32BE(45), Math.round(150 / 25.4 * 1000));
+  assert.strictEqual(bytes[49], 1);
+  assert.strictEqual(bytes.toString('latin1', 58, 62), 'IEND');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEditor, createEditor, sleep } = require('./helpers/editor');
+
+const canvasJSON = {
+  version: '3.6.3',
+  objects: [{ type: 'rect', left: 10, top: 20, width: 30, height: 40, fill: 'red' }]
+};
+
+test('canvas json saved before project files existed is upgraded', () => {
+  const { ImageEditor } = loadEditor();
+  // parsed in the editor window, objects have its prototypes
+  const project = JSON.parse(JSON.stringify(ImageEditor.migrateProject(JSON.stringify(canvasJSON))));
+  assert.strictEqual(project.format, 'image-editor-project');
+  assert.strictEqual(project.version, ImageEditor.projectVersion);
+  assert.deepStrictEqual(project.scene, canvasJSON);
+  assert.deepStrictEqual(project.assets, {});
+});
+
+test('projects of the current version are kept', () => {
+  const { ImageEditor } = loadEditor();
+  const project = {
+    format: 'image-editor-project',
+    version: ImageEditor.projectVersion,
+    metadata: { name: 'Poster' },
+    canvas: { width: 300, height: 200, zoom: 1, backgroundGradient: null },
+    scene: canvasJSON,
+    assets: {}
+  };
+  assert.strictEqual(ImageEditor.migrateProject(project), project);
+});
+
+test('files of other apps and newer versions are rejected', () => {
+  const { ImageEditor } = loadEditor();
+  assert.throws(() => ImageEditor.migrateProject({ hello: 'world' }), { message: 'not an image editor project' });
+  assert.throws(() => ImageEditor.migrateProject({ format: 'image-editor-project', version: 'x' }), { message: 'not an image editor project' });
+  assert.throws(() => ImageEditor.migrateProject({ format: 'image-editor-project', version: ImageEditor.projectVersion + 1 }), {
+    message: /saved by a newer version/
+  });
+});
+
+test('migrations have to upgrade the version', () => {
+  const { ImageEditor } = loadEditor();
+  ImageEditor.projectMigrations[0] = (json) => ({ version: 0, scene: json });
+  assert.throws(() => ImageEditor.migrateProject(canvasJSON), { message: /didn't upgrade the version/ });
+  delete ImageEditor.projectMigrations[0];
+  assert.throws(() => ImageEditor.migrateProject(canvasJSON), { message: "can't upgrade project version 0" });
+});
+
+test('a saved project loads the same design again', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  editor.resizeCanvas(400, 300);
+  await editor.addText('hello', { left: 50, top: 60 });
+
+  const project = JSON.parse(JSON.stringify(await editor.getProject()));
+  assert.strictEqual(project.canvas.width, 400);
+  assert.strictEqual(project.canvas.height, 300);
+
+  const other = await createEditor(loadEditor());
+  await other.loadProject(project);
+  const [text] = other.canvas.getObjects();
+  assert.strictEqual(other.canvas.getObjects().length, 1);
+  assert.strictEqual(text.text, 'hello');
+  assert.strictEqual(text.left, 50);
+  assert.strictEqual(other.canvas.originalW, 400);
+  assert.strictEqual(other.canvas.originalH, 300);
+  assert.strictEqual(other.getHistory().entries.length, 0);
+});
+
+test('a project file that can\'t be saved is reported to the user', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const errors = [];
+  editor.on('error', (event) => errors.push(event.message));
+  editor.getProject = () => Promise.reject(new Error('an image can\'t be embedded'));
+
+  window.document.querySelector('.toolbar .extended-buttons button[data-name="save-file"]').click();
+  await sleep(10);
+  const notification = window.document.querySelector('.notification.error');
+  assert.strictEqual(notification.textContent, 'Can\'t save the project file: an image can\'t be embedded');
+  assert.deepStrictEqual(errors, ["can't save project file"]);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { loadEditor, createEditor, sleep } = require('./helpers/editor');
+
+/**
+ * Start a server keeping records in memory with a version checked by If-Match,
+ * handlers of `server.next` answer the next requests instead
+ */
+const startServer = () => new Promise(resolve => {
+  const records = {};
+  const requests = [];
+  const state = { records, requests, next: [], offline: false };
+
+  const server = http.createServer((req, res) => {
+    if (state.offline) return req.socket.destroy();
+    let body = '';
+    req.on('data', chunk => body += chunk).on('end', () => {
+      const id = decodeURIComponent(req.url.replace(/^\/designs\/?/, ''));
+      requests.push({ method: req.method, id, ifMatch: req.headers['if-match'] });
+      const send = (status, data, headers = {}) => {
+        res.writeHead(status, data === undefined ? headers : { 'Content-Type': 'application/json', ...headers });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+      if (state.next.length) return state.next.shift()(req, res, send);
+
+      const record = records[id];
+      if (req.method === 'GET' && !id) return send(200, Object.values(records).map(({ data }) => data));
+      if (req.method === 'GET') return record ? send(200, record.data, { ETag: `"${record.version}"` }) : send(404);
+      if (req.method === 'PUT') {
+        if (record && req.headers['if-match'] && req.headers['if-match'] !== `"${record.version}"`) return send(412);
+        const version = record ? record.version + 1 : 1;
+        records[id] = { version, data: JSON.parse(body) };
+        return send(200, { version: `"${version}"` });
+      }
+      if (req.method === 'DELETE') {
+        delete records[id];
+        return send(204);
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    state.url = `http://127.0.0.1:${server.address().port}/designs`;
+    state.close = () => new Promise(done => server.close(done));
+    resolve(state);
+  });
+});
+
+const record = (id, name = 'Poster') => ({ id, name, modified: 1, state: { version: '3.6.3', objects: [] } });
+
+const setup = async (t, options = {}) => {
+  const server = await startServer();
+  t.after(server.close);
+  const window = loadEditor();
+  const storage = window.ImageEditor.storage.rest({
+    baseUrl: server.url,
+    fetch,
+    retry: { attempts: 3, delay: 5 },
+    ...options
+  });
+  t.after(storage.dispose);
+  return { server, window, storage };
+}
+
+test('failed requests are retried with a doubled delay', async (t) => {
+  const { server, storage } = await setup(t);
+  server.next.push((req, res, send) => send(503), (req, res, send) => send(502));
+  await storage.put(record('a'));
+  assert.deepStrictEqual(server.requests.map(request => request.method), ['PUT', 'PUT', 'PUT']);
+  assert.strictEqual(server.records.a.version, 1);
+
+  server.next.push((req, res, send) => send(503), (req, res, send) => send(503), (req, res, send) => send(503));
+  const error = await storage.get('a').catch(error => error);
+  assert.strictEqual(error.name, 'StorageRequestError');
+  assert.strictEqual(error.status, 503);
+});
+
+test('a record changed by someone else is a conflict unless it is forced', async (t) => {
+  const { server, storage } = await setup(t);
+  await storage.put(record('a'));
+  // the version of the response is used by the next write
+  await storage.put(record('a'));
+  assert.strictEqual(server.records.a.version, 2);
+  assert.strictEqual(server.requests[1].ifMatch, '"1"');
+
+  server.records.a.version = 7;
+  const error = await storage.put(record('a')).catch(error => error);
+  assert.strictEqual(error.name, 'ConflictError');
+  assert.strictEqual(error.status, 412);
+  assert.strictEqual(server.records.a.version, 7);
+
+  await storage.put(record('a', 'Mine'), { force: true });
+  assert.strictEqual(server.requests[server.requests.length - 1].ifMatch, undefined);
+  assert.strictEqual(server.records.a.data.name, 'Mine');
+
+  // versions of get are checked as well
+  await storage.get('a');
+  server.records.a.version = 20;
+  assert.strictEqual((await storage.put(record('a')).catch(error => error)).name, 'ConflictError');
+});
+
+test('a save without version in the response ends the version check', async (t) => {
+  const { server, storage } = await setup(t);
+  await storage.put(record('a'));
+  server.next.push((req, res, send) => send(204));
+  await storage.put(record('a'));
+  await storage.put(record('a'));
+  assert.deepStrictEqual(server.requests.map(request => request.ifMatch), [undefined, '"1"', undefined]);
+});
+
+test('saves with a response that is no json succeed', async (t) => {
+  const { server, storage } = await setup(t);
+  server.next.push((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<p>saved</p>');
+  }, (req, res) => {
+    res.writeHead(201, { 'Content-Type': 'application/json' });
+    res.end('saved');
+  });
+  await storage.put(record('a'));
+  await storage.put(record('b'));
+  assert.strictEqual(storage.pendingWrites(), 0);
+
+  server.next.push((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"id":');
+  });
+  const error = await storage.get('a').catch(error => error);
+  assert.strictEqual(error.name, 'StorageRequestError');
+});
+
+test('writes failing offline are sent when the browser is back online', async (t) => {
+  const { server, window, storage } = await setup(t);
+  server.offline = true;
+  const error = await storage.put(record('a')).catch(error => error);
+  assert.strictEqual(error.name, 'OfflineError');
+  assert.strictEqual(error.queued, true);
+  assert.strictEqual(storage.pendingWrites(), 1);
+
+  server.offline = false;
+  window.dispatchEvent(new window.Event('online'));
+  await sleep(100);
+  assert.strictEqual(storage.pendingWrites(), 0);
+  assert.strictEqual(server.records.a.data.name, 'Poster');
+});
+
+test('editors sharing an adapter leave its online listener to the app', async (t) => {
+  const { server, window, storage } = await setup(t);
+  const editor = await createEditor(window, { storage });
+  server.offline = true;
+  await storage.put(record('a')).catch(() => {});
+  editor.destroy();
+
+  server.offline = false;
+  window.dispatchEvent(new window.Event('online'));
+  await sleep(100);
+  assert.strictEqual(storage.pendingWrites(), 0);
+  assert.strictEqual(server.records.a.data.name, 'Poster');
+
+  server.offline = true;
+  await storage.put(record('b')).catch(() => {});
+  storage.dispose();
+  server.offline = false;
+  window.dispatchEvent(new window.Event('online'));
+  await sleep(100);
+  assert.strictEqual(storage.pendingWrites(), 1);
+  assert.strictEqual(server.records.b, undefined);
+});
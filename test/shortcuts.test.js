@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEditor, createEditor } = require('./helpers/editor');
+
+const press = (window, key, modifiers = {}, target = window.document) => {
+  const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers });
+  target.dispatchEvent(event);
+  return event;
+}
+
+test('bindings run their action and can be remapped', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window, { shortcuts: { redo: 'Alt+R', zoomReset: null } });
+  const text = await editor.addText('hello');
+
+  editor.setActiveTool('draw');
+  press(window, 'v');
+  assert.strictEqual(editor.activeTool, 'select');
+
+  editor.canvas.setActiveObject(text);
+  const left = text.left;
+  const nudged = press(window, 'ArrowRight');
+  assert.ok(nudged.defaultPrevented);
+  assert.strictEqual(text.left, left + 1);
+  // letters and named keys need the exact modifiers
+  press(window, 'ArrowRight', { shiftKey: true });
+  assert.strictEqual(text.left, left + 1);
+
+  press(window, 'Backspace');
+  assert.strictEqual(editor.canvas.getObjects().length, 0);
+
+  press(window, 'z', { ctrlKey: true });
+  await editor.historyState.queue;
+  assert.strictEqual(editor.canvas.getObjects().length, 1);
+  press(window, 'y', { ctrlKey: true });
+  await editor.historyState.queue;
+  assert.strictEqual(editor.canvas.getObjects().length, 1);
+  press(window, 'r', { altKey: true });
+  await editor.historyState.queue;
+  assert.strictEqual(editor.canvas.getObjects().length, 0);
+
+  // an action without bindings leaves the keys to the browser
+  editor.applyZoom(2);
+  assert.strictEqual(press(window, '0', { ctrlKey: true }).defaultPrevented, false);
+  assert.strictEqual(editor.canvas.getZoom(), 2);
+  assert.deepStrictEqual(Array.from(editor.getShortcuts().find(shortcut => shortcut.name === 'redo').keys), ['Alt+R']);
+  assert.throws(() => editor.setShortcut('undo', 'Ctrl+'), window.TypeError);
+});
+
+test('Mod is Cmd on Mac and Ctrl elsewhere', async () => {
+  const mac = loadEditor({ platform: 'MacIntel' });
+  const macEditor = await createEditor(mac);
+  assert.strictEqual(mac.ImageEditor.formatShortcut('Shift+Mod+Z'), '⇧⌘Z');
+  assert.ok(press(mac, '0', { metaKey: true }).defaultPrevented);
+  assert.ok(press(mac, '0', { ctrlKey: true }).defaultPrevented);
+  assert.ok(!press(mac, '0', { altKey: true }).defaultPrevented);
+  assert.strictEqual(macEditor.canvas.getZoom(), 1);
+
+  const windows = loadEditor({ platform: 'Win32' });
+  await createEditor(windows);
+  assert.strictEqual(windows.ImageEditor.formatShortcut('Shift+Mod+Z'), 'Ctrl+Shift+Z');
+  assert.ok(press(windows, '0', { ctrlKey: true }).defaultPrevented);
+  assert.ok(!press(windows, '0', { metaKey: true }).defaultPrevented);
+});
+
+test('shortcuts are left to inputs while typing', async () => {
+  const window = loadEditor();
+  const editor = await createEditor(window);
+  const text = await editor.addText('hello');
+  editor.canvas.setActiveObject(text);
+
+  const input = window.document.querySelector('#image-editor-container input');
+  input.focus();
+  assert.ok(!press(window, 'Delete', {}, input).defaultPrevented);
+  assert.ok(!press(window, 'v', {}, input).defaultPrevented);
+  assert.strictEqual(editor.canvas.getObjects().length, 1);
+
+  // zoom keys work in inputs as well
+  editor.applyZoom(2);
+  assert.ok(press(window, '0', { ctrlKey: true }, input).defaultPrevented);
+  assert.strictEqual(editor.canvas.getZoom(), 1);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEditor, createEditor, sleep } = require('./helpers/editor');
+
+const rect = (width) => ({ type: 'rect', width, height: width });
+
+const scene = (...objects) => ({ version: '3.6.3', objects });
+
+test('designs saved in localStorage move into IndexedDB', async () => {
+  const window = loadEditor({ indexedDB: true });
+  const storage = window.localStorage;
+  storage.setItem('canvasEditor:documents', JSON.stringify({
+    documents: [{ id: 'd1', name: 'Poster', modified: 1, width: 300, height: 200 }],
+    lastOpened: 'd1'
+  }));
+  storage.setItem('canvasEditor:document:d1', JSON.stringify(scene(rect(10))));
+  storage.setItem('canvasEditor:draft:d1', JSON.stringify(scene(rect(10), rect(5))));
+
+  const editor = await createEditor(window);
+
+  const records = await editor.storage.list();
+  assert.deepStrictEqual(records.map(record => record.id).sort(), ['d1', 'draft:d1']);
+  assert.strictEqual((await editor.storage.get('d1')).state.objects.length, 1);
+  assert.strictEqual((await editor.storage.get('draft:d1')).state.objects.length, 2);
+
+  // the last opened document is shown and its draft is offered
+  assert.strictEqual(editor.currentDocument.name, 'Poster');
+  assert.strictEqual(editor.canvas.getObjects().length, 1);
+  assert.ok(window.document.querySelector('.recovery-prompt'));
+
+  assert.strictEqual(storage.getItem('canvasEditor:documents'), null);
+  assert.strictEqual(storage.getItem('canvasEditor:document:d1'), null);
+  assert.strictEqual(storage.getItem('canvasEditor:draft:d1'), null);
+  assert.deepStrictEqual(JSON.parse(storage.getItem('canvasEditor:lastOpened')), { id: 'd1' });
+});
+
+test('a design saved before documents existed becomes an untitled design', async () => {
+  const window = loadEditor({ indexedDB: true });
+  window.localStorage.setItem('canvasEditor', JSON.stringify(scene(rect(10), rect(20))));
+
+  const editor = await createEditor(window);
+
+  const records = await editor.storage.list();
+  assert.strictEqual(records.length, 1);
+  assert.strictEqual(records[0].name, 'Untitled design');
+  assert.strictEqual(editor.currentDocument.id, records[0].id);
+  assert.strictEqual(editor.canvas.getObjects().length, 2);
+  assert.strictEqual(window.localStorage.getItem('canvasEditor'), null);
+});
+
+test('equal images are stored once and removed with the last record using them', async () => {
+  const window = loadEditor({ indexedDB: true });
+  const editor = await createEditor(window);
+  const src = 'data:image/png;base64,iVBORw0KGgo=';
+  const image = { type: 'image', src };
+
+  await editor.storage.put({ id: 'a', name: 'A', modified: 1, state: scene(image, image) });
+  await editor.storage.put({ id: 'b', name: 'B', modified: 2, state: scene(image) });
+
+  const countAssets = () => new Promise((resolve, reject) => {
+    const request = window.indexedDB.open('canvasEditor');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const count = request.result.transaction('assets').objectStore('assets').count();
+      count.onsuccess = () => {
+        request.result.close();
+        resolve(count.result);
+      };
+    };
+  });
+  assert.strictEqual(await countAssets(), 1);
+
+  const record = await editor.storage.get('a');
+  assert.deepStrictEqual(Array.from(record.state.objects, object => object.src), [src, src]);
+
+  await editor.storage.delete('a');
+  assert.strictEqual(await countAssets(), 1);
+  await editor.storage.delete('b');
+  assert.strictEqual(await countAssets(), 0);
+});
+
+test('the editor is blocked until the last design is loaded', async () => {
+  const window = loadEditor({ indexedDB: true });
+  const first = await createEditor(window);
+  await first.addText('saved');
+  await first.saveDocument('Poster');
+  first.destroy();
+
+  const editor = new window.ImageEditor('#image-editor-container', { autosave: { enabled: false } });
+  assert.strictEqual(editor.isFocused(), false);
+  assert.ok(window.document.querySelector('#image-editor-container').classList.contains('loading'));
+
+  assert.strictEqual(await editor.ready, editor);
+  assert.strictEqual(editor.isFocused(), true);
+  assert.ok(!window.document.querySelector('#image-editor-container').classList.contains('loading'));
+  assert.strictEqual(editor.currentDocument.name, 'Poster');
+  assert.strictEqual(editor.canvas.getObjects()[0].text, 'saved');
+});
+
+test('the draft of a design that was never saved is offered after the draft of the last design', async () => {
+  const window = loadEditor({ indexedDB: true });
+  const first = await createEditor(window);
+  await first.addText('saved');
+  await first.saveDocument('Poster');
+  const poster = first.currentDocument;
+  await first.storage.put({ id: `draft:${poster.id}`, name: 'Poster', modified: 2, state: scene(rect(10)) });
+  await first.storage.put({ id: 'draft:unsaved', name: 'Untitled design', modified: 3, state: scene(rect(20)) });
+  first.destroy();
+
+  const editor = await createEditor(window);
+  assert.strictEqual(editor.currentDocument.name, 'Poster');
+  const prompt = () => window.document.querySelector('.recovery-prompt');
+  assert.match(prompt().textContent, /"Poster" has unsaved changes/);
+
+  prompt().querySelector('.btn_discard-draft').click();
+  assert.match(prompt().textContent, /"Untitled design" has unsaved changes/);
+  prompt().querySelector('.btn_restore-draft').click();
+  await sleep(100);
+  assert.strictEqual(editor.currentDocument, null);
+  assert.strictEqual(editor.canvas.getObjects()[0].width, 20);
+});
+
+test('unsaved changes are kept when the tab is hidden and while editing goes on', async () => {
+  const window = loadEditor({ indexedDB: true });
+  const editor = await createEditor(window, { autosave: { enabled: true, delay: 60000, maxDelay: 60000 } });
+  await editor.addText('draft');
+  assert.strictEqual(await editor.storage.get('draft:unsaved'), null);
+
+  Object.defineProperty(window.document, 'visibilityState', { value: 'hidden', configurable: true });
+  window.document.dispatchEvent(new window.Event('visibilitychange'));
+  await sleep(100);
+  assert.strictEqual((await editor.storage.get('draft:unsaved')).state.objects.length, 1);
+  editor.destroy();
+
+  const other = await createEditor(loadEditor({ indexedDB: true }), { autosave: { enabled: true, delay: 100, maxDelay: 150 } });
+  for (let i = 0; i < 8; i++) {
+    await other.addText(`text ${i}`);
+    await sleep(50);
+  }
+  assert.ok((await other.storage.get('draft:unsaved')).state.objects.length > 0);
+  other.destroy();
+});
@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEditor, createEditor, sleep } = require('./helpers/editor');
+
+const dataURL = (type, content) => `data:${type};base64,${Buffer.from(content, 'latin1').toString('base64')}`;
+
+// png data with its pixel size as text, images load with that size
+const pngData = (width, height) => `\x89PNG\r\n\x1a\n ${width}x${height} `;
+
+const imageSize = (src) => {
+  let match = /(\d+)x(\d+)/.exec(Buffer.from(src.split(',')[1] || '', 'base64').toString('latin1'));
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+const pngFile = (window, width, height, size = 0) => {
+  let data = pngData(width, height);
+  return new window.File([new window.Uint8Array(Buffer.from(data.padEnd(size, ' '), 'latin1'))], `photo-${width}.png`, { type: 'image/png' });
+}
+
+/**
+ * Load the editor with images of the size in their data, canvases are encoded with their size
+ */
+const setup = async (upload, options = {}) => {
+  const window = loadEditor({ images: imageSize });
+  window.HTMLCanvasElement.prototype.toDataURL = function () {
+    return dataURL('image/png', pngData(this.width, this.height));
+  };
+  const editor = await createEditor(window, { ...options, upload: { ...upload } });
+  return { window, editor };
+}
+
+const uploadError = (promise) => promise.then(() => assert.fail('the upload was added'), error => {
+  assert.strictEqual(error.name, 'UploadError');
+  return error;
+});
+
+test('data urls are uploaded like files', async () => {
+  const window = loadEditor({ images: () => ({ width: 40, height: 30 }) });
+  const drawn = [];
+  window.HTMLCanvasElement.prototype.toDataURL = function (type = 'image/png') {
+    drawn.push(type);
+    return `data:${type};base64,AAAA`;
+  };
+  const editor = await createEditor(window, { upload: { maxFileSize: 20 } });
+  const uploads = [];
+  editor.on('upload', (event) => uploads.push(event));
+
+  // gif images are converted to png like gif files
+  const image = await editor.uploadImageFromURL(dataURL('image/gif', 'GIF89a'));
+  assert.strictEqual(image.type, 'image');
+  assert.ok(drawn.includes('image/png'));
+  assert.strictEqual(uploads[0].file.type, 'image/gif');
+
+  const error = await editor.uploadImageFromURL(dataURL('image/png', `\x89PNG\r\n${'x'.repeat(30)}`)).catch(error => error);
+  assert.strictEqual(error.name, 'UploadError');
+  assert.strictEqual(error.rule, 'maxFileSize');
+
+  const damaged = await editor.uploadImageFromURL('data:image/png;base64,%%%').catch(error => error);
+  assert.strictEqual(damaged.rule, 'url');
+});
+
+test('files over the size limits are rejected', async () => {
+  const { window, editor } = await setup({ maxFileSize: 1024, maxWidth: 1000, maxHeight: 800 });
+
+  let error = await uploadError(editor.uploadImage(pngFile(window, 100, 100, 2048)));
+  assert.strictEqual(error.rule, 'maxFileSize');
+  assert.strictEqual(error.message, 'photo-100.png is 2 KB, files can be at most 1 KB.');
+
+  error = await uploadError(editor.uploadImage(pngFile(window, 1200, 500)));
+  assert.strictEqual(error.rule, 'maxWidth');
+  assert.strictEqual(error.message, 'photo-1200.png is 1200 × 500 pixels, images can be at most 1000 pixels wide and 800 pixels high.');
+  error = await uploadError(editor.uploadImage(pngFile(window, 500, 900)));
+  assert.strictEqual(error.rule, 'maxHeight');
+
+  const image = await editor.uploadImage(pngFile(window, 1000, 800, 1024));
+  assert.strictEqual(image.type, 'image');
+  assert.strictEqual(editor.canvas.getObjects().length, 1);
+});
+
+test('only the allowed types can be uploaded', async () => {
+  const { window, editor } = await setup({ allowedTypes: ['image/jpeg', 'image/webp'] });
+  assert.deepStrictEqual(Array.from(editor.getUploadFormats(), format => format.label), ['JPG', 'WebP']);
+  const error = await uploadError(editor.uploadImage(pngFile(window, 100, 100)));
+  assert.strictEqual(error.rule, 'allowedTypes');
+  assert.strictEqual(error.message, "PNG images like photo-100.png can't be uploaded, use JPG or WebP.");
+});
+
+test('images printing below minPrintDPI at their placed size are rejected', async () => {
+  const { window, editor } = await setup({ minPrintDPI: 150 }, { print: { unit: 'mm', dpi: 300, bleed: 3, marks: true, minImageDPI: 150 } });
+
+  // 300 pixels placed 600 pixels wide print at 150 dpi
+  await editor.uploadImage(pngFile(window, 300, 300), { width: 600 });
+  const error = await uploadError(editor.uploadImage(pngFile(window, 300, 300), { width: 1000 }));
+  assert.strictEqual(error.rule, 'minPrintDPI');
+  assert.strictEqual(error.message, 'photo-300.png is too small to print well, it prints at 90 dpi and needs at least 150 dpi. Use an image of at least 500 pixels width.');
+});
+
+test('a design can have at most maxImages images, replacing one is allowed', async () => {
+  const { window, editor } = await setup({ maxImages: 2 });
+  const first = await editor.uploadImage(pngFile(window, 100, 100));
+  await editor.uploadImage(pngFile(window, 200, 100));
+
+  const error = await uploadError(editor.uploadImage(pngFile(window, 300, 100)));
+  assert.strictEqual(error.rule, 'maxImages');
+  assert.strictEqual(error.message, "photo-300.png can't be added, a design can have at most 2 images.");
+
+  const replaced = await editor.uploadImage(pngFile(window, 300, 100), { replace: first });
+  assert.strictEqual(replaced, first);
+  assert.strictEqual(imageSize(first.getSrc()).width, 300);
+  assert.strictEqual(editor.canvas.getObjects().length, 2);
+});
+
+test('images larger than the working size are scaled down and keep their original', async () => {
+  const { window, editor } = await setup({ workingSize: 1000 });
+  const uploads = [];
+  editor.on('upload', (event) => uploads.push(event));
+
+  const file = pngFile(window, 4000, 3000);
+  const image = await editor.uploadImage(file, { width: 2400 });
+  assert.deepStrictEqual([image.width, image.height], [1000, 750]);
+  assert.strictEqual(image.getScaledWidth(), 2400);
+  assert.deepStrictEqual({ ...image.originalImage, src: imageSize(image.originalImage.src) }, {
+    src: { width: 4000, height: 3000 },
+    width: 4000,
+    height: 3000
+  });
+  assert.strictEqual(uploads[0].file, file);
+  assert.strictEqual(uploads[0].object, image);
+
+  // the original is kept in saved designs and its resolution counts for print, the working size alone prints at 125 dpi
+  assert.strictEqual(editor.getCanvasJSON().objects[0].originalImage.width, 4000);
+  assert.strictEqual(editor.getLowResolutionImages().length, 0);
+
+  const small = await editor.uploadImage(pngFile(window, 800, 600));
+  assert.strictEqual(small.originalImage, undefined);
+  assert.strictEqual(small.width, 800);
+});
+
+/**
+ * Drop files on the canvas holder at a point of the page
+ */
+const drop = (window, files, x, y) => {
+  const event = new window.Event('drop', { bubbles: true, cancelable: true });
+  Object.assign(event, {
+    clientX: x,
+    clientY: y,
+    dataTransfer: { types: ['Files'], files, getData: () => '' }
+  });
+  window.document.querySelector('.canvas-holder').dispatchEvent(event);
+  return event;
+}
+
+test('dropped files are centered at the drop point at every zoom level', async () => {
+  const { window, editor } = await setup({});
+  editor.applyZoom(2);
+
+  const event = drop(window, [pngFile(window, 600, 400), pngFile(window, 300, 300)], 300, 200);
+  assert.ok(event.defaultPrevented);
+  await sleep(50);
+  const [first, second] = editor.canvas.getObjects();
+  // the page point is at half the canvas coordinates, further images are moved a bit
+  assert.deepStrictEqual(first.getCenterPoint(), new window.fabric.Point(150, 100));
+  assert.deepStrictEqual(second.getCenterPoint(), new window.fabric.Point(170, 120));
+  assert.strictEqual(first.getScaledWidth(), 300);
+});
+
+test('dropping one file onto an image asks whether to replace it', async () => {
+  const { window, editor } = await setup({});
+  const image = await editor.uploadImage(pngFile(window, 200, 200), { left: 100, top: 100, width: 200 });
+  image.set({ flipX: true, opacity: 0.5 });
+
+  drop(window, [pngFile(window, 400, 100)], 200, 200);
+  await sleep(50);
+  assert.ok(window.document.querySelector('.replace-prompt'));
+  window.document.querySelector('.btn_replace-image').click();
+  await sleep(50);
+  assert.deepStrictEqual(Array.from(editor.canvas.getObjects()), [image]);
+  assert.strictEqual(imageSize(image.getSrc()).width, 400);
+  // the new picture fits into the box of the replaced one
+  assert.deepStrictEqual([image.getScaledWidth(), image.getScaledHeight()], [200, 50]);
+  assert.deepStrictEqual(image.getCenterPoint(), new window.fabric.Point(200, 200));
+  assert.deepStrictEqual([image.flipX, image.opacity], [true, 0.5]);
+
+  drop(window, [pngFile(window, 100, 100)], 200, 200);
+  await sleep(50);
+  window.document.querySelector('.btn_add-image').click();
+  await sleep(50);
+  assert.strictEqual(editor.canvas.getObjects().length, 2);
+  assert.strictEqual(window.document.querySelector('.replace-prompt'), null);
+
+  // closing the dialog adds nothing
+  drop(window, [pngFile(window, 100, 100)], 200, 200);
+  await sleep(50);
+  window.document.querySelector('.custom-modal-container').click();
+  await sleep(50);
+  assert.strictEqual(editor.canvas.getObjects().length, 2);
+});